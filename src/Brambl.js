@@ -10,12 +10,24 @@
  // Primary sub-modules
  const Requests = require('./modules/Requests');
  const KeyManager = require('./modules/KeyManager');
+ const Keyring = require('./modules/Keyring');
+ const PartiallySignedTx = require('./modules/PartiallySignedTx');
+ const WalletState = require('./modules/WalletState');
+ const TransactionBuilder = require('./modules/TransactionBuilder');
 
  // Utilities
  const Hash = require('./utils/Hash')
  
  // Libraries
  const pollTx = require('./lib/polling')
+ const TxWatcher = require('./lib/txWatcher')
+ const FeeEstimator = require('./lib/feeEstimator')
+ const TxJournal = require('./lib/txJournal')
+ const blockStream = require('./lib/blockStream')
+ const { throwIfAborted } = require('./lib/abort')
+ const transports = require('./lib/transports')
+ const errors = require('./lib/errors')
+ const MockBifrost = require('./lib/mockBifrost')
  
  // Constants definitions
  const validTxMethods = [
@@ -23,7 +35,91 @@
      'transferAssetsPrototype',
      'transferTargetAssetsPrototype'
  ]
+
+ // Transactions that are built locally instead of requesting a prototype from the chain provider
+ const localTxMethods = [
+     'polyTransfer',
+     'arbitTransfer',
+     'assetTransfer'
+ ]
  
+ /**
+  * Choose the signers of a transaction from the public keys that must sign it
+  * @param {object} formattedTx A formatted transaction
+  * @param {string|string[]} [sender] Public keys allowed to sign (all required signers if not given)
+  * @return {string[]} public keys of the signers
+  */
+ function selectSigners(formattedTx, sender) {
+     const required = TransactionBuilder.requiredSigners(formattedTx)
+     const allowed = sender ? [].concat(sender) : required
+     const missing = required.filter(pk => !allowed.includes(pk))
+     if (missing.length) throw new errors.ValidationError('The transaction must be signed by keys missing from the sender list: ' + missing.join(', '), { field: 'sender' })
+     return required
+ }
+
+ /**
+  * Decode a Base58 encoded field of a signed transaction
+  * @param {string} value Base58 encoded value
+  * @param {string} field name of the field (reported if the value is malformed)
+  * @param {number} [length] expected length of the decoded value in bytes
+  * @return {Buffer} decoded value
+  */
+ function decodeField(value, field, length) {
+     let decoded
+     try { decoded = typeof value === 'string' && value.length ? Buffer.from(base58.decode(value)) : null } catch (err) { decoded = null }
+     if (!decoded) throw new errors.ValidationError('Malformed Base58 encoding of ' + field, { field })
+     if (length && decoded.length !== length) throw new errors.ValidationError(field + ' must be ' + length + ' bytes', { field })
+     return decoded
+ }
+
+ /**
+  * Spend a box chosen from the wallet state in a targeted asset transfer. The box is reserved while the transaction is
+  * in flight, so that concurrent transfers never spend the same box. It is removed from the wallet state once the
+  * transaction is broadcast, or released if the transaction fails
+  * @param {WalletState} wallet The wallet state holding the boxes of the sender
+  * @param {object} params Parameters of `transferTargetAssetsPrototype`, identifying the asset (`issuer`, `assetCode`,
+  *    and an optional coin-selection `strategy`) instead of the `assetId`
+  * @param {function} send Function sending the transfer given its parameters
+  * @return {Promise<object>} response of the transfer
+  */
+ async function withTargetBox(wallet, params, send) {
+     const { issuer, assetCode, strategy, ...txParams } = params
+     const reservation = wallet.take({ issuer, assetCode, strategy, amount: params.amount, sender: params.sender, single: true })
+     try {
+         const res = await send({ ...txParams, assetId: reservation.boxes[0].id })
+         reservation.spend()
+         return res
+     } catch (err) {
+         reservation.release()
+         throw err
+     }
+ }
+
+ /**
+  * Create a new transaction, then sign and broadcast (see `Brambl.prototype.transaction`)
+  * @param {Brambl} brambl The Brambl instance sending the transaction
+  * @param {string} method The chain resource method to create a transaction for
+  * @param {object} params Parameters of the transaction
+  * @param {object} options Request options, and the `idempotencyKey` of the journal entry of the transaction
+  * @return {Promise<object>} response of the `broadcastTx` call
+  */
+ async function createTransaction(brambl, method, params, options) {
+     if (params && params.fee === 'auto') {
+         const { feeSpeed, ...txParams } = params
+         const fee = await brambl.estimateFee(feeSpeed, { signal: options.signal })
+         return createTransaction(brambl, method, { ...txParams, fee }, options)
+     }
+     if (method === 'transferTargetAssetsPrototype' && brambl.wallet && params && !params.assetId) {
+         return withTargetBox(brambl.wallet, params, txParams => createTransaction(brambl, method, txParams, options))
+     }
+
+     const { idempotencyKey, ...requestOptions } = options
+     const prototypeTx = localTxMethods.includes(method)
+         ? TransactionBuilder[method](params)
+         : (await brambl.requests[method](params, undefined, requestOptions)).result
+     return brambl.signAndBroadcast(prototypeTx, { ...options, sender: params && params.sender })
+ }
+
  /**
   * @class Creates an instance of Brambl for interacting with the Topl protocol
   * @requires KeyManager
@@ -45,6 +141,21 @@
   * @param {object} params.Requests Request object (may be either an instance or config parameters)
   * @param {string} [params.Requests.url] The chain provider to send requests to
   * @param {string} [params.Requests.apikey] Api key for authorizing access to the chain provider
+  * @param {object} [params.Requests.options] Additional options for the Requests instance (i.e. a `transport` or `timeout`)
+  * @param {object} [params.Keyring] Keyring object holding many keys (may be either an instance or config parameters).
+  *    Signers of a transaction are chosen from the keyring automatically and a KeyManager password is not required
+  * @param {object} [params.Keyring.instance] A previously initialized instance of Keyring
+  * @param {string} [params.Keyring.keyPath] Directory of the keyfiles to load
+  * @param {object} [params.Keyring.constants] Parameters for encrypting new keyfiles
+  * @param {object} [params.WalletState] WalletState object caching the boxes of the user's keys (may be either an instance or config parameters).
+  *    The asset box of a targeted transfer without an `assetId` is chosen from the wallet state
+  * @param {object} [params.WalletState.instance] A previously initialized instance of WalletState
+  * @param {string[]} [params.WalletState.publicKeys] Public keys whose boxes are cached (defaults to the keys of the keyring or key manager)
+  * @param {string} [params.WalletState.strategy] Default coin-selection strategy
+  * @param {object} [params.FeeEstimator] Options of the fee estimator used for transactions with `fee: 'auto'` (i.e. `blocks` or `maxAge`)
+  * @param {object} [params.Journal] TxJournal object recording every stage of the transactions (may be either an instance or config parameters)
+  * @param {object} [params.Journal.instance] A previously opened instance of TxJournal
+  * @param {string} [params.Journal.path] Path of the journal file
   */
  class Brambl {
      constructor(params = {}) {
@@ -60,15 +171,24 @@
          // Setup reqeusts object
          if (requestsVar.instance) {
              this.requests = requestsVar.instance
-         } else if (requestsVar.url) { 
-             this.requests = new Requests(requestsVar.url, requestsVar.apiKey)
+         } else if (requestsVar.url || requestsVar.options) { 
+             this.requests = new Requests(requestsVar.url, requestsVar.apiKey, requestsVar.options)
          } else {
              this.requests = new Requests()
          }
  
-         // Setup KeyManager object
-         if (!keyManagerVar.password) throw new Error('An encryption password is required to open a keyfile')
-         if (keyManagerVar.instance) {
+         // Setup Keyring object (optional)
+         if (params.Keyring) {
+             this.keyring = params.Keyring.instance || new Keyring(params.Keyring)
+             if (!params.Keyring.instance) this.keyring.load()
+         }
+
+         // Setup KeyManager object (not required if a keyring is used)
+         if (this.keyring && !keyManagerVar.password && !keyManagerVar.instance) {
+             this.keyManager = null
+         } else if (!keyManagerVar.password) {
+             throw new errors.ValidationError('An encryption password is required to open a keyfile', { field: 'password' })
+         } else if (keyManagerVar.instance) {
              this.keyManager = keyManagerVar.instance
          } else if(keyManagerVar.keyPath) {
              this.keyManager = new KeyManager({ password: keyManagerVar.password, keyPath: keyManagerVar.keyPath, constants: keyManagerVar.constants })
@@ -76,8 +196,20 @@
              this.keyManager = new KeyManager({ password: keyManagerVar.password })
          }
          
+         // Setup WalletState object (optional)
+         if (params.WalletState) {
+             const ownKeys = this.keyring ? this.keyring.list().map(key => key.pk) : [this.keyManager.pk]
+             this.wallet = params.WalletState.instance || new WalletState(this.requests, { publicKeys: ownKeys, ...params.WalletState })
+         }
+
+         // Setup FeeEstimator object
+         this.feeEstimator = new FeeEstimator(this.requests, params.FeeEstimator)
+
+         // Setup TxJournal object (optional)
+         if (params.Journal) this.journal = params.Journal.instance || new TxJournal(params.Journal)
+
          // Import utilities
-         this.utils = { Hash }
+         this.utils = { Hash, TransactionBuilder }
      }
  
      /**
@@ -86,10 +218,11 @@
       * 
       * @param {string} [url="http://localhost:9085/"] Chain provider location
       * @param {string} [apiKey="topl_the_world!"] Access key for authorizing requests to the client API
+      * @param {object} [options] Additional options for the Requests instance (i.e. a `transport`)
       * @memberof Brambl
       */
-     static Requests(url, apiKey) {
-         return new Requests(url, apiKey)
+     static Requests(url, apiKey, options) {
+         return new Requests(url, apiKey, options)
      }
  
      /**
@@ -111,16 +244,20 @@
   * Add a signature to a prototype transaction using the an unlocked key manager object
   * 
   * @param {object} prototypeTx An unsigned transaction JSON object
-  * @param {object|object[]} userKeys A keyManager object containing the user's key (may be an array)
+  * @param {object|object[]} userKeys A keyManager object containing the user's key (may be an array), or a Keyring
+  *    from which the signers required by the transaction are chosen
+  * @param {string|string[]} [sender] Public keys allowed to sign when choosing signers from a Keyring
  */
- Brambl.prototype.addSigToTx = async function (prototypeTx, userKeys) {
+ Brambl.prototype.addSigToTx = async function (prototypeTx, userKeys, sender) {
      // function for generating a signature in the correct format
      const genSig = (keys, txBytes) => {
          return Object.fromEntries( keys.map( key => [key.pk, base58.encode(key.sign(txBytes))]));
      }
  
-     // in case a single given is given not as an array
-     const keys = Array.isArray(userKeys) ? userKeys : [userKeys]
+     // choose the signers from a keyring, otherwise in case a single given is given not as an array
+     const keys = userKeys instanceof Keyring
+         ? userKeys.signers(selectSigners(prototypeTx.formattedTx, sender))
+         : Array.isArray(userKeys) ? userKeys : [userKeys]
  
      // add signatures of all given key files to the formatted transaction
      return { 
@@ -133,39 +270,204 @@
   * Used to sign a prototype transaction and broadcast to a chain provider
   *
   * @param {object} prototypeTx An unsigned transaction JSON object
+  * @param {object} [options] Request options (timeout, retries, ...) for the `broadcastTx` call
+  * @param {string|string[]} [options.sender] Public keys allowed to sign when a keyring is used
+  * @param {AbortSignal} [options.signal] Signal to cancel the operation (the transaction is not signed once aborted)
+  * @param {string} [options.idempotencyKey] Key of the journal entry recording the stages of the transaction (if a journal is used)
   */
- Brambl.prototype.signAndBroadcast = async function (prototypeTx) {
-     const formattedTx = await this.addSigToTx(prototypeTx, this.keyManager)
-     return this.requests.broadcastTx({ tx: formattedTx }).catch(e => { console.error(e); throw e })
+ Brambl.prototype.signAndBroadcast = async function (prototypeTx, options = {}) {
+     const { sender, idempotencyKey, ...requestOptions } = options
+     const record = (stage, fields) => this.journal && idempotencyKey && this.journal.record(idempotencyKey, stage, fields)
+     throwIfAborted(requestOptions.signal)
+     record('prototype', { txId: prototypeTx.formattedTx.txHash })
+     const formattedTx = await this.addSigToTx(prototypeTx, this.keyring || this.keyManager, sender)
+     record('signed', { signedTx: formattedTx })
+     const response = await this.requests.broadcastTx({ tx: formattedTx }, undefined, requestOptions)
+     record('broadcast', { response })
+     return response
  }
  
+ /**
+  * Broadcast a partially signed transaction once it has been signed by every signer
+  *
+  * @param {PartiallySignedTx|object|string} partialTx A partially signed transaction (or its exported JSON)
+  * @param {object} [options] Request options (timeout, retries, ...) for the `broadcastTx` call
+  */
+ Brambl.prototype.broadcastPartialTx = async function (partialTx, options) {
+     const complete = partialTx instanceof PartiallySignedTx ? partialTx : PartiallySignedTx.fromJSON(partialTx)
+     return this.requests.broadcastTx(complete.finalize(), undefined, options)
+ }
+
  /** 
-  * Create a new transaction, then sign and broadcast
+  * Create a new transaction, then sign and broadcast.
+  * Prototype methods (i.e. `createAssetsPrototype`) request the unsigned transaction from the chain provider
+  * while the local methods of `TransactionBuilder` (i.e. `polyTransfer`) build the transaction without a network request.
+  * If a journal is used, every stage of the transaction is recorded, and a transaction whose `idempotencyKey` was already
+  * broadcast is not sent again (the response of the first broadcast is returned instead)
   * 
   * @param {string} method The chain resource method to create a transaction for
+  * @param {object} params Parameters of the transaction. A `fee` of `'auto'` is estimated for the inclusion speed `feeSpeed`
+  *    (`slow`, `normal`, or `fast`; see `estimateFee`)
+  * @param {object} [options] Request options (timeout, retries, ...) for the calls to the chain provider
+  * @param {AbortSignal} [options.signal] Signal to cancel the transaction before it is broadcast
+  * @param {string} [options.idempotencyKey] Key identifying the logical payment in the journal (a random key is used if not given)
  */
- Brambl.prototype.transaction = async function (method, params) {
-     if (!validTxMethods.includes(method)) throw new Error('Invalid transaction method')
-     return this.requests[method](params).then(res => this.signAndBroadcast(res.result))
+ Brambl.prototype.transaction = async function (method, params, options = {}) {
+     throwIfAborted(options.signal)
+     if (!localTxMethods.includes(method) && !validTxMethods.includes(method)) throw new errors.ValidationError('Invalid transaction method', { field: 'method' })
+     if (!this.journal) return createTransaction(this, method, params, options)
+
+     // a payment is sent again only if its previous attempt failed
+     const previous = options.idempotencyKey && this.journal.get(options.idempotencyKey)
+     if (previous && previous.stage !== 'failed') {
+         if (previous.response) return previous.response
+         throw new errors.ValidationError('The transaction ' + options.idempotencyKey + ' is in progress or unfinished (see resume)', { field: 'idempotencyKey', stage: previous.stage })
+     }
+
+     const { key } = this.journal.record(options.idempotencyKey, 'created', { method })
+     try {
+         return await createTransaction(this, method, params, { ...options, idempotencyKey: key })
+     } catch (err) {
+         // a signed transaction that may have reached the chain provider is left unfinished for resume
+         if (this.journal.get(key).stage !== 'signed' || err instanceof errors.RpcError) this.journal.record(key, 'failed', { error: err.message })
+         throw err
+     }
  }
  
+ /**
+  * Suggest the fee of a transaction from the fees of the mempool and of recent blocks
+  *
+  * @param {string} [speed="normal"] Inclusion speed (`slow`, `normal`, or `fast`)
+  * @param {object} [options] Options of the estimate
+  * @param {boolean} [options.refresh=false] Sample the chain provider again even if the last sample is recent
+  * @param {AbortSignal} [options.signal] Signal to stop waiting for the estimate
+ */
+ Brambl.prototype.estimateFee = async function (speed, options) {
+     return this.feeEstimator.estimate(speed, options)
+ }
+
  /** 
   * A function to initiate polling of the chain provider for a specified transaction.
   * This function begins by querying 'getTransactionById' which looks for confirmed transactions only.
   * If the transaction is not confirmed, the mempool is checked using 'getTransactionFromMemPool' to
   * ensure that the transaction is pending. The parameter 'numFailedQueries' specifies the number of consecutive
   * failures (when resorting to querying the mempool) before ending the polling operation prematurely.
+  * Polls with the same interval share a single `TxWatcher`, so that pending transactions are looked up together.
   * 
   * @param {string} txId The unique transaction ID to look for
   * @param {object} [options] Optional parameters to control the polling behavior
   * @param {number} [options.timeout] The timeout (in seconds) before the polling operation is stopped
   * @param {number} [options.interval] The interval (in seconds) between attempts
   * @param {number} [options.maxFailedQueries] The maximum number of consecutive failures (to find the unconfirmed transaction) before ending the poll execution
+  * @param {number} [options.confirmations=1] The depth of the block of the transaction (relative to the best block) before the transaction
+  *   is confirmed. The block is checked to still include the transaction, otherwise the poll is rejected with a `TxReorgedError`
+  * @param {AbortSignal} [options.signal] Signal to stop polling (the poll is rejected with an `AbortError`)
  */
  Brambl.prototype.pollTx = async function(txId, options) {
-     const opts = options || { timeout: 90, interval: 3, maxFailedQueries: 10 }
-     return pollTx(this.requests, txId, opts)
+     const opts = { timeout: 90, interval: 3, maxFailedQueries: 10, confirmations: 1, ...options }
+     const entry = this.journal && this.journal.byTxId(txId)
+     if (!entry) return pollTx(this.requests, txId, opts)
+
+     // record the outcome of a journaled transaction (a poll that timed out leaves the transaction unfinished)
+     try {
+         const tx = await pollTx(this.requests, txId, opts)
+         this.journal.record(entry.key, 'confirmed', { tx })
+         return tx
+     } catch (err) {
+         if (err instanceof errors.TxDroppedError) this.journal.record(entry.key, 'failed', { error: err.message })
+         throw err
+     }
+ }
+
+ /**
+  * Reconcile the unfinished transactions of the journal with the chain provider (i.e. on startup after the process stopped).
+  * Transactions that were never signed are failed, and signed transactions found neither in a block nor in the mempool
+  * are broadcast again (see `TxJournal.resume`)
+  *
+  * @param {object} [options] Request options (timeout, retries, signal, ...) for the calls to the chain provider
+  * @return {Promise<object[]>} reconciled journal entries
+ */
+ Brambl.prototype.resume = async function (options) {
+     if (!this.journal) throw new errors.ValidationError('A journal is required to resume transactions', { field: 'Journal' })
+     return this.journal.resume(this.requests, options)
  }
  
+ /**
+  * Verify the signatures of a signed transaction (as returned by `addSigToTx`) without contacting a chain provider.
+  * Every entry of `signatures` is checked against its public key, and the signers expected from the `sender` list
+  * (by default, the keys that must sign the transaction) are reported if they did not sign
+  *
+  * @param {object} signedTx A formatted transaction including its `signatures`
+  * @param {string} [messageToSign] Base58 encoded message that was signed (rebuilt from the transaction if not given)
+  * @param {string|string[]} [sender] Public keys expected to sign the transaction
+  * @return {object} report of the form `{ valid, verified, invalid, missing }` listing the public keys of each outcome
+  * @throws {ValidationError} if the transaction is malformed (i.e. an invalid Base58 encoding), naming the `field`
+  */
+ Brambl.verifyTx = function (signedTx, messageToSign, sender) {
+     if (!signedTx || typeof signedTx !== 'object') throw new errors.ValidationError('A signed transaction must be provided', { field: 'signedTx' })
+     const signatures = signedTx.signatures || {}
+     if (typeof signatures !== 'object') throw new errors.ValidationError('The signatures must be an object', { field: 'signatures' })
+
+     const message = decodeField(messageToSign || TransactionBuilder.rebuild(signedTx).messageToSign, 'messageToSign')
+     const results = Object.entries(signatures).map(([pk, signature]) => {
+         const publicKey = decodeField(pk, 'signatures.' + pk, 32)
+         const sig = decodeField(signature, 'signatures.' + pk, 64)
+         return { pk, valid: KeyManager.verify(publicKey, message, sig) }
+     })
+
+     const verified = results.filter(result => result.valid).map(result => result.pk)
+     const invalid = results.filter(result => !result.valid).map(result => result.pk)
+     const expected = sender ? [].concat(sender) : TransactionBuilder.requiredSigners(signedTx)
+     const missing = expected.filter(pk => !verified.includes(pk))
+     return { valid: verified.length > 0 && !invalid.length && !missing.length, verified, invalid, missing }
+ }
+
+ /**
+  * Follow the chain as it grows. The returned async iterator yields each new block (with its `height`) in order,
+  * filling in the blocks forged while the chain provider could not be reached
+  *
+  * @param {object} [options] Optional parameters to control the stream
+  * @param {number} [options.fromHeight] The height of the first block to yield (by default, only blocks forged from now on)
+  * @param {number} [options.interval] The interval (in seconds) between checks for new blocks
+  * @param {number} [options.maxFailures] The maximum number of consecutive failures to reach the chain provider before the stream throws
+  * @param {number} [options.maxReorgDepth] The number of yielded blocks checked for a reorganization of the chain
+  * @param {AbortSignal} [options.signal] Signal to end the stream
+  * @return {AsyncIterator<object>} blocks of the chain
+ */
+ Brambl.prototype.blocks = function(options) {
+     return blockStream(this.requests, options)
+ }
+
+ // Static helpers of the KeyManager module (i.e. `BramblJS.KeyManager.withMnemonic`)
+ const keyManagerMethods = ['create', 'open', 'generateMnemonic', 'validateMnemonic', 'withMnemonic', 'fromMnemonic']
+ keyManagerMethods.forEach(method => { Brambl.KeyManager[method] = KeyManager[method] })
+
+ // Keyring module for managing a directory of keyfiles
+ Brambl.Keyring = Keyring
+
+ // Portable partially signed transactions for signing with keys held on other (offline) machines
+ Brambl.PartiallySignedTx = PartiallySignedTx
+
+ // Cache of the boxes of the user's keys with coin selection
+ Brambl.WalletState = WalletState
+
+ // Fee estimation from the mempool and recent blocks
+ Brambl.FeeEstimator = FeeEstimator
+
+ // Append-only journal of the transactions sent by Brambl
+ Brambl.TxJournal = TxJournal
+
+ // Watcher of many transactions sharing a single scheduler
+ Brambl.TxWatcher = TxWatcher
+
+ // Transports available for delivering requests to a chain provider
+ Brambl.transports = transports
+
+ // Error classes thrown by the Brambl modules
+ Brambl.errors = errors
+
+ // In-memory Bifrost node for offline testing
+ Brambl.MockBifrost = MockBifrost
+
  module.exports = Brambl
  
\ No newline at end of file
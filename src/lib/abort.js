@@ -0,0 +1,89 @@
+/**
+ * Cancellation of requests and timers with an AbortSignal. Any object implementing the `aborted` flag and
+ * `addEventListener` / `removeEventListener` for the `abort` event is accepted (i.e. the signal of an `AbortController`)
+ **/
+
+("use strict");
+
+// Dependencies
+const { AbortError, ValidationError } = require('./errors')
+
+/**
+ * Check that a signal was given as an AbortSignal
+ * @param {AbortSignal} [signal] signal of the operation
+ */
+function checkSignal(signal) {
+    if (signal === undefined || signal === null) return
+    if (typeof signal !== 'object' || typeof signal.addEventListener !== 'function' || typeof signal.removeEventListener !== 'function') {
+        throw new ValidationError('The signal must be an AbortSignal', { field: 'signal' })
+    }
+}
+
+/**
+ * Create the error of an aborted operation
+ * @param {AbortSignal} signal aborted signal
+ * @return {AbortError}
+ */
+function abortError(signal) {
+    return new AbortError('The operation was aborted', { reason: signal.reason })
+}
+
+/**
+ * Throw an AbortError if the signal was aborted
+ * @param {AbortSignal} [signal] signal of the operation
+ */
+function throwIfAborted(signal) {
+    checkSignal(signal)
+    if (signal && signal.aborted) throw abortError(signal)
+}
+
+/**
+ * Call a function once the signal is aborted
+ * @param {AbortSignal} [signal] signal of the operation
+ * @param {function} listener function called with the AbortError
+ * @return {function} function removing the listener (to be called once the operation is settled)
+ */
+function onAbort(signal, listener) {
+    if (!signal) return () => {}
+    const handler = () => listener(abortError(signal))
+    signal.addEventListener('abort', handler)
+    return () => signal.removeEventListener('abort', handler)
+}
+
+/**
+ * Reject with an AbortError as soon as the signal is aborted, otherwise settle as the given promise
+ * @param {Promise} promise the pending operation
+ * @param {AbortSignal} [signal] signal of the operation
+ * @return {Promise} the settled operation
+ */
+function abortable(promise, signal) {
+    if (!signal) return promise
+    let remove
+    const aborted = new Promise((resolve, reject) => {
+        if (signal.aborted) return reject(abortError(signal))
+        remove = onAbort(signal, reject)
+    })
+    return Promise.race([promise, aborted]).finally(() => remove && remove())
+}
+
+/**
+ * Wait for the given time (the timer is cleared if the signal is aborted)
+ * @param {number} ms time in milliseconds
+ * @param {AbortSignal} [signal] signal of the operation
+ * @return {Promise} resolves after the given time, rejects with an AbortError if aborted
+ */
+function delay(ms, signal) {
+    throwIfAborted(signal)
+    return new Promise((resolve, reject) => {
+        const remove = onAbort(signal, err => {
+            clearTimeout(timer)
+            reject(err)
+        })
+        const timer = setTimeout(() => {
+            remove()
+            resolve()
+        }, ms)
+    })
+}
+
+module.exports = { checkSignal, throwIfAborted, onAbort, abortable, delay }
@@ -0,0 +1,134 @@
+/**
+ * Follow the chain of a chain provider as it grows. New heights are found with `chainInfo` and the new blocks are
+ * fetched by walking the parent ids back from the best block, so that blocks missed while the chain provider could
+ * not be reached are filled in before the stream continues, and a reorganization of the recent blocks is detected
+ **/
+
+("use strict");
+
+// Dependencies
+const { NetworkError, RpcError, ValidationError } = require('./errors')
+const { throwIfAborted, delay } = require('./abort')
+
+// number of consecutive JSON-RPC errors (i.e. a block removed by a reorganization during the walk) before the stream throws
+const maxRpcFailures = 3
+
+// JSON-RPC errors of a chain provider that does not support a request, which are never retried
+const unsupportedCodes = [-32600, -32601]
+
+/**
+ * Record a block yielded by the stream
+ * @param {object} state state of the stream, given as `{ next, recent, walk }`
+ * @param {object} block block (with its `height`)
+ * @param {number} maxReorgDepth number of yielded blocks kept to detect a reorganization of the chain
+ * @return {object} the block
+ */
+function advance(state, block, maxReorgDepth) {
+    state.recent.set(block.height, block.id);
+    state.next = block.height + 1;
+    [...state.recent.keys()].filter(h => h < state.next - maxReorgDepth).forEach(h => state.recent.delete(h));
+    return block;
+}
+
+/**
+ * Walk the parent ids back from the best block until a block that was already yielded (or the starting height) is reached.
+ * A block that differs from the block yielded at the same height means that the chain was reorganized. Only the ids of
+ * the blocks are kept (and the blocks within `maxReorgDepth` of the best block), so that a long gap uses little memory.
+ * The walk is kept in the state of the stream, so that it resumes where it stopped after a failure
+ * @param {Requests} requests Requests instance of the chain provider
+ * @param {object} state state of the stream, given as `{ next, recent, walk }`
+ * @param {number} maxReorgDepth number of yielded blocks kept to detect a reorganization of the chain
+ * @param {object} requestOptions options of the requests (i.e. an AbortSignal as `signal`)
+ * @return {Promise<object>} the walk, given as `{ ids, blocks, next }` (`ids` in descending order of height from `next`)
+ */
+async function walkBack(requests, state, maxReorgDepth, requestOptions) {
+    if (!state.walk) {
+        const info = (await requests.chainInfo(undefined, requestOptions)).result;
+        if (state.next === undefined) state.next = info.height + 1;
+        state.walk = { id: info.bestBlockId, height: info.height, top: info.height, ids: [], blocks: new Map(), next: null };
+    }
+
+    const walk = state.walk;
+    while (walk.next === null && walk.height >= 1 &&
+        (walk.height >= state.next || (state.recent.has(walk.height) && state.recent.get(walk.height) !== walk.id))) {
+        const block = (await requests.getBlockById({ blockId: walk.id }, undefined, requestOptions)).result;
+        walk.ids.push(walk.id);
+        if (walk.top - walk.height < maxReorgDepth) walk.blocks.set(walk.id, block);
+        walk.id = block.parentId;
+        walk.height--;
+    }
+    if (walk.next === null) walk.next = walk.height + 1;
+    return walk;
+}
+
+/**
+ * Fetch the blocks forged since the last block of the stream. The state of the stream is advanced as each block is
+ * yielded, so that the blocks already yielded are not fetched again after a failure
+ * @param {Requests} requests Requests instance of the chain provider
+ * @param {object} state state of the stream, given as `{ next, recent, walk }`
+ * @param {number} maxReorgDepth number of yielded blocks kept to detect a reorganization of the chain
+ * @param {object} requestOptions options of the requests (i.e. an AbortSignal as `signal`)
+ * @return {AsyncIterator<object>} new blocks in ascending order of height
+ */
+async function* newBlocks(requests, state, maxReorgDepth, requestOptions) {
+    const walk = await walkBack(requests, state, maxReorgDepth, requestOptions);
+    while (walk.ids.length) {
+        const id = walk.ids[walk.ids.length - 1];
+        const block = walk.blocks.get(id) || (await requests.getBlockById({ blockId: id }, undefined, requestOptions)).result;
+        walk.ids.pop();
+        walk.blocks.delete(id);
+        yield advance(state, { ...block, height: walk.next++ }, maxReorgDepth);
+    }
+    state.walk = null;
+}
+
+/**
+ * Create an async iterator yielding each new block of the chain in order of height. Every block is given with its `height`.
+ * After a reorganization of the chain, the blocks replacing those already yielded are yielded again from the fork height
+ *
+ * @param {Requests} requests Requests instance of the chain provider
+ * @param {object} [options]
+ * @param {number} [options.fromHeight] height of the first block to yield (by default, only blocks forged from now on)
+ * @param {number} [options.interval=3] time (in seconds) between checks for new blocks
+ * @param {number} [options.maxFailures=Infinity] number of consecutive failures to reach the chain provider before the stream throws
+ *   (JSON-RPC errors are retried 3 times, and requests the chain provider does not support are not retried)
+ * @param {number} [options.maxReorgDepth=100] number of yielded blocks checked for a reorganization of the chain
+ * @param {AbortSignal} [options.signal] signal to end the stream (the iterator rejects with an `AbortError`)
+ * @return {AsyncIterator<object>} blocks of the chain
+ */
+async function* blockStream(requests, options = {}) {
+    const { fromHeight, interval = 3, maxFailures = Infinity, maxReorgDepth = 100, signal } = options;
+    throwIfAborted(signal);
+    if (fromHeight !== undefined && (!Number.isInteger(fromHeight) || fromHeight < 1)) {
+        throw new ValidationError('fromHeight must be a positive integer', { field: "fromHeight" })
+    }
+
+    const state = { next: fromHeight, recent: new Map(), walk: null };
+    let failures = 0;
+    let rpcFailures = 0;
+    while (true) {
+        let yielded = false;
+        try {
+            for await (const block of newBlocks(requests, state, maxReorgDepth, { signal })) {
+                yielded = true;
+                failures = rpcFailures = 0;
+                yield block;
+            }
+            failures = rpcFailures = 0;
+        } catch (err) {
+            // keep following the chain while the chain provider cannot be reached (the gap is filled in afterwards)
+            if (!(err instanceof NetworkError || err instanceof RpcError)) throw err;
+            if (err instanceof NetworkError && ++failures >= maxFailures) throw err;
+
+            // a JSON-RPC error may come from a block removed by a reorganization during the walk, so the walk starts again
+            // from the best block (requests that the chain provider does not support are not retried)
+            if (err instanceof RpcError) {
+                state.walk = null;
+                if (unsupportedCodes.includes(err.code) || ++rpcFailures >= maxRpcFailures) throw err;
+            }
+        }
+        if (!yielded) await delay(interval * 1000, signal);
+    }
+}
+
+module.exports = blockStream
@@ -0,0 +1,167 @@
+/**
+ * Error classes thrown by the Brambl modules. Every error carries structured fields describing the failure
+ * and, where available, the original error as `cause` so that callers may branch on `instanceof`
+ **/
+
+("use strict");
+
+/**
+ * @class Base class of all errors thrown by Brambl
+ * @param {string} message description of the error
+ * @param {object} [fields] structured information about the error (i.e. `cause`)
+ */
+class BramblError extends Error {
+    constructor(message, fields = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        Object.assign(this, fields);
+    }
+}
+
+/**
+ * @class The chain provider responded with a JSON-RPC error
+ * @param {string} message description of the error
+ * @param {object} [fields]
+ * @param {number} [fields.code] JSON-RPC error code
+ * @param {any} [fields.data] additional error data given by the chain provider
+ * @param {string} [fields.method] json-rpc method of the failed request
+ * @param {object} [fields.response] full JSON-RPC response
+ */
+class RpcError extends BramblError {
+    /**
+     * Create an error from a JSON-RPC error response
+     * @param {object} response JSON-RPC response containing an `error` field
+     * @param {string} [method] json-rpc method of the failed request
+     * @return {RpcError} the error
+     */
+    static fromResponse(response, method) {
+        const error = response.error || {};
+        return new RpcError(error.message || "Invalid JSON-RPC response", {
+            code: error.code,
+            data: error.data,
+            method,
+            response
+        });
+    }
+}
+
+/**
+ * @class The chain provider could not be reached, did not respond in time, or responded with an HTTP error
+ * @param {string} message description of the error
+ * @param {object} [fields]
+ * @param {number} [fields.status] HTTP status of the response
+ * @param {number} [fields.timeout] timeout (in milliseconds) that was exceeded
+ * @param {Error} [fields.cause] original error
+ */
+class NetworkError extends BramblError {}
+
+/**
+ * @class The chain provider refused the request because its rate limit was exceeded (HTTP 429 or a JSON-RPC rate-limit error).
+ * The request was not processed, so it may safely be sent again once the chain provider accepts requests
+ * @param {string} message description of the error
+ * @param {object} [fields]
+ * @param {number} [fields.status] HTTP status of the response
+ * @param {number} [fields.code] JSON-RPC error code
+ * @param {number} [fields.retryAfter] time (in seconds) to wait before sending requests again, if given by the chain provider
+ */
+class RateLimitError extends NetworkError {}
+
+/**
+ * @class Fewer chain providers than required by the quorum gave the same answer to a read-only call
+ * @param {string} message description of the error
+ * @param {object} [fields]
+ * @param {string} [fields.method] json-rpc method of the call
+ * @param {number} [fields.quorum] number of providers that must agree
+ * @param {object[]} [fields.answers] answer of every queried provider, given as `{ provider, result }` or `{ provider, error }`
+ */
+class DivergenceError extends BramblError {}
+
+/**
+ * @class Invalid parameters were given to a method
+ * @param {string} message description of the error
+ * @param {object} [fields]
+ * @param {string} [fields.field] name of the invalid parameter
+ */
+class ValidationError extends BramblError {}
+
+/**
+ * @class A keyfile could not be read, decrypted, or written
+ * @param {string} message description of the error
+ * @param {object} [fields]
+ * @param {string} [fields.path] path of the keyfile
+ * @param {Error} [fields.cause] original error
+ */
+class KeyfileError extends BramblError {}
+
+/**
+ * @class A record of the transaction journal could not be read
+ * @param {string} message description of the error
+ * @param {object} [fields]
+ * @param {string} [fields.path] path of the journal file
+ * @param {number} [fields.line] line number (starting at 1) of the record
+ * @param {Error} [fields.cause] original error
+ */
+class JournalError extends BramblError {}
+
+/**
+ * @class The key is locked and must be unlocked before use
+ * @param {string} message description of the error
+ * @param {object} [fields]
+ * @param {string} [fields.publicKey] public key of the locked key
+ */
+class LockedKeyError extends BramblError {}
+
+/**
+ * @class A polled transaction was not included in a block before the timeout expired
+ * @param {string} message description of the error
+ * @param {object} [fields]
+ * @param {string} [fields.txId] identifier of the polled transaction
+ * @param {number} [fields.timeout] timeout (in seconds) of the polling operation
+ * @param {Error} [fields.cause] last error received while polling
+ */
+class PollTimeoutError extends BramblError {}
+
+/**
+ * @class A polled transaction could neither be found in a block nor in the mempool
+ * @param {string} message description of the error
+ * @param {object} [fields]
+ * @param {string} [fields.txId] identifier of the polled transaction
+ * @param {number} [fields.failedQueries] number of consecutive failed mempool queries
+ * @param {Error} [fields.cause] last error received while polling
+ */
+class TxDroppedError extends BramblError {}
+
+/**
+ * @class A polled transaction was included in a block that was removed from the chain by a reorganization
+ * @param {string} message description of the error
+ * @param {object} [fields]
+ * @param {string} [fields.txId] identifier of the polled transaction
+ * @param {string} [fields.blockHash] id of the block that included the transaction
+ * @param {number} [fields.blockNumber] height of the block that included the transaction
+ * @param {Error} [fields.cause] error received when looking up the transaction or its block
+ */
+class TxReorgedError extends BramblError {}
+
+/**
+ * @class The operation was cancelled with an AbortSignal
+ * @param {string} message description of the error
+ * @param {object} [fields]
+ * @param {any} [fields.reason] reason given to the AbortController (if supported)
+ */
+class AbortError extends BramblError {}
+
+module.exports = {
+    BramblError,
+    RpcError,
+    NetworkError,
+    RateLimitError,
+    DivergenceError,
+    ValidationError,
+    KeyfileError,
+    JournalError,
+    LockedKeyError,
+    PollTimeoutError,
+    TxDroppedError,
+    TxReorgedError,
+    AbortError
+}
@@ -0,0 +1,151 @@
+/**
+ * Estimate the fee of a transaction from the fees paid by the transactions of the mempool and of the most recent blocks.
+ * The fees included in recent blocks show what the forgers accept, while the fees of the mempool show what a new
+ * transaction competes with. Fees are suggested for three inclusion speeds:
+ * - `slow`: the lower quartile of the fees of recent blocks
+ * - `normal`: the median of the fees of recent blocks (raised to the median of the mempool while the mempool is congested)
+ * - `fast`: above 90% of the fees of both recent blocks and the mempool
+ **/
+
+("use strict");
+
+// Dependencies
+const { ValidationError } = require('./errors')
+const { abortable } = require('./abort')
+
+// Inclusion speeds for which fees are suggested
+const speeds = ["slow", "normal", "fast"]
+
+// Default options of an estimator
+const defaultOptions = {
+    // number of recent blocks sampled
+    blocks: 10,
+
+    // time (in seconds) during which a sample is reused
+    maxAge: 30,
+
+    // lowest fee ever suggested (also suggested when there is nothing to sample)
+    minFee: 0
+}
+
+/**
+ * Fee paid by a transaction (transactions without a valid fee are not sampled)
+ * @param {object} tx transaction of the mempool or of a block
+ * @return {number|null} fee
+ */
+function feeOf(tx) {
+    const fee = Number(tx && tx.fee);
+    return Number.isFinite(fee) && fee >= 0 ? fee : null;
+}
+
+/**
+ * Percentile of a list of fees (by the nearest-rank method)
+ * @param {number[]} fees sorted fees
+ * @param {number} p percentile between 0 and 100
+ * @return {number|null} fee at the percentile (`null` if there are no fees)
+ */
+function percentile(fees, p) {
+    if (!fees.length) return null;
+    return fees[Math.min(fees.length - 1, Math.max(0, Math.ceil(p / 100 * fees.length) - 1))];
+}
+
+/**
+ * @class Create a fee estimator for a chain provider
+ * @param {Requests} requests Requests instance of the chain provider
+ * @param {object} [options] options of the estimator
+ * @param {number} [options.blocks=10] number of recent blocks sampled
+ * @param {number} [options.maxAge=30] time (in seconds) during which a sample is reused
+ * @param {number} [options.minFee=0] lowest fee ever suggested
+ */
+class FeeEstimator {
+    constructor(requests, options = {}) {
+        if (!requests) throw new ValidationError('A Requests instance must be provided', { field: "requests" })
+        this.requests = requests;
+        this.options = { ...defaultOptions, ...options };
+
+        // most recent sample given as { blockFees, mempoolFees, txsPerBlock, sampledAt }, and the collection in progress
+        this.sample = null;
+        this.collecting = null;
+    }
+
+    /**
+     * Collect the fees of the mempool and of the most recent blocks. Concurrent calls share the collection in progress,
+     * which is sent with the request policy of the Requests instance (so that a caller giving up does not affect the others)
+     * @param {object} [options]
+     * @param {AbortSignal} [options.signal] signal to stop waiting for the sample (rejects with an `AbortError`)
+     * @return {Promise<object>} sample given as `{ blockFees, mempoolFees, txsPerBlock, sampledAt }`
+     * @memberof FeeEstimator
+     */
+    collect(options = {}) {
+        if (!this.collecting) this.collecting = this.fetchSample().finally(() => (this.collecting = null));
+        return abortable(this.collecting, options.signal);
+    }
+
+    /**
+     * Fetch the fees of the mempool and of the most recent blocks (walking the parent ids back from the best block)
+     * @private
+     * @return {Promise<object>} sample given as `{ blockFees, mempoolFees, txsPerBlock, sampledAt }`
+     * @memberof FeeEstimator
+     */
+    async fetchSample() {
+        const [mempool, info] = await Promise.all([this.requests.getMempool(), this.requests.chainInfo()]);
+
+        const blockTxs = [];
+        let id = info.result.bestBlockId;
+        for (let height = info.result.height; height >= 1 && blockTxs.length < this.options.blocks; height--) {
+            const block = (await this.requests.getBlockById({ blockId: id })).result;
+            blockTxs.push(block.txs || []);
+            id = block.parentId;
+        }
+
+        const fees = txs => txs.map(feeOf).filter(fee => fee !== null).sort((a, b) => a - b);
+        const sampled = [].concat(...blockTxs);
+        this.sample = {
+            blockFees: fees(sampled),
+            mempoolFees: fees(mempool.result || []),
+            txsPerBlock: blockTxs.length ? sampled.length / blockTxs.length : 0,
+            sampledAt: Date.now()
+        };
+        return this.sample;
+    }
+
+    /**
+     * Suggest fees for each inclusion speed (the sample is reused for `maxAge` seconds)
+     * @param {object} [options]
+     * @param {boolean} [options.refresh=false] collect a new sample even if the last one is recent
+     * @param {AbortSignal} [options.signal] signal to stop waiting for the sample
+     * @return {Promise<object>} fees given as `{ slow, normal, fast }`
+     * @memberof FeeEstimator
+     */
+    async suggest(options = {}) {
+        const { refresh, signal } = options;
+        const fresh = this.sample && Date.now() - this.sample.sampledAt < this.options.maxAge * 1000;
+        const { blockFees, mempoolFees, txsPerBlock } = fresh && !refresh ? this.sample : await this.collect({ signal });
+
+        // the mempool is congested when it holds more transactions than an average block includes
+        const congested = mempoolFees.length > Math.max(txsPerBlock, 1);
+        const atLeast = (...fees) => Math.max(this.options.minFee, ...fees.filter(fee => fee !== null));
+
+        const slow = atLeast(percentile(blockFees, 25));
+        const normal = atLeast(slow, percentile(blockFees, 50), congested ? percentile(mempoolFees, 50) : null);
+        const fast = atLeast(normal, percentile(blockFees, 90), percentile(mempoolFees, 90));
+        return { slow, normal, fast };
+    }
+
+    /**
+     * Suggest the fee of a transaction for an inclusion speed
+     * @param {string} [speed="normal"] inclusion speed (`slow`, `normal`, or `fast`)
+     * @param {object} [options] options of `suggest`
+     * @return {Promise<number>} fee
+     * @memberof FeeEstimator
+     */
+    async estimate(speed = "normal", options) {
+        if (!speeds.includes(speed)) throw new ValidationError('Unknown inclusion speed: ' + speed, { field: "speed" })
+        return (await this.suggest(options))[speed];
+    }
+}
+
+// Inclusion speeds for which fees are suggested
+FeeEstimator.speeds = speeds;
+
+module.exports = FeeEstimator
@@ -0,0 +1,153 @@
+/**
+ * Registries of the key-derivation functions and symmetric ciphers used to encrypt keyfiles.
+ * The names are recorded in the keyfile (`crypto.kdf` and `crypto.cipher`) and dispatched on import.
+ * The defaults (scrypt and aes-256-ctr) produce keyfiles compatible with Bifrost
+ **/
+
+("use strict");
+
+// Dependencies
+const crypto = require('crypto')
+const { ValidationError, KeyfileError } = require('./errors')
+
+// parameter checks shared by the key-derivation functions
+const isPositive = value => Number.isInteger(value) && value > 0
+const positive = [isPositive, 'a positive integer']
+
+/**
+ * Key-derivation functions. Each entry provides
+ * - `defaults`: default parameters
+ * - `params`: checks of the parameters given as `{ name: [check, description] }`
+ * - `derive(password, salt, params, cb)`: derive a key, synchronously if no callback `(err, key)` is given
+ */
+const kdfs = {
+    "scrypt": {
+        defaults: { dkLen: 32, n: Math.pow(2, 18), r: 8, p: 1 },
+        params: {
+            dkLen: positive,
+            n: [value => isPositive(value) && (value & (value - 1)) === 0, 'a power of 2'],
+            r: positive,
+            p: positive
+        },
+        derive: (password, salt, params, cb) => {
+            const options = { N: params.n, r: params.r, p: params.p, maxmem: 2 * 128 * params.n * params.r }
+            if (!cb) return crypto.scryptSync(password, salt, params.dkLen, options)
+            crypto.scrypt(password, salt, params.dkLen, options, cb)
+        }
+    },
+    "pbkdf2-sha512": {
+        defaults: { dkLen: 32, c: 262144 },
+        params: {
+            dkLen: positive,
+            c: positive
+        },
+        derive: (password, salt, params, cb) => {
+            if (!cb) return crypto.pbkdf2Sync(password, salt, params.c, params.dkLen, 'sha512')
+            crypto.pbkdf2(password, salt, params.c, params.dkLen, 'sha512', cb)
+        }
+    }
+}
+
+/**
+ * Create the registry entry of an AEAD cipher (the authentication tag is stored as `cipherParams.tag`)
+ * @param {string} name name of the cipher in Node's crypto module
+ * @param {number} ivBytes nonce size in bytes
+ * @return {object} cipher entry
+ */
+function aeadCipher(name, ivBytes) {
+    const authTagLength = 16
+    return {
+        ivBytes,
+        aead: true,
+        encrypt: (plaintext, key, iv) => {
+            const cipher = crypto.createCipheriv(name, key, iv, { authTagLength })
+            const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()])
+            return { ciphertext, tag: cipher.getAuthTag() }
+        },
+        decrypt: (ciphertext, key, iv, tag) => {
+            if (!tag) throw new ValidationError('The authentication tag of ' + name + ' is missing', { field: "cipherParams.tag" })
+            const decipher = crypto.createDecipheriv(name, key, iv, { authTagLength })
+            decipher.setAuthTag(tag)
+            const plaintext = decipher.update(ciphertext)
+            try { return Buffer.concat([plaintext, decipher.final()]) } catch (err) {
+                throw new KeyfileError('authentication tag mismatch', { field: "cipherParams.tag", cause: err })
+            }
+        }
+    }
+}
+
+/**
+ * Create the registry entry of a cipher without authentication (i.e. aes-256-ctr)
+ * @param {string} name name of the cipher in Node's crypto module
+ * @param {number} [ivBytes] initialization vector size in bytes (defaults to `constants.ivBytes`)
+ * @return {object} cipher entry
+ */
+function plainCipher(name, ivBytes) {
+    return {
+        ivBytes,
+        aead: false,
+        encrypt: (plaintext, key, iv) => {
+            const cipher = crypto.createCipheriv(name, key, iv)
+            return { ciphertext: Buffer.concat([cipher.update(plaintext), cipher.final()]) }
+        },
+        decrypt: (ciphertext, key, iv) => {
+            const decipher = crypto.createDecipheriv(name, key, iv)
+            return Buffer.concat([decipher.update(ciphertext), decipher.final()])
+        }
+    }
+}
+
+/**
+ * Symmetric ciphers. Each entry provides
+ * - `ivBytes`: size of the initialization vector (or nonce) in bytes
+ * - `aead`: whether the cipher authenticates the ciphertext (the tag is stored as `cipherParams.tag`)
+ * - `encrypt(plaintext, key, iv)`: returns `{ ciphertext, tag }`
+ * - `decrypt(ciphertext, key, iv, tag)`: returns the plaintext
+ * Other ciphers of Node's crypto module (`crypto.getCiphers()`) may be used without authentication
+ */
+const ciphers = {
+    "aes-256-ctr": plainCipher("aes-256-ctr", 16),
+    "aes-256-gcm": aeadCipher("aes-256-gcm", 12),
+    "chacha20-poly1305": aeadCipher("chacha20-poly1305", 12)
+}
+
+/**
+ * Register a key-derivation function
+ * @param {string} name name recorded in the keyfile (`crypto.kdf`)
+ * @param {object} kdf entry with `defaults`, `params`, and `derive` (see `kdfs`)
+ */
+function registerKdf(name, kdf) {
+    kdfs[name] = kdf
+}
+
+/**
+ * Register a symmetric cipher
+ * @param {string} name name recorded in the keyfile (`crypto.cipher`)
+ * @param {object} cipher entry with `ivBytes`, `aead`, `encrypt`, and `decrypt` (see `ciphers`)
+ */
+function registerCipher(name, cipher) {
+    ciphers[name] = cipher
+}
+
+/**
+ * Lookup a key-derivation function
+ * @param {string} name name of the key-derivation function
+ * @return {object} kdf entry
+ */
+function getKdf(name) {
+    if (!Object.prototype.hasOwnProperty.call(kdfs, name)) throw new ValidationError(name + " is not a supported key-derivation function", { field: "kdf" })
+    return kdfs[name]
+}
+
+/**
+ * Lookup a symmetric cipher (ciphers of Node's crypto module that are not registered are used without authentication)
+ * @param {string} name name of the cipher
+ * @return {object} cipher entry
+ */
+function getCipher(name) {
+    if (Object.prototype.hasOwnProperty.call(ciphers, name)) return ciphers[name]
+    if (crypto.getCiphers().includes(name) && !/-(gcm|ccm|ocb)$|poly1305$/.test(name)) return plainCipher(name)
+    throw new ValidationError(name + " is not available", { field: "cipher" })
+}
+
+module.exports = { kdfs, ciphers, registerKdf, registerCipher, getKdf, getCipher }
@@ -0,0 +1,138 @@
+/**
+ * Schema validation and versioned migration of keyfiles.
+ * Keyfiles are upgraded to the current layout when they are imported, and validated before they are decrypted
+ * so that a malformed keyfile is reported with the exact field that is missing or invalid
+ **/
+
+("use strict");
+
+// Dependencies
+const Base58 = require('base-58')
+const { KeyfileError } = require('./errors')
+const { kdfs, getKdf, getCipher } = require('./keyCrypto')
+
+// Version of the keyfile layout written by this library
+const keyfileVersion = 2
+
+// Migrations upgrading a keyfile from the layout `from` to the layout `from + 1`
+const migrations = [
+    {
+        // Unversioned keyfiles (as written by Bifrost and earlier releases of this library). Layouts using lower-case
+        // field names (`ciphertext`, `cipherparams`, `kdfparams.salt`) are renamed to the Bifrost field names
+        from: 0,
+        migrate: keyfile => {
+            const { ciphertext, cipherparams, kdfparams, ...crypto } = keyfile.crypto || {};
+            const migrated = { ...crypto };
+            if (migrated.cipherText === undefined && ciphertext !== undefined) migrated.cipherText = ciphertext;
+            if (migrated.cipherParams === undefined && cipherparams !== undefined) migrated.cipherParams = cipherparams;
+            if (migrated.kdfSalt === undefined && kdfparams && kdfparams.salt !== undefined) migrated.kdfSalt = kdfparams.salt;
+            if (migrated.kdf === undefined) migrated.kdf = "scrypt";
+            return { ...keyfile, crypto: migrated };
+        }
+    },
+    {
+        // Version 2 stores the scrypt parameters as `crypto.kdfParams`. Earlier keyfiles do not record them
+        // and are decrypted with the parameters given to the key manager (`constants.scrypt`)
+        from: 1,
+        migrate: keyfile => keyfile
+    }
+]
+
+// Base58 alphabet used by Bifrost
+const base58Pattern = /^[1-9A-HJ-NP-Za-km-z]+$/
+
+/**
+ * Upgrade a keyfile to the current layout
+ * @param {object} keyfile parsed keyfile
+ * @return {object} keyfile in the current layout (a new object, the given keyfile is not modified)
+ */
+function migrateKeyfile(keyfile) {
+    if (!keyfile || typeof keyfile !== 'object' || Array.isArray(keyfile)) {
+        throw new KeyfileError('Invalid keyfile: expected a JSON object', { field: '' })
+    }
+
+    const version = keyfile.version === undefined ? 0 : keyfile.version
+    if (!Number.isInteger(version) || version < 0) {
+        throw new KeyfileError('Invalid keyfile: version must be a non-negative integer', { field: 'version' })
+    }
+    if (version > keyfileVersion) {
+        throw new KeyfileError('Keyfile version ' + version + ' is newer than the supported version ' + keyfileVersion, { field: 'version' })
+    }
+
+    return migrations
+        .filter(migration => migration.from >= version)
+        .reduce((upgraded, migration) => ({ ...migration.migrate(upgraded), version: migration.from + 1 }), keyfile)
+}
+
+/**
+ * Lookup a registered cipher or key-derivation function by the name stored in a keyfile
+ * @param {function} find lookup function of lib/keyCrypto
+ * @param {string} name name stored in the keyfile
+ * @return {object} the registry entry (undefined if the name is not supported)
+ */
+function lookup(find, name) {
+    if (typeof name !== 'string') return undefined
+    try { return find(name) } catch (err) { return undefined }
+}
+
+/**
+ * Check that a keyfile (in the current layout) contains every field needed to decrypt it
+ * @param {object} keyfile keyfile in the current layout
+ * @return {object} the keyfile
+ * @throws {KeyfileError} naming the first invalid `field` (and listing every invalid field as `problems`)
+ */
+function validateKeyfile(keyfile) {
+    const problems = []
+    const get = field => field.split('.').reduce((obj, key) => (obj && typeof obj === 'object' ? obj[key] : undefined), keyfile)
+    const check = (field, valid, description) => {
+        const value = get(field)
+        if (value === undefined || value === null) problems.push({ field, message: field + ' is missing' })
+        else if (!valid(value)) problems.push({ field, message: field + ' must be ' + description })
+    }
+    const isBase58 = value => typeof value === 'string' && base58Pattern.test(value)
+    const isBase58Bytes = length => value => isBase58(value) && Base58.decode(value).length === length
+
+    check('version', version => version === keyfileVersion, 'version ' + keyfileVersion)
+    check('publicKeyId', isBase58Bytes(32), 'a Base58 encoded 32 byte public key')
+    check('crypto', value => typeof value === 'object', 'an object')
+    const cipher = lookup(getCipher, get('crypto.cipher'))
+    check('crypto.cipher', () => !!cipher, 'the name of a supported cipher')
+    check('crypto.cipherText', isBase58, 'a Base58 encoded string')
+    check('crypto.cipherParams', value => typeof value === 'object', 'an object')
+    check('crypto.cipherParams.iv', isBase58, 'a Base58 encoded string')
+    if (cipher && cipher.aead) check('crypto.cipherParams.tag', isBase58, 'a Base58 encoded authentication tag')
+
+    // the parameters of scrypt may be omitted by earlier keyfiles, those of other key-derivation functions are required
+    const kdf = lookup(getKdf, get('crypto.kdf'))
+    check('crypto.kdf', () => !!kdf, 'one of ' + Object.keys(kdfs).map(name => '"' + name + '"').join(', '))
+    check('crypto.kdfSalt', isBase58, 'a Base58 encoded string')
+    if (kdf && (get('crypto.kdfParams') !== undefined || get('crypto.kdf') !== 'scrypt')) {
+        Object.entries(kdf.params).forEach(([name, [valid, description]]) => check('crypto.kdfParams.' + name, valid, description))
+    }
+    check('crypto.mac', isBase58Bytes(32), 'a Base58 encoded 32 byte message authentication code')
+    if (keyfile.hd !== undefined) {
+        check('hd.scheme', value => value === 'slip10-curve25519', '"slip10-curve25519"')
+        check('hd.children', value => Array.isArray(value) && value.every(child => child && typeof child.path === 'string' && isBase58(child.publicKey)),
+            'a list of derived children given as { path, publicKey }')
+    }
+
+    if (problems.length) {
+        throw new KeyfileError('Invalid keyfile: ' + problems.map(problem => problem.message).join(', '), { field: problems[0].field, problems })
+    }
+    return keyfile
+}
+
+/**
+ * Parse, upgrade, and validate the contents of a keyfile
+ * @param {string|Buffer} contents contents of the keyfile
+ * @return {object} keyfile in the current layout
+ */
+function parseKeyfile(contents) {
+    let keyfile
+    try { keyfile = JSON.parse(contents) } catch (err) {
+        throw new KeyfileError('Invalid keyfile: ' + err.message, { field: '', cause: err })
+    }
+    return validateKeyfile(migrateKeyfile(keyfile))
+}
+
+module.exports = { keyfileVersion, migrateKeyfile, validateKeyfile, parseKeyfile }
@@ -0,0 +1,552 @@
+/**
+ * A local stand-in for a Bifrost node used for offline testing.
+ * Implements the `wallet/`, `asset/`, `nodeView/`, and `debug/` JSON-RPC routes used by the Requests module
+ * on top of an in-memory ledger of boxes, a mempool, and a block producer that may be advanced by hand.
+ * The node is available in-process (using `mock.transport`) or over HTTP (using `mock.listen()`)
+ **/
+
+("use strict");
+
+// Dependencies
+const http = require('http')
+const crypto = require('crypto')
+const Base58 = require('base-58')
+
+// Primary sub-modules
+const KeyManager = require('../modules/KeyManager')
+const TransactionBuilder = require('../modules/TransactionBuilder')
+
+// Utilities
+const Hash = require('../utils/Hash')
+const { InProcessTransport } = require('./transports')
+
+// Fast (insecure) encryption options for the keyfiles held by the mock node
+const mockKeyOptions = {
+    cipher: "aes-256-ctr",
+    ivBytes: 16,
+    keyBytes: 32,
+    scrypt: { dkLen: 32, n: Math.pow(2, 10), r: 8, p: 1 }
+}
+
+// Type of the boxes spent and created by each transaction type
+const boxTypes = {
+    PolyTransfer: "PolyBox",
+    ArbitTransfer: "ArbitBox",
+    AssetTransfer: "AssetBox",
+    AssetCreation: "AssetBox"
+}
+
+/**
+ * Create a JSON-RPC error (thrown by the handlers of the mock node)
+ * @param {string} message description of the error
+ * @param {number} [code=500] error code (Bifrost uses 500 for all errors)
+ * @return {object} error object
+ */
+function rpcError(message, code = 500) {
+    return { code, message }
+}
+
+/**
+ * Generate a random box nonce
+ * @return {string} nonce
+ */
+function randomNonce() {
+    return crypto.randomBytes(8).readBigInt64BE(0).toString()
+}
+
+/**
+ * Sum the values of a list of boxes (or outputs)
+ * @param {object[]} boxes boxes to sum
+ * @return {bigint} total value
+ */
+function sumValues(boxes) {
+    return boxes.reduce((sum, box) => sum + BigInt(box.value), BigInt(0))
+}
+
+/**
+ * @class Creates an in-memory Bifrost node for offline testing
+ * @param {object} [options={}]
+ * @param {string} [options.apiKey] Api key required by the HTTP server (no check if not given)
+ * @param {number} [options.blockTime] Interval (in milliseconds) for forging blocks automatically (blocks are only forged by `forge()` if not given)
+ */
+class MockBifrost {
+    constructor(options = {}) {
+        this.apiKey = options.apiKey;
+        this.boxes = new Map();
+        this.mempool = new Map();
+        this.blocks = [];
+        this.txIndex = new Map();
+        this.undo = new Map();
+        this.keyfiles = new Map();
+        this.forger = Base58.encode(crypto.randomBytes(32));
+
+        // genesis block
+        this.blocks.push(this.createBlock(Base58.encode(Buffer.alloc(32)), []));
+
+        this.handler = this.createHandler();
+        this.transport = new InProcessTransport(this.handler);
+
+        if (options.blockTime) {
+            this.forgeInterval = setInterval(() => this.forge(), options.blockTime);
+            this.forgeInterval.unref();
+        }
+    }
+
+    //// Chain state /////////////////////////////////////////////////////////////////////////////////////////////////
+
+    /**
+     * The most recent block of the chain
+     * @memberof MockBifrost
+     */
+    get bestBlock() {
+        return this.blocks[this.blocks.length - 1];
+    }
+
+    /**
+     * Create (but do not append) a block on top of the given parent
+     * @param {string} parentId id of the parent block
+     * @param {object[]} txs transactions included in the block
+     * @return {object} block
+     * @memberof MockBifrost
+     */
+    createBlock(parentId, txs) {
+        const timestamp = Date.now();
+        const height = this.blocks.length + 1;
+        const id = Hash.any({ parentId, timestamp, height, txs: txs.map(tx => tx.txHash) }, 'base58');
+        return { id, parentId, timestamp, txs, version: 1 };
+    }
+
+    /**
+     * Add new boxes for a public key directly to the ledger (i.e. a genesis allocation)
+     * @param {string} publicKey Base58 encoded public key of the owner
+     * @param {object} funds
+     * @param {number} [funds.polys] value of a new PolyBox
+     * @param {number} [funds.arbits] value of a new ArbitBox
+     * @param {object[]} [funds.assets] new AssetBoxes given as `{ issuer, assetCode, value }`
+     * @return {object[]} the created boxes
+     * @memberof MockBifrost
+     */
+    fund(publicKey, funds = {}) {
+        const created = [];
+        const addBox = (type, value, fields = {}) => {
+            const nonce = randomNonce();
+            const box = { id: TransactionBuilder.boxId(publicKey, nonce), type, proposition: publicKey, nonce, value: String(value), ...fields };
+            this.boxes.set(box.id, box);
+            created.push(box);
+        };
+
+        if (funds.polys) addBox("PolyBox", funds.polys);
+        if (funds.arbits) addBox("ArbitBox", funds.arbits);
+        (funds.assets || []).forEach(asset => addBox("AssetBox", asset.value, { issuer: asset.issuer, assetCode: asset.assetCode, data: "" }));
+        return created;
+    }
+
+    /**
+     * Balances and boxes of a public key
+     * @param {string} publicKey Base58 encoded public key
+     * @return {object} balances in the format of the `balances` wallet route
+     * @memberof MockBifrost
+     */
+    balances(publicKey) {
+        const owned = [...this.boxes.values()].filter(box => box.proposition === publicKey);
+        const ofType = type => owned.filter(box => box.type === type);
+        return {
+            Balances: {
+                Polys: sumValues(ofType("PolyBox")).toString(),
+                Arbits: sumValues(ofType("ArbitBox")).toString()
+            },
+            Boxes: {
+                PolyBox: ofType("PolyBox"),
+                ArbitBox: ofType("ArbitBox"),
+                AssetBox: ofType("AssetBox")
+            }
+        };
+    }
+
+    /**
+     * Validate a signed transaction against the current state and add it to the mempool
+     * @param {object} tx signed transaction
+     * @return {object} the accepted transaction
+     * @memberof MockBifrost
+     */
+    submit(tx) {
+        let built;
+        try { built = TransactionBuilder.rebuild(tx) } catch (err) { throw rpcError("Invalid transaction: " + err.message) }
+        const formattedTx = built.formattedTx;
+        const txHash = formattedTx.txHash;
+        if (this.mempool.has(txHash) || this.txIndex.has(txHash)) throw rpcError("Transaction " + txHash + " already exists");
+
+        // every owner of a spent box (or the issuer of a new asset) must sign the message
+        const message = Buffer.from(Base58.decode(built.messageToSign));
+        TransactionBuilder.requiredSigners(formattedTx).forEach(pk => {
+            const signature = (formattedTx.signatures || {})[pk];
+            let valid = false;
+            try { valid = !!signature && KeyManager.verify(pk, message, signature) } catch (err) { valid = false }
+            if (!valid) throw rpcError("Invalid signature for " + pk);
+        });
+
+        // the spent boxes must exist, have the right type, and not be spent by another pending transaction
+        const reserved = new Set([].concat(...[...this.mempool.values()].map(entry => entry.tx.boxesToRemove || [])));
+        const inputs = (formattedTx.boxesToRemove || []).map(id => {
+            const box = this.boxes.get(id);
+            if (!box) throw rpcError("Box " + id + " does not exist");
+            if (reserved.has(id)) throw rpcError("Box " + id + " is already spent by a pending transaction");
+            if (box.type !== boxTypes[formattedTx.txType]) throw rpcError("Box " + id + " is not a " + boxTypes[formattedTx.txType]);
+            if (box.type === "AssetBox" && (box.issuer !== formattedTx.issuer || box.assetCode !== formattedTx.assetCode)) {
+                throw rpcError("Box " + id + " does not contain the transferred asset");
+            }
+            return box;
+        });
+
+        if (formattedTx.txType !== "AssetCreation") {
+            const fee = formattedTx.txType === "AssetTransfer" ? BigInt(0) : BigInt(formattedTx.fee);
+            if (sumValues(inputs) < sumValues(formattedTx.to) + fee) throw rpcError("Insufficient funds in the spent boxes");
+        }
+
+        this.mempool.set(txHash, { tx: formattedTx, newBoxes: built.newBoxes });
+        return formattedTx;
+    }
+
+    /**
+     * Forge a new block containing the transactions of the mempool
+     * @return {object} the new block
+     * @memberof MockBifrost
+     */
+    forge() {
+        const entries = [...this.mempool.values()];
+        this.mempool.clear();
+
+        // skip transactions whose boxes were spent in the meantime
+        const included = entries.filter(entry => (entry.tx.boxesToRemove || []).every(id => this.boxes.has(id)));
+        const spent = [];
+        included.forEach(entry => {
+            (entry.tx.boxesToRemove || []).forEach(id => {
+                spent.push(this.boxes.get(id));
+                this.boxes.delete(id);
+            });
+            entry.newBoxes.forEach(box => this.boxes.set(box.id, box));
+        });
+
+        const block = this.createBlock(this.bestBlock.id, included.map(entry => entry.tx));
+        this.blocks.push(block);
+        this.undo.set(block.id, { included, spent });
+        block.txs.forEach(tx => this.txIndex.set(tx.txHash, this.blocks.length));
+        return block;
+    }
+
+    /**
+     * Remove the most recent blocks from the chain (as in a reorganization). The transactions of the removed blocks
+     * are returned to the mempool, so that they are included again by the next forged block
+     * @param {number} [depth=1] number of blocks to remove (the genesis block is never removed)
+     * @return {object[]} the removed blocks
+     * @memberof MockBifrost
+     */
+    reorg(depth = 1) {
+        const removed = this.blocks.splice(Math.max(1, this.blocks.length - depth)).reverse();
+        removed.forEach(block => {
+            const { included, spent } = this.undo.get(block.id) || { included: [], spent: [] };
+            included.forEach(entry => {
+                entry.newBoxes.forEach(box => this.boxes.delete(box.id));
+                this.txIndex.delete(entry.tx.txHash);
+                this.mempool.set(entry.tx.txHash, entry);
+            });
+            spent.forEach(box => this.boxes.set(box.id, box));
+            this.undo.delete(block.id);
+        });
+        return removed;
+    }
+
+    /**
+     * Remove a pending transaction from the mempool without including it in a block
+     * @param {string} txHash id of the transaction
+     * @return {boolean} true if the transaction was pending
+     * @memberof MockBifrost
+     */
+    drop(txHash) {
+        return this.mempool.delete(txHash);
+    }
+
+    //// Node wallet /////////////////////////////////////////////////////////////////////////////////////////////////
+
+    /**
+     * Create a new (unlocked) keyfile held by the node
+     * @param {string} password encryption password of the keyfile
+     * @return {string} public key of the new keyfile
+     * @memberof MockBifrost
+     */
+    addKeyfile(password) {
+        const keyManager = new KeyManager({ password, constants: mockKeyOptions });
+        this.keyfiles.set(keyManager.pk, { keyManager, password, unlocked: true });
+        return keyManager.pk;
+    }
+
+    /**
+     * Lookup a keyfile of the node and check its password
+     * @param {string} publicKey public key of the keyfile
+     * @param {string} password encryption password of the keyfile
+     * @return {object} keyfile entry
+     * @memberof MockBifrost
+     */
+    keyfile(publicKey, password) {
+        const entry = this.keyfiles.get(publicKey);
+        if (!entry) throw rpcError("No keyfile found for " + publicKey);
+        if (entry.password !== password) throw rpcError("Invalid password");
+        return entry;
+    }
+
+    /**
+     * Public keys of the unlocked keyfiles of the node
+     * @return {string[]} public keys
+     * @memberof MockBifrost
+     */
+    openKeyfiles() {
+        return [...this.keyfiles].filter(([, entry]) => entry.unlocked).map(([pk]) => pk);
+    }
+
+    /**
+     * Sign a formatted transaction with keyfiles of the node
+     * @param {object} built transaction of the form `{ formattedTx, messageToSign }`
+     * @param {string[]} [publicKeys] keys to sign with (defaults to every required signer)
+     * @return {object} signed transaction
+     * @memberof MockBifrost
+     */
+    signWithKeyfiles(built, publicKeys) {
+        const tx = built.formattedTx;
+        const signers = publicKeys || TransactionBuilder.requiredSigners(tx);
+        const message = Buffer.from(Base58.decode(built.messageToSign));
+        const signatures = { ...tx.signatures };
+        signers.forEach(pk => {
+            const entry = this.keyfiles.get(pk);
+            if (!entry || !entry.unlocked) throw rpcError("No unlocked keyfile found for " + pk);
+            signatures[pk] = Base58.encode(entry.keyManager.sign(message));
+        });
+        return { ...tx, signatures };
+    }
+
+    //// Transaction preparation /////////////////////////////////////////////////////////////////////////////////////
+
+    /**
+     * Select unspent boxes owned by the senders until the required value is reached
+     * @param {string[]} senders public keys allowed to spend
+     * @param {function} predicate filter for the box type
+     * @param {bigint} required value to reach
+     * @return {object[]} selected boxes
+     * @memberof MockBifrost
+     */
+    selectBoxes(senders, predicate, required) {
+        const reserved = new Set([].concat(...[...this.mempool.values()].map(entry => entry.tx.boxesToRemove || [])));
+        const selected = [];
+        let total = BigInt(0);
+        for (const box of this.boxes.values()) {
+            if (total >= required) break;
+            if (!senders.includes(box.proposition) || reserved.has(box.id) || !predicate(box)) continue;
+            selected.push(box);
+            total += BigInt(box.value);
+        }
+        if (total < required) throw rpcError("Insufficient funds available to create the transaction");
+        return selected;
+    }
+
+    /**
+     * Build an unsigned transfer from the boxes of the senders (with change returned to the change address)
+     * @param {string} txType transaction type (`PolyTransfer`, `ArbitTransfer`, or `AssetTransfer`)
+     * @param {object} params parameters of the transfer route
+     * @param {string[]} senders public keys allowed to spend
+     * @return {object} transaction of the form `{ formattedTx, messageToSign, newBoxes }`
+     * @memberof MockBifrost
+     */
+    prepareTransfer(txType, params, senders) {
+        if (!senders.length) throw rpcError("No senders available for the transaction");
+        const amount = BigInt(params.amount);
+        const fee = txType === "AssetTransfer" ? BigInt(0) : BigInt(params.fee);
+        const predicate = txType === "AssetTransfer"
+            ? box => box.type === "AssetBox" && box.issuer === params.issuer && box.assetCode === params.assetCode
+            : box => box.type === boxTypes[txType];
+        const boxes = this.selectBoxes(senders, predicate, amount + fee);
+        return this.buildFromBoxes(txType, params, boxes, params.changeAddress || boxes[0].proposition);
+    }
+
+    /**
+     * Build an unsigned transfer spending the given boxes
+     * @param {string} txType transaction type
+     * @param {object} params parameters of the transfer route
+     * @param {object[]} boxes boxes to spend
+     * @param {string} changeAddress recipient of the remaining value
+     * @return {object} transaction of the form `{ formattedTx, messageToSign, newBoxes }`
+     * @memberof MockBifrost
+     */
+    buildFromBoxes(txType, params, boxes, changeAddress) {
+        const fee = txType === "AssetTransfer" ? BigInt(0) : BigInt(params.fee);
+        const change = sumValues(boxes) - BigInt(params.amount) - fee;
+        const to = [{ proposition: params.recipient, value: params.amount }];
+        if (change > 0) to.push({ proposition: changeAddress, value: change.toString() });
+
+        return TransactionBuilder.rebuild({
+            txType,
+            from: boxes.map(box => ({ proposition: box.proposition, nonce: box.nonce })),
+            to,
+            fee: params.fee,
+            data: params.data,
+            issuer: params.issuer,
+            assetCode: params.assetCode
+        });
+    }
+
+    /**
+     * Build an unsigned asset creation
+     * @param {object} params parameters of the asset creation route
+     * @return {object} transaction of the form `{ formattedTx, messageToSign, newBoxes }`
+     * @memberof MockBifrost
+     */
+    prepareAssetCreation(params) {
+        return TransactionBuilder.rebuild({
+            txType: "AssetCreation",
+            to: [{ proposition: params.recipient, value: params.amount }],
+            issuer: params.issuer,
+            assetCode: params.assetCode,
+            fee: params.fee,
+            data: params.data
+        });
+    }
+
+    /**
+     * Build an unsigned transfer of a specific asset box
+     * @param {object} params parameters of the targeted transfer route
+     * @return {object} transaction of the form `{ formattedTx, messageToSign, newBoxes }`
+     * @memberof MockBifrost
+     */
+    prepareTargetTransfer(params) {
+        const box = this.boxes.get(params.assetId);
+        if (!box || box.type !== "AssetBox") throw rpcError("No asset box found for " + params.assetId);
+        if (params.sender && ![].concat(params.sender).includes(box.proposition)) throw rpcError("The asset box is not owned by the sender");
+        return this.buildFromBoxes("AssetTransfer", { ...params, issuer: box.issuer, assetCode: box.assetCode }, [box], params.changeAddress || box.proposition);
+    }
+
+    //// JSON-RPC routes /////////////////////////////////////////////////////////////////////////////////////////////
+
+    /**
+     * Create the route handlers (for use with `InProcessTransport`)
+     * @return {object} handler object keyed by route and json-rpc method
+     * @memberof MockBifrost
+     */
+    createHandler() {
+        const senders = params => params.sender ? [].concat(params.sender) : this.openKeyfiles();
+        const prototype = built => ({ formattedTx: built.formattedTx, messageToSign: built.messageToSign });
+        const nodeSigned = built => this.submit(this.signWithKeyfiles(built));
+        const setLock = (params, unlocked) => {
+            this.keyfile(params.publicKey, params.password).unlocked = unlocked;
+            return { [params.publicKey]: unlocked ? "unlocked" : "locked" };
+        };
+
+        return {
+            "wallet/": {
+                balances: params => Object.fromEntries(params.publicKeys.map(pk => [pk, this.balances(pk)])),
+                listOpenKeyfiles: () => this.openKeyfiles(),
+                generateKeyfile: params => ({ publicKey: this.addKeyfile(params.password) }),
+                lockKeyfile: params => setLock(params, false),
+                unlockKeyfile: params => setLock(params, true),
+                signTx: params => {
+                    const built = TransactionBuilder.rebuild(params.tx);
+                    return this.signWithKeyfiles(built, [].concat(params.publicKey));
+                },
+                broadcastTx: params => this.submit(params.tx),
+                transferPolys: params => nodeSigned(this.prepareTransfer("PolyTransfer", params, senders(params))),
+                transferArbits: params => nodeSigned(this.prepareTransfer("ArbitTransfer", params, senders(params)))
+            },
+            "asset/": {
+                createAssets: params => nodeSigned(this.prepareAssetCreation(params)),
+                createAssetsPrototype: params => prototype(this.prepareAssetCreation(params)),
+                transferAssets: params => nodeSigned(this.prepareTransfer("AssetTransfer", params, senders(params))),
+                transferAssetsPrototype: params => prototype(this.prepareTransfer("AssetTransfer", params, senders(params))),
+                transferTargetAssets: params => nodeSigned(this.prepareTargetTransfer(params)),
+                transferTargetAssetsPrototype: params => prototype(this.prepareTargetTransfer(params))
+            },
+            "nodeView/": {
+                transactionById: params => {
+                    const height = this.txIndex.get(params.transactionId);
+                    if (!height) throw rpcError("Unable to find confirmed transaction");
+                    const block = this.blocks[height - 1];
+                    const tx = block.txs.find(t => t.txHash === params.transactionId);
+                    return { ...tx, blockNumber: height, blockHash: block.id };
+                },
+                transactionFromMempool: params => {
+                    const entry = this.mempool.get(params.transactionId);
+                    if (!entry) throw rpcError("Unable to retrieve transaction");
+                    return entry.tx;
+                },
+                mempool: () => [...this.mempool.values()].map(entry => entry.tx),
+                blockById: params => {
+                    const block = this.blocks.find(b => b.id === params.blockId);
+                    if (!block) throw rpcError("Unable to find block " + params.blockId);
+                    return block;
+                }
+            },
+            "debug/": {
+                info: () => ({
+                    height: this.blocks.length,
+                    score: this.blocks.length,
+                    bestBlockId: this.bestBlock.id,
+                    bestBlock: this.bestBlock,
+                    stateVersion: this.bestBlock.id
+                }),
+                delay: params => {
+                    const end = this.blocks.findIndex(b => b.id === params.blockId);
+                    if (end < 0) throw rpcError("Unable to find block " + params.blockId);
+                    const start = Math.max(0, end - params.numBlocks);
+                    const delay = end > start ? (this.blocks[end].timestamp - this.blocks[start].timestamp) / (end - start) : 0;
+                    return { delay: delay + " milliseconds" };
+                },
+                myBlocks: () => ({ pubkeys: [this.forger], count: this.blocks.length - 1 }),
+                generators: () => ({ [this.forger]: this.blocks.slice(1).map(b => b.id) })
+            }
+        };
+    }
+
+    //// HTTP server /////////////////////////////////////////////////////////////////////////////////////////////////
+
+    /**
+     * Start an HTTP server answering JSON-RPC requests like a Bifrost node
+     * @param {number} [port=0] port to listen on (a free port is chosen if 0)
+     * @return {Promise<string>} url of the server (for use with the Requests constructor)
+     * @memberof MockBifrost
+     */
+    listen(port = 0) {
+        this.server = http.createServer((req, res) => {
+            let data = "";
+            req.on("data", chunk => (data += chunk));
+            req.on("end", async () => {
+                const reply = (status, body) => {
+                    res.writeHead(status, { "Content-Type": "application/json" });
+                    res.end(JSON.stringify(body));
+                };
+
+                if (this.apiKey && req.headers["x-api-key"] !== this.apiKey) {
+                    return reply(401, { jsonrpc: "2.0", id: null, error: { code: 401, message: "Provided API key is not valid" } });
+                }
+
+                let body;
+                try { body = JSON.parse(data) } catch (err) {
+                    return reply(200, { jsonrpc: "2.0", id: null, error: { code: -32700, message: "Parse error" } });
+                }
+                reply(200, await this.transport.send({ route: req.url.replace(/^\//, ""), body }));
+            });
+        });
+
+        return new Promise(resolve => {
+            this.server.listen(port, () => resolve("http://localhost:" + this.server.address().port + "/"));
+        });
+    }
+
+    /**
+     * Stop the HTTP server and automatic block production
+     * @return {Promise} resolves once the server is closed
+     * @memberof MockBifrost
+     */
+    close() {
+        clearInterval(this.forgeInterval);
+        if (!this.server) return Promise.resolve();
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+}
+
+module.exports = MockBifrost
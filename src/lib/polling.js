@@ -1,53 +1,28 @@
+// Dependencies
+const TxWatcher = require('./txWatcher')
+
+// Watchers shared by the polls of each Requests instance (one watcher per polling interval)
+const watchers = new WeakMap()
+
+/**
+ * Poll the chain provider until a transaction is confirmed. Polls sharing a Requests instance and an interval
+ * are served by a single `TxWatcher`, so that the transactions are looked up together
+ *
+ * @param {Requests} requests Requests instance of the chain provider
+ * @param {string} txId id of the transaction
+ * @param {object} options polling options
+ * @param {number} options.timeout time (in seconds) before the polling operation is stopped
+ * @param {number} options.interval time (in seconds) between attempts
+ * @param {number} options.maxFailedQueries number of consecutive failures to find the unconfirmed transaction in the mempool
+ * @param {number} [options.confirmations=1] depth of the block of the transaction (relative to the best block) before it is confirmed
+ * @param {AbortSignal} [options.signal] signal to stop polling
+ * @returns {Promise<object>} the confirmed transaction
+ */
 module.exports = (requests, txId, options) => {
-    const { timeout, interval, maxFailedQueries } = options
-    let failureResponse;
-    let numFailedQueries = 0; // initialize counter for number of queries to the mempool
+    const { timeout, interval, maxFailedQueries, confirmations, signal } = options
+    if (!watchers.has(requests)) watchers.set(requests, new Map())
 
-    return new Promise((resolve, reject) => {
-      //Setting timeout thread to clear interval thread after timeout duration
-      const timeoutID = setTimeout(function () {
-        clearInterval(intervalID);
-        reject(new Error("Request timed out, transaction was not included in a block before expiration \n" + failureResponse));
-      }, timeout*1000);
-  
-      const intervalID = setInterval(function () {
-        requests.getTransactionById({ transactionId: txId })
-          .then(
-            // on fulfilled promise (when the transaction has been included in a block)
-            function (response) {
-              try {
-                //If result is non-null (transaction found) resolve the promise with json of result and stop interval and timeout threads
-                clearInterval(intervalID);
-                clearTimeout(timeoutID);
-                resolve(response.result);
-              } catch (error) {
-                //Catch if response cannot be parsed correctly
-                reject("Unexepected API response from findTransactionById \n" + error)
-              }
-            },
-            // on rejected promise, see if ithe transaction can be found in the mempool
-            function (response) {
-              failureResponse = response.error ? response.error.message : 'Uncaught exception'
-              requests.getTransactionFromMempool({ transactionId: txId })
-                .then(
-                  // on finding the tx in the mempool
-                  function () {
-                    //console.debug('Transaction Pending')  
-                    numFailedQueries = 0; // reset pending counter
-                  },
-                  // on rejected promise, increment the counter and reject if too many attepmts
-                  function () {
-                    //console.debug('Not found in mempool')
-                    numFailedQueries++
-                    if (numFailedQueries >= maxFailedQueries) {
-                      clearInterval(intervalID);
-                      clearTimeout(timeoutID);
-                      throw new Error("Unable to find the transaction in the mempool");
-                    }
-                  }
-                ).catch(err => reject(err))
-            }
-          ).catch(err => reject(err))
-      }, interval*1000);
-    });
-  };
\ No newline at end of file
+    const byInterval = watchers.get(requests)
+    if (!byInterval.has(interval)) byInterval.set(interval, new TxWatcher(requests, { interval }))
+    return byInterval.get(interval).wait(txId, { timeout, maxFailedQueries, confirmations, signal })
+}
@@ -0,0 +1,258 @@
+/**
+ * A pool of chain providers serving the calls of a Requests instance (i.e. a local Bifrost node and hosted endpoints).
+ * Providers are health-checked with `chainInfo` and ranked by their health, by how fresh their best block is, and by
+ * their latency. Each call is sent to the best ranked provider, and fails over to the next one if the provider cannot
+ * be reached. The pool emits:
+ * - `served` ({ provider, method, latency }): a call was served by a provider
+ * - `failover` ({ provider, method, error }): a provider failed and the call is sent to the next provider
+ * - `health` (status): the providers were health-checked (see `status`)
+ **/
+
+("use strict");
+
+// Dependencies
+const EventEmitter = require('events')
+const { NetworkError, ValidationError } = require('./errors')
+
+// Default options of a pool
+const defaultOptions = {
+    // time (in seconds) between health checks of the providers (0 to check only on demand)
+    healthCheckInterval: 30,
+
+    // time (in milliseconds) before a health check fails
+    healthCheckTimeout: 5000,
+
+    // number of blocks a provider may lag behind the highest best block and still be considered fresh
+    maxLag: 2
+}
+
+// weight of the latest latency in the moving average of the latency of a provider
+const latencyWeight = 0.3
+
+/**
+ * Check whether a failed call may be sent to another provider. Providers that cannot be reached (or refuse the call)
+ * are failed over, except for timeouts of calls changing the state of the node since they may have been processed
+ * @param {Error} err failure of the provider
+ * @param {boolean} idempotent whether the call may safely be repeated
+ * @return {boolean}
+ */
+function canFailOver(err, idempotent) {
+    return err instanceof NetworkError && (!err.timeout || idempotent)
+}
+
+/**
+ * Send a request to a provider. The timeout of the request applies to this provider only, so that a slow provider
+ * does not use up the time left for the next providers
+ * @param {object} provider provider
+ * @param {object} request request given to the transport
+ * @param {Transport} defaultTransport transport of the providers that were not given one
+ * @return {Promise<object>} response of the provider
+ */
+function sendTo(provider, request, defaultTransport) {
+    const transport = provider.transport || defaultTransport;
+    const sent = transport.send({ ...request, url: provider.url, headers: provider.headers || request.headers });
+    if (!request.timeout) return sent;
+
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new NetworkError('Request timed out after ' + request.timeout + 'ms', { timeout: request.timeout })), request.timeout);
+    });
+    return Promise.race([sent, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * @class Create a pool of chain providers
+ * @param {object[]} providers chain providers given as `{ url, headers, transport, name }`
+ * @param {function} probe function `(provider) => Promise<chainInfo>` health-checking a provider
+ * @param {object} [options] options of the pool
+ * @param {number} [options.healthCheckInterval=30] time (in seconds) between health checks (0 to check only on demand)
+ * @param {number} [options.healthCheckTimeout=5000] time (in milliseconds) before a health check fails
+ * @param {number} [options.maxLag=2] number of blocks a provider may lag behind the highest best block and still be fresh
+ */
+class ProviderPool extends EventEmitter {
+    constructor(providers, probe, options = {}) {
+        super();
+        if (!Array.isArray(providers) || !providers.length) {
+            throw new ValidationError('At least one chain provider must be given', { field: "providers" })
+        }
+        const given = Object.entries(options).filter(([, value]) => value !== undefined);
+        this.options = { ...defaultOptions, ...Object.fromEntries(given) };
+        this.probe = probe;
+        this.providers = providers.map(provider => ({
+            name: provider.name || provider.url,
+            url: provider.url,
+            headers: provider.headers,
+            transport: provider.transport,
+            healthy: true,
+            height: null,
+            latency: null,
+            checkedAt: null,
+            error: null
+        }));
+        this.timer = null;
+    }
+
+    /**
+     * Health of the providers in the order in which they are tried
+     * @return {object[]} providers given as `{ name, url, healthy, height, latency, checkedAt, error }`
+     * @memberof ProviderPool
+     */
+    status() {
+        return this.ranked().map(({ name, url, healthy, height, latency, checkedAt, error }) => ({ name, url, healthy, height, latency, checkedAt, error }));
+    }
+
+    /**
+     * Providers in the order in which they are tried: healthy providers first, then providers whose best block is
+     * fresh, then by latency (providers that were never measured keep the configured order)
+     * @return {object[]} providers
+     * @memberof ProviderPool
+     */
+    ranked() {
+        const heights = this.providers.filter(p => p.healthy && p.height !== null).map(p => p.height);
+        const best = heights.length ? Math.max(...heights) : null;
+        const fresh = p => best === null || p.height === null || p.height >= best - this.options.maxLag;
+        const latency = p => (p.latency === null ? Infinity : p.latency);
+
+        // Array.prototype.sort is stable, so equally ranked providers keep the configured order
+        return [...this.providers].sort((a, b) =>
+            (b.healthy - a.healthy) || (fresh(b) - fresh(a)) || (latency(a) - latency(b) || 0)
+        );
+    }
+
+    /**
+     * Health-check every provider with `chainInfo`
+     * @return {Promise<object[]>} health of the providers (see `status`)
+     * @memberof ProviderPool
+     */
+    async check() {
+        await Promise.all(this.providers.map(async provider => {
+            const start = Date.now();
+            let timer;
+            const timeout = new Promise((resolve, reject) => {
+                timer = setTimeout(() => reject(new NetworkError('Health check timed out', { timeout: this.options.healthCheckTimeout })), this.options.healthCheckTimeout);
+            });
+            try {
+                const info = await Promise.race([this.probe(provider), timeout]);
+                provider.height = info.height;
+                this.succeeded(provider, Date.now() - start);
+            } catch (err) {
+                this.failed(provider, err);
+            } finally {
+                clearTimeout(timer);
+                provider.checkedAt = Date.now();
+            }
+        }));
+        const status = this.status();
+        this.emit('health', status);
+        return status;
+    }
+
+    /**
+     * Health-check the providers periodically (the timer does not keep the process alive)
+     * @return {ProviderPool} this pool
+     * @memberof ProviderPool
+     */
+    start() {
+        if (this.timer || !this.options.healthCheckInterval) return this;
+        this.timer = setInterval(() => this.check(), this.options.healthCheckInterval * 1000);
+        this.timer.unref();
+        this.check();
+        return this;
+    }
+
+    /**
+     * Stop the periodic health checks
+     * @memberof ProviderPool
+     */
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Send a request to the best ranked provider, failing over to the next providers
+     * @param {object} request request given to the transport (the `url` and `headers` are those of the provider, and the
+     * `timeout` applies to each provider)
+     * @param {object} ctx information about the call
+     * @param {string} ctx.method json-rpc method of the call
+     * @param {boolean} ctx.idempotent whether the call may safely be sent to another provider after a timeout
+     * @param {Transport} defaultTransport transport of the providers that were not given one
+     * @return {Promise<object>} response of the provider
+     * @memberof ProviderPool
+     */
+    async send(request, ctx, defaultTransport) {
+        this.start();
+        let failure;
+        for (const provider of this.ranked()) {
+            const start = Date.now();
+            try {
+                const response = await sendTo(provider, request, defaultTransport);
+                const latency = Date.now() - start;
+                this.succeeded(provider, latency);
+                this.emit('served', { provider: provider.name, method: ctx.method, latency });
+                return response;
+            } catch (err) {
+                if (!canFailOver(err, ctx.idempotent)) throw err;
+                this.failed(provider, err);
+                this.emit('failover', { provider: provider.name, method: ctx.method, error: err });
+                failure = err;
+            }
+        }
+        throw failure;
+    }
+
+    /**
+     * Send a request to several providers at once (i.e. to compare their answers)
+     * @param {object} request request given to the transport (the `url` and `headers` are those of each provider)
+     * @param {object} ctx information about the call
+     * @param {string} ctx.method json-rpc method of the call
+     * @param {Transport} defaultTransport transport of the providers that were not given one
+     * @param {number} [count] number of providers queried (the best ranked ones, by default every provider)
+     * @return {Promise<object[]>} answers given as `{ provider, response }`, or `{ provider, error }` if the provider failed
+     * @memberof ProviderPool
+     */
+    async query(request, ctx, defaultTransport, count = this.providers.length) {
+        this.start();
+        return Promise.all(this.ranked().slice(0, count).map(async provider => {
+            const start = Date.now();
+            try {
+                const response = await sendTo(provider, request, defaultTransport);
+                const latency = Date.now() - start;
+                this.succeeded(provider, latency);
+                this.emit('served', { provider: provider.name, method: ctx.method, latency });
+                return { provider: provider.name, response };
+            } catch (err) {
+                if (!(err instanceof NetworkError)) throw err;
+                this.failed(provider, err);
+                return { provider: provider.name, error: err };
+            }
+        }));
+    }
+
+    /**
+     * Record a successful call or health check of a provider
+     * @private
+     * @param {object} provider provider
+     * @param {number} latency time (in milliseconds) of the call
+     * @memberof ProviderPool
+     */
+    succeeded(provider, latency) {
+        provider.healthy = true;
+        provider.error = null;
+        provider.latency = provider.latency === null ? latency : Math.round((1 - latencyWeight) * provider.latency + latencyWeight * latency);
+    }
+
+    /**
+     * Record a failure of a provider (the provider is tried last until it succeeds again)
+     * @private
+     * @param {object} provider provider
+     * @param {Error} err failure of the provider
+     * @memberof ProviderPool
+     */
+    failed(provider, err) {
+        provider.healthy = false;
+        provider.error = err.message;
+    }
+}
+
+module.exports = ProviderPool
@@ -0,0 +1,137 @@
+/**
+ * Client-side limits on the requests sent to a chain provider: a token bucket limiting the rate of requests,
+ * a cap on the number of requests in flight, and a priority queue deciding which waiting request is sent next
+ * (i.e. a `broadcastTx` is sent before background lookups). After a rate-limited response the limiter pauses,
+ * so that no request is sent until the chain provider accepts requests again
+ **/
+
+("use strict");
+
+// Dependencies
+const { ValidationError } = require('./errors')
+const { throwIfAborted, onAbort } = require('./abort')
+
+/**
+ * @class Create a limiter for the requests sent to a chain provider
+ * @param {object} [options]
+ * @param {number} [options.rate=Infinity] maximum number of requests sent per second (on average)
+ * @param {number} [options.burst] number of requests that may be sent at once after an idle period (defaults to `rate`, at least 1)
+ * @param {number} [options.concurrency=Infinity] maximum number of requests in flight
+ */
+class RateLimiter {
+    constructor(options = {}) {
+        const { rate = Infinity, concurrency = Infinity } = options;
+        if (!(rate > 0)) throw new ValidationError('The rate limit must be a positive number', { field: "rateLimit" })
+        if (!(concurrency >= 1)) throw new ValidationError('The concurrency must be at least 1', { field: "concurrency" })
+        this.rate = rate;
+        this.burst = options.burst || Math.max(1, rate);
+        this.concurrency = concurrency;
+
+        // state of the token bucket
+        this.tokens = this.burst;
+        this.refilled = Date.now();
+
+        // requests in flight, waiting requests (ordered by priority, then by arrival), and the end of a pause
+        this.inFlight = 0;
+        this.queue = [];
+        this.sequence = 0;
+        this.pausedUntil = 0;
+        this.timer = null;
+    }
+
+    /**
+     * Number of requests waiting to be sent
+     * @memberof RateLimiter
+     */
+    get pending() {
+        return this.queue.length;
+    }
+
+    /**
+     * Wait for the turn of a request. The returned function must be called once the request is settled
+     * @param {object} [options]
+     * @param {number} [options.priority=0] priority of the request (requests with a higher priority are sent first)
+     * @param {AbortSignal} [options.signal] signal to stop waiting (rejects with an `AbortError`)
+     * @return {Promise<function>} function releasing the slot of the request
+     * @memberof RateLimiter
+     */
+    acquire(options = {}) {
+        const { priority = 0, signal } = options;
+        throwIfAborted(signal);
+        return new Promise((resolve, reject) => {
+            const entry = { priority, sequence: ++this.sequence, resolve };
+            const index = this.queue.findIndex(other => other.priority < priority);
+            this.queue.splice(index === -1 ? this.queue.length : index, 0, entry);
+
+            entry.removeListener = onAbort(signal, err => {
+                this.queue = this.queue.filter(other => other !== entry);
+                reject(err);
+            });
+            this.dispatch();
+        });
+    }
+
+    /**
+     * Stop sending requests for the given time (i.e. after a rate-limited response)
+     * @param {number} ms time in milliseconds
+     * @memberof RateLimiter
+     */
+    pause(ms) {
+        this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+        this.dispatch();
+    }
+
+    /**
+     * Add the tokens accumulated since the last refill
+     * @private
+     * @memberof RateLimiter
+     */
+    refill() {
+        const now = Date.now();
+        if (this.rate !== Infinity) this.tokens = Math.min(this.burst, this.tokens + (now - this.refilled) / 1000 * this.rate);
+        this.refilled = now;
+    }
+
+    /**
+     * Let the waiting requests go as long as the limits allow, then wake up once the next request may be sent
+     * @private
+     * @memberof RateLimiter
+     */
+    dispatch() {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        while (this.queue.length && this.inFlight < this.concurrency) {
+            const paused = this.pausedUntil - Date.now();
+            if (paused > 0) return this.wake(paused);
+
+            this.refill();
+            if (this.rate !== Infinity && this.tokens < 1) return this.wake((1 - this.tokens) / this.rate * 1000);
+
+            const entry = this.queue.shift();
+            entry.removeListener();
+            if (this.rate !== Infinity) this.tokens -= 1;
+            this.inFlight++;
+
+            let released = false;
+            entry.resolve(() => {
+                if (released) return;
+                released = true;
+                this.inFlight--;
+                this.dispatch();
+            });
+        }
+    }
+
+    /**
+     * Dispatch the waiting requests after the given time
+     * @private
+     * @param {number} ms time in milliseconds
+     * @memberof RateLimiter
+     */
+    wake(ms) {
+        this.timer = setTimeout(() => this.dispatch(), Math.ceil(ms));
+    }
+}
+
+module.exports = RateLimiter
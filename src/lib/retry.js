@@ -0,0 +1,120 @@
+/**
+ * Timeout, retry, and backoff policy for requests sent to a chain provider
+ **/
+
+("use strict");
+
+// Dependencies
+const { NetworkError, RateLimitError, AbortError } = require('./errors')
+const { throwIfAborted, abortable, delay } = require('./abort')
+
+// Default options for sending requests
+const defaultPolicy = {
+    // Maximum time (in milliseconds) to wait for each attempt (0 to wait indefinitely)
+    timeout: 30000,
+
+    // Number of additional attempts after a retryable failure
+    retries: 0,
+
+    // Exponential backoff between attempts (in milliseconds)
+    minDelay: 250,
+    maxDelay: 10000,
+    factor: 2,
+
+    // Fraction of the delay that is randomized to avoid synchronized retries
+    jitter: 0.5,
+
+    // Function deciding if a failed attempt may be retried
+    retryOn: isRetryable,
+
+    // Number of additional attempts after rate-limited responses (counted separately from `retries`)
+    rateLimitRetries: 3
+}
+
+/**
+ * Default decision for retrying a failed attempt. Network failures (`NetworkError`) and 5xx responses are retried.
+ * JSON-RPC errors are never retried since the node has processed the request, and a timeout of a
+ * non-idempotent call (i.e. `broadcastTx`) is not retried since its outcome is unknown.
+ * @param {Error|object} err the failure of the attempt
+ * @param {object} ctx information about the call
+ * @param {string} ctx.method the json-rpc method
+ * @param {boolean} ctx.idempotent whether the call may safely be repeated
+ * @param {number} ctx.attempt the number of the failed attempt (starting at 1)
+ * @return {boolean} true if the call should be attempted again
+ */
+function isRetryable(err, ctx) {
+    // json-rpc errors (RpcError) and invalid calls are never retried
+    if (!(err instanceof NetworkError)) return false
+    if (err.status) return err.status >= 500
+    if (err.timeout) return ctx.idempotent
+    return true
+}
+
+/**
+ * Calculate the delay before the next attempt
+ * @param {number} attempt the number of the failed attempt (starting at 1)
+ * @param {object} policy request policy
+ * @return {number} delay in milliseconds
+ */
+function backoffDelay(attempt, policy) {
+    const delay = Math.min(policy.maxDelay, policy.minDelay * Math.pow(policy.factor, attempt - 1))
+    return delay * (1 - policy.jitter * Math.random())
+}
+
+/**
+ * Reject if the promise does not settle within the given time
+ * @param {Promise} promise the pending attempt
+ * @param {number} ms timeout in milliseconds (0 to disable)
+ * @return {Promise} the settled attempt
+ */
+function withTimeout(promise, ms) {
+    if (!ms) return promise
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new NetworkError("Request timed out after " + ms + "ms", { timeout: ms })), ms)
+    })
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer))
+}
+
+/**
+ * Run an attempt function according to the given policy. If the policy has an AbortSignal (`policy.signal`),
+ * aborting rejects the pending attempt (or the delay before the next attempt) with an `AbortError` that is never retried.
+ * If the policy has a `RateLimiter` (`policy.limiter`), every attempt waits for its turn with the priority `policy.priority`.
+ * Rate-limited attempts (`RateLimitError`) are attempted again after the time requested by the chain provider
+ * (or an exponential backoff), pausing the limiter meanwhile so that other calls back off as well
+ * @param {function} attemptFn function returning a promise for a single attempt
+ * @param {object} policy request policy (see `defaultPolicy`)
+ * @param {object} ctx information about the call passed to `policy.retryOn`
+ * @return {Promise} result of the first successful attempt
+ */
+async function withRetry(attemptFn, policy, ctx) {
+    let rateLimited = 0
+    for (let attempt = 1; ; attempt++) {
+        throwIfAborted(policy.signal)
+        const release = policy.limiter ? await policy.limiter.acquire({ priority: policy.priority, signal: policy.signal }) : null
+        let failure
+        try {
+            return await abortable(withTimeout(attemptFn(attempt), policy.timeout), policy.signal)
+        } catch (err) {
+            failure = err
+        } finally {
+            if (release) release()
+        }
+
+        if (failure instanceof AbortError) throw failure
+        if (failure instanceof RateLimitError) {
+            // the request was not processed, so it is sent again once the chain provider accepts requests
+            if (++rateLimited > policy.rateLimitRetries) throw failure
+            const wait = failure.retryAfter !== undefined ? failure.retryAfter * 1000 : backoffDelay(rateLimited, policy)
+            if (policy.limiter) policy.limiter.pause(wait)
+            else await delay(wait, policy.signal)
+            continue
+        }
+
+        const failed = attempt - rateLimited
+        if (failed > policy.retries || !policy.retryOn(failure, { ...ctx, attempt: failed })) throw failure
+        await delay(backoffDelay(failed, policy), policy.signal)
+    }
+}
+
+module.exports = { defaultPolicy, isRetryable, withRetry }
@@ -0,0 +1,245 @@
+/**
+ * Transports used by the Requests module to deliver JSON-RPC payloads to a chain provider.
+ * Every transport implements `send(request)` where `request` is an object of the form
+ * `{ url, route, headers, body, timeout, signal }` and `body` is either a single JSON-RPC request object or a batch array.
+ * The returned promise resolves with the parsed JSON-RPC response (object or array). Transports should stop sending
+ * the request once the optional AbortSignal (`signal`) is aborted
+ **/
+
+("use strict");
+
+// Dependencies
+const fetch = require('node-fetch')
+const WebSocket = require('ws')
+const { NetworkError, RateLimitError, ValidationError, AbortError } = require('./errors')
+const { onAbort } = require('./abort')
+
+/**
+ * Check whether a signal is accepted by node-fetch (the signal of a native or polyfilled AbortController)
+ * @param {object} signal AbortSignal
+ * @return {boolean}
+ */
+function isFetchSignal(signal) {
+    const proto = signal && typeof signal === 'object' && Object.getPrototypeOf(signal);
+    return !!(proto && proto.constructor && proto.constructor.name === 'AbortSignal');
+}
+
+/**
+ * Parse the Retry-After header of a response (given either in seconds or as an HTTP date)
+ * @param {string} [value] value of the header
+ * @return {number|undefined} time to wait in seconds
+ */
+function parseRetryAfter(value) {
+    if (!value) return undefined;
+    if (/^\d+$/.test(value.trim())) return Number(value);
+    const date = Date.parse(value);
+    return isNaN(date) ? undefined : Math.max(0, (date - Date.now()) / 1000);
+}
+
+/**
+ * @class Transport sending each payload as an HTTP POST request (standard Bifrost API)
+ */
+class HttpTransport {
+    /**
+     * Send a JSON-RPC payload to the chain provider
+     * @param {object} request request to send
+     * @param {string} request.url base url of the chain provider
+     * @param {string} request.route route of the json-rpc method
+     * @param {object} request.headers headers to include in the request
+     * @param {object|object[]} request.body JSON-RPC request object or batch array
+     * @param {number} [request.timeout] time (in milliseconds) before the connection is closed
+     * @param {AbortSignal} [request.signal] signal closing the connection once aborted
+     * @returns {object|object[]} JSON-RPC response
+     */
+    async send(request) {
+        const payload = {
+            method: "POST",
+            headers: request.headers,
+            body: JSON.stringify(request.body),
+            timeout: request.timeout || 0
+        };
+        if (isFetchSignal(request.signal)) payload.signal = request.signal;
+        const response = await fetch(request.url + request.route, payload).catch(err => {
+            if (err.name === 'AbortError') throw new AbortError('The operation was aborted', { reason: request.signal.reason, cause: err });
+            throw new NetworkError("Unable to reach the chain provider: " + err.message, {
+                timeout: err.type === 'request-timeout' ? request.timeout : undefined,
+                cause: err
+            });
+        });
+        if (response.status === 429) {
+            throw new RateLimitError("Chain provider rate limit exceeded", { status: 429, retryAfter: parseRetryAfter(response.headers.get('retry-after')) });
+        }
+        const body = await response.json().catch(err => {
+            if (response.status < 500) throw new NetworkError("Invalid response from the chain provider", { status: response.status, cause: err });
+            return null;
+        });
+        if (response.status < 500) return body;
+
+        // Bifrost reports json-rpc errors with a 500 status, anything else is a failure of the provider
+        if (body && (Array.isArray(body) || body.error)) return body;
+        throw new NetworkError("Chain provider responded with HTTP status " + response.status, { status: response.status });
+    }
+}
+
+/**
+ * @class Transport keeping a persistent WebSocket connection open for every route of the chain provider.
+ * Identifiers are rewritten on the wire so that concurrent requests using the same id can be told apart.
+ * @param {object} [options={}] transport options
+ * @param {string} [options.url] base url of the WebSocket endpoint (defaults to the url of the Requests instance using `ws(s)://`)
+ */
+class WebSocketTransport {
+    constructor(options = {}) {
+        this.url = options.url;
+        this.sockets = new Map();
+        this.wireId = 0;
+    }
+
+    /**
+     * Open (or reuse) the connection to an endpoint
+     * @param {string} endpoint full WebSocket url
+     * @param {object} headers headers to include in the connection upgrade request
+     * @returns {Promise<object>} connection state `{ socket, pending }`
+     */
+    connect(endpoint, headers) {
+        if (this.sockets.has(endpoint)) return this.sockets.get(endpoint);
+
+        const connection = new Promise((resolve, reject) => {
+            const socket = new WebSocket(endpoint, { headers });
+            const pending = new Map();
+
+            socket.on('open', () => resolve({ socket, pending }));
+            socket.on('message', data => {
+                let responses;
+                try { responses = JSON.parse(data) } catch (err) { return }
+                [].concat(responses).forEach(response => {
+                    const entry = pending.get(String(response.id));
+                    if (!entry) return;
+                    pending.delete(String(response.id));
+                    entry.resolve(response);
+                })
+            });
+            socket.on('error', err => {
+                const error = new NetworkError("WebSocket connection failed: " + err.message, { cause: err });
+                reject(error);
+                pending.forEach(entry => entry.reject(error));
+                pending.clear();
+            });
+            socket.on('close', () => {
+                this.sockets.delete(endpoint);
+                pending.forEach(entry => entry.reject(new NetworkError('WebSocket connection closed')));
+                pending.clear();
+            });
+        });
+
+        // remove failed connections so that the next request reconnects
+        connection.catch(() => this.sockets.delete(endpoint));
+        this.sockets.set(endpoint, connection);
+        return connection;
+    }
+
+    /**
+     * Send a JSON-RPC payload to the chain provider
+     * @param {object} request request to send
+     * @param {string} request.url base url of the chain provider
+     * @param {string} request.route route of the json-rpc method
+     * @param {object} request.headers headers to include in the request
+     * @param {object|object[]} request.body JSON-RPC request object or batch array
+     * @param {number} [request.timeout] time (in milliseconds) before the pending responses are discarded
+     * @param {AbortSignal} [request.signal] signal discarding the pending responses once aborted
+     * @returns {object|object[]} JSON-RPC response
+     */
+    async send(request) {
+        const endpoint = (this.url || request.url).replace(/^http/, 'ws') + request.route;
+        const connection = this.connect(endpoint, request.headers);
+        const { socket, pending } = await connection;
+
+        // a closing connection would never answer, so it is dropped and the request fails (retried on a new connection)
+        if (socket.readyState !== WebSocket.OPEN) {
+            if (this.sockets.get(endpoint) === connection) this.sockets.delete(endpoint);
+            throw new NetworkError('WebSocket connection closed');
+        }
+
+        const entries = [].concat(request.body);
+        const wire = entries.map(entry => ({ ...entry, id: String(++this.wireId) }));
+        const responses = wire.map((entry, i) => new Promise((resolve, reject) => {
+            pending.set(entry.id, {
+                resolve: response => resolve({ ...response, id: entries[i].id }),
+                reject
+            });
+        }));
+
+        socket.send(JSON.stringify(Array.isArray(request.body) ? wire : wire[0]));
+
+        // stop waiting for the responses once timed out or aborted (the connection remains open for other requests)
+        const discard = err => wire.forEach(entry => {
+            const waiting = pending.get(entry.id);
+            pending.delete(entry.id);
+            if (waiting) waiting.reject(err);
+        });
+        const timer = request.timeout
+            ? setTimeout(() => discard(new NetworkError("Request timed out after " + request.timeout + "ms", { timeout: request.timeout })), request.timeout)
+            : null;
+        const remove = onAbort(request.signal, discard);
+        try {
+            const results = await Promise.all(responses);
+            return Array.isArray(request.body) ? results : results[0];
+        } finally {
+            clearTimeout(timer);
+            remove();
+            wire.forEach(entry => pending.delete(entry.id));
+        }
+    }
+
+    /**
+     * Close all open connections
+     */
+    close() {
+        this.sockets.forEach(connection => connection.then(({ socket }) => socket.close(), () => {}));
+        this.sockets.clear();
+    }
+}
+
+/**
+ * @class Transport routing requests to a JavaScript handler object in the same process (no socket is opened).
+ * The handler is keyed by route and then json-rpc method, i.e. `{ "debug/": { info: async (params) => result } }`.
+ * Handlers may throw an object with `code`, `message`, and `data` fields to respond with a JSON-RPC error
+ * @param {object} handler object containing the method implementations for each route
+ */
+class InProcessTransport {
+    constructor(handler) {
+        if (!handler || typeof handler !== 'object') throw new ValidationError('A handler object must be provided', { field: 'handler' })
+        this.handler = handler;
+    }
+
+    /**
+     * Send a JSON-RPC payload to the handler
+     * @param {object} request request to send
+     * @param {string} request.route route of the json-rpc method
+     * @param {object|object[]} request.body JSON-RPC request object or batch array
+     * @returns {object|object[]} JSON-RPC response
+     */
+    async send(request) {
+        // serialize the payload so that the handler and caller never share objects (as with a real transport)
+        const body = JSON.parse(JSON.stringify(request.body));
+        const routeHandler = this.handler[request.route] || {};
+
+        const handle = async entry => {
+            const method = routeHandler[entry.method];
+            if (typeof method !== 'function') {
+                return { jsonrpc: "2.0", id: entry.id, error: { code: -32601, message: "Method not found: " + entry.method } };
+            }
+            try {
+                const result = await method.apply(routeHandler, entry.params || []);
+                return JSON.parse(JSON.stringify({ jsonrpc: "2.0", id: entry.id, result: result === undefined ? null : result }));
+            } catch (err) {
+                const error = { code: typeof err.code === 'number' ? err.code : -32603, message: err.message || String(err) };
+                if (err.data !== undefined) error.data = err.data;
+                return { jsonrpc: "2.0", id: entry.id, error };
+            }
+        };
+
+        return Array.isArray(body) ? Promise.all(body.map(handle)) : handle(body);
+    }
+}
+
+module.exports = { HttpTransport, WebSocketTransport, InProcessTransport }
@@ -0,0 +1,184 @@
+/**
+ * Append-only journal of the transactions sent by `Brambl.transaction`, kept in a file so that the fate of a transaction
+ * survives the process. Every stage of a transaction is appended (and flushed to disk) as one JSON line:
+ * - `created`: the transaction was requested
+ * - `prototype`: the unsigned transaction was received (or built locally), so its id is known
+ * - `signed`: the transaction was signed (the signed transaction is kept to broadcast it again on resume)
+ * - `broadcast`: the chain provider accepted the transaction
+ * - `confirmed`: the transaction was found in a block
+ * - `failed`: the transaction was rejected, or was never signed
+ * Entries are keyed by an idempotency key, so that the same logical payment is never sent twice
+ **/
+
+("use strict");
+
+// Dependencies
+const fs = require('fs')
+const crypto = require('crypto')
+const { JournalError, RpcError, ValidationError } = require('./errors')
+
+// Stages after which a transaction is finished
+const finalStages = ["confirmed", "failed"]
+
+/**
+ * @class Open the journal kept in a file (the file is created by the first record)
+ * @param {object} params
+ * @param {string} params.path path of the journal file
+ */
+class TxJournal {
+    constructor(params = {}) {
+        if (!params.path) throw new ValidationError('A path must be provided for the journal', { field: "path" })
+        this.path = params.path;
+
+        // latest state of each transaction indexed by idempotency key, and the keys indexed by transaction id
+        this.entries = new Map();
+        this.keys = new Map();
+        this.load();
+    }
+
+    /**
+     * Read the records of the journal file. A last line that was not completely written (i.e. the process stopped
+     * while writing it) is removed from the file, so that the next record starts on a new line
+     * @return {number} number of transactions in the journal
+     * @throws {JournalError} if any other line is not a valid record
+     * @memberof TxJournal
+     */
+    load() {
+        if (!fs.existsSync(this.path)) return 0;
+        const content = fs.readFileSync(this.path, 'utf8');
+        const lines = content.split('\n');
+        lines.forEach((line, idx) => {
+            if (!line.trim()) return;
+            let record;
+            try { record = JSON.parse(line) } catch (err) {
+                // only the last line may be torn, since it is not terminated by a new line
+                if (idx === lines.length - 1) return fs.truncateSync(this.path, Buffer.byteLength(content) - Buffer.byteLength(line));
+                throw new JournalError('Invalid record on line ' + (idx + 1) + ' of the journal: ' + err.message, { path: this.path, line: idx + 1, cause: err })
+            }
+            this.apply(record);
+        });
+        return this.entries.size;
+    }
+
+    /**
+     * Update the state of a transaction with a record
+     * @private
+     * @param {object} record record of the journal
+     * @return {object} state of the transaction
+     * @memberof TxJournal
+     */
+    apply(record) {
+        const entry = { ...this.entries.get(record.key), ...record };
+        this.entries.set(record.key, entry);
+        if (entry.txId) this.keys.set(entry.txId, record.key);
+        return entry;
+    }
+
+    /**
+     * Append a stage of a transaction to the journal (the record is flushed to disk before this method returns)
+     * @param {string} [key] idempotency key of the transaction (a random key is created if not given)
+     * @param {string} stage stage of the transaction
+     * @param {object} [fields] fields recorded with the stage (i.e. `txId`, `signedTx`, `response`, or `error`)
+     * @return {object} state of the transaction
+     * @memberof TxJournal
+     */
+    record(key, stage, fields = {}) {
+        const record = { key: key || crypto.randomBytes(16).toString('hex'), stage, time: Date.now(), ...fields };
+        const fd = fs.openSync(this.path, 'a');
+        try {
+            fs.writeSync(fd, JSON.stringify(record) + '\n');
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        return this.apply(record);
+    }
+
+    /**
+     * State of a transaction
+     * @param {string} key idempotency key of the transaction
+     * @return {object|undefined} state of the transaction
+     * @memberof TxJournal
+     */
+    get(key) {
+        return this.entries.get(key);
+    }
+
+    /**
+     * State of a transaction given its id
+     * @param {string} txId id of the transaction
+     * @return {object|undefined} state of the transaction
+     * @memberof TxJournal
+     */
+    byTxId(txId) {
+        return this.keys.has(txId) ? this.entries.get(this.keys.get(txId)) : undefined;
+    }
+
+    /**
+     * Transactions that were neither confirmed nor failed
+     * @return {object[]} states of the transactions
+     * @memberof TxJournal
+     */
+    unfinished() {
+        return [...this.entries.values()].filter(entry => !finalStages.includes(entry.stage));
+    }
+
+    /**
+     * Reconcile every unfinished transaction with the chain provider (i.e. on startup after the process stopped):
+     * - transactions that were never signed are failed (they cannot have been sent)
+     * - transactions found in a block are confirmed
+     * - transactions found in the mempool are broadcast
+     * - signed transactions found neither in a block nor in the mempool are broadcast again (and failed if rejected)
+     * @param {Requests} requests Requests instance of the chain provider
+     * @param {object} [options] request options (timeout, retries, signal, ...) of the calls to the chain provider
+     * @return {Promise<object[]>} reconciled states of the transactions
+     * @memberof TxJournal
+     */
+    async resume(requests, options) {
+        const reconciled = [];
+        for (const entry of this.unfinished()) {
+            reconciled.push(await this.reconcile(requests, entry, options));
+        }
+        return reconciled;
+    }
+
+    /**
+     * Reconcile an unfinished transaction with the chain provider (see `resume`)
+     * @private
+     * @param {Requests} requests Requests instance of the chain provider
+     * @param {object} entry state of the transaction
+     * @param {object} [options] request options of the calls to the chain provider
+     * @return {Promise<object>} reconciled state of the transaction
+     * @memberof TxJournal
+     */
+    async reconcile(requests, entry, options) {
+        if (!entry.signedTx && entry.stage !== "broadcast") {
+            return this.record(entry.key, "failed", { error: 'The transaction was not signed before the process stopped' });
+        }
+
+        // RpcErrors of the lookups mean that the transaction was not found
+        const lookup = method => requests[method]({ transactionId: entry.txId }, undefined, options).then(res => res.result, err => {
+            if (err instanceof RpcError) return null;
+            throw err;
+        });
+
+        const confirmed = await lookup('getTransactionById');
+        if (confirmed) return this.record(entry.key, "confirmed", { tx: confirmed });
+        const pending = await lookup('getTransactionFromMempool');
+        if (pending) return entry.stage === "broadcast" ? entry : this.record(entry.key, "broadcast", { response: { result: pending } });
+        if (!entry.signedTx) return entry;
+
+        try {
+            const response = await requests.broadcastTx({ tx: entry.signedTx }, undefined, options);
+            return this.record(entry.key, "broadcast", { response });
+        } catch (err) {
+            if (!(err instanceof RpcError)) throw err;
+            return this.record(entry.key, "failed", { error: err.message });
+        }
+    }
+}
+
+// Stages after which a transaction is finished
+TxJournal.finalStages = finalStages;
+
+module.exports = TxJournal
@@ -0,0 +1,416 @@
+/**
+ * Watch the status of many transactions with a single scheduler. On every interval the watched transactions are
+ * looked up together (as one batch request) and the watcher emits an event for each transaction that changes status:
+ * - `pending` (txId, mempoolTx): the transaction was found in the mempool
+ * - `included` (txId, tx): the transaction was included in a block that is not yet deep enough (see `confirmations`)
+ * - `confirmed` (txId, tx): the transaction was included in a block (that is `confirmations` deep)
+ * - `reorged` (txId, TxReorgedError): the block including the transaction was removed from the chain before it was deep enough
+ * - `dropped` (txId, TxDroppedError): the transaction could not be found in the mempool too many times in a row
+ * - `timeout` (txId, PollTimeoutError): the transaction was not confirmed before its timeout
+ * Transactions stop being watched once they are confirmed, reorged, dropped, or timed out
+ **/
+
+("use strict");
+
+// Dependencies
+const EventEmitter = require('events')
+const { BramblError, RpcError, ValidationError, PollTimeoutError, TxDroppedError, TxReorgedError } = require('./errors')
+const { throwIfAborted, onAbort } = require('./abort')
+
+// Default options of a watcher (times in seconds)
+const defaultOptions = {
+    // time between the lookups of the watched transactions
+    interval: 3,
+
+    // time before a transaction that is not confirmed times out
+    timeout: 90,
+
+    // number of consecutive failures to find an unconfirmed transaction in the mempool before it is dropped
+    maxFailedQueries: 10,
+
+    // number of blocks (including the block of the transaction) on top of which a transaction is confirmed
+    confirmations: 1,
+
+    // look up several transactions with one JSON-RPC batch request
+    batch: true
+}
+
+// number of consecutive ticks on which the block of an included transaction cannot be found before the transaction is reorged
+const missingBlockChecks = 2
+
+/**
+ * @class Create a watcher for the transactions of a chain provider
+ * @param {Requests} requests Requests instance of the chain provider
+ * @param {object} [options] options of the watcher
+ * @param {number} [options.interval=3] time (in seconds) between the lookups of the watched transactions
+ * @param {number} [options.timeout=90] default timeout (in seconds) of a watched transaction
+ * @param {number} [options.maxFailedQueries=10] default number of failed mempool lookups before a transaction is dropped
+ * @param {number} [options.confirmations=1] default depth of the block of a transaction (relative to the best block) before it is confirmed
+ * @param {boolean} [options.batch=true] look up the watched transactions with batch requests
+ */
+class TxWatcher extends EventEmitter {
+    constructor(requests, options = {}) {
+        super();
+        if (!requests) throw new ValidationError('A Requests instance must be provided', { field: "requests" })
+        this.requests = requests;
+        this.options = { ...defaultOptions, ...options };
+
+        // watched transactions indexed by id
+        this.entries = new Map();
+
+        // state of the scheduler
+        this.timer = null;
+        this.ticking = false;
+        this.stopped = false;
+        this.nextQuery = 0;
+    }
+
+    //// Watched transactions ////////////////////////////////////////////////////////////////////////////////////////
+    /**
+     * Start watching a transaction (transactions that are already watched keep their options)
+     * @param {string} txId id of the transaction
+     * @param {object} [options] options overriding those of the watcher for this transaction
+     * @param {number} [options.timeout] time (in seconds) before the transaction times out
+     * @param {number} [options.maxFailedQueries] number of failed mempool lookups before the transaction is dropped
+     * @param {number} [options.confirmations] depth of the block of the transaction before it is confirmed
+     * @return {TxWatcher} this watcher
+     * @memberof TxWatcher
+     */
+    watch(txId, options = {}) {
+        this.add(txId, options).watched = true;
+        return this;
+    }
+
+    /**
+     * Add a transaction to the watched transactions
+     * @private
+     * @param {string} txId id of the transaction
+     * @param {object} options options of the transaction (see `watch`)
+     * @return {object} the watched transaction
+     * @memberof TxWatcher
+     */
+    add(txId, options) {
+        if (!txId || typeof txId !== "string") throw new ValidationError('A transaction id must be provided', { field: "txId" })
+        if (this.entries.has(txId)) return this.entries.get(txId);
+
+        const option = name => (options[name] === undefined ? this.options[name] : options[name]);
+        const [timeout, maxFailedQueries, confirmations] = ['timeout', 'maxFailedQueries', 'confirmations'].map(option);
+        if (!this.entries.size && !this.ticking) this.nextQuery = Date.now() + this.options.interval * 1000;
+        this.entries.set(txId, {
+            txId,
+            timeout,
+            maxFailedQueries,
+            confirmations,
+            deadline: Date.now() + timeout * 1000,
+            failedQueries: 0,
+            pending: false,
+            included: null,
+            missingBlock: 0,
+            lastError: undefined,
+            watched: false,
+            waiters: []
+        });
+        this.schedule();
+        return this.entries.get(txId);
+    }
+
+    /**
+     * Stop watching a transaction. Promises returned by `wait` for the transaction are rejected
+     * @param {string} txId id of the transaction
+     * @return {boolean} whether the transaction was watched
+     * @memberof TxWatcher
+     */
+    unwatch(txId) {
+        const entry = this.entries.get(txId);
+        if (!entry) return false;
+
+        this.entries.delete(txId);
+        entry.waiters.forEach(waiter => waiter.reject(new BramblError('The transaction is no longer watched', { txId })));
+        if (!this.entries.size) this.clearTimer();
+        return true;
+    }
+
+    /**
+     * Watch a transaction and wait for it to be confirmed
+     * @param {string} txId id of the transaction
+     * @param {object} [options] options of the transaction (see `watch`)
+     * @param {AbortSignal} [options.signal] signal to stop waiting (the transaction is no longer looked up unless
+     *   it is watched with `watch` or awaited by another call)
+     * @return {Promise<object>} resolves with the confirmed transaction, rejects with a `TxReorgedError`, `TxDroppedError`,
+     *   `PollTimeoutError`, or `AbortError`
+     * @memberof TxWatcher
+     */
+    wait(txId, options = {}) {
+        throwIfAborted(options.signal);
+        const entry = this.add(txId, options);
+
+        return new Promise((resolve, reject) => {
+            const waiter = {
+                resolve: value => { remove(); resolve(value) },
+                reject: err => { remove(); reject(err) }
+            };
+            const remove = onAbort(options.signal, err => {
+                entry.waiters.splice(entry.waiters.indexOf(waiter), 1);
+                if (!entry.watched && !entry.waiters.length && this.entries.get(txId) === entry) {
+                    this.entries.delete(txId);
+                    if (!this.entries.size) this.clearTimer();
+                }
+                waiter.reject(err);
+            });
+            entry.waiters.push(waiter);
+        });
+    }
+
+    /**
+     * Check whether a transaction is watched
+     * @param {string} txId id of the transaction
+     * @return {boolean}
+     * @memberof TxWatcher
+     */
+    has(txId) {
+        return this.entries.has(txId);
+    }
+
+    /**
+     * List the ids of the watched transactions
+     * @return {string[]}
+     * @memberof TxWatcher
+     */
+    watching() {
+        return [...this.entries.keys()];
+    }
+
+    //// Scheduler ///////////////////////////////////////////////////////////////////////////////////////////////////
+    /**
+     * Resume looking up the watched transactions after `stop`
+     * @memberof TxWatcher
+     */
+    start() {
+        this.stopped = false;
+        this.schedule();
+    }
+
+    /**
+     * Pause looking up the watched transactions (the transactions remain watched, expired transactions time out once resumed)
+     * @memberof TxWatcher
+     */
+    stop() {
+        this.stopped = true;
+        this.clearTimer();
+    }
+
+    /**
+     * Schedule the next lookup (or the next timeout, if earlier)
+     * @private
+     * @memberof TxWatcher
+     */
+    schedule() {
+        if (this.timer || this.ticking || this.stopped || !this.entries.size) return;
+
+        const wakeUp = [...this.entries.values()].reduce((earliest, entry) => Math.min(earliest, entry.deadline), this.nextQuery);
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.tick().catch(err => this.emit('error', err));
+        }, Math.max(0, wakeUp - Date.now()));
+    }
+
+    /**
+     * Clear the timer of the scheduler
+     * @private
+     * @memberof TxWatcher
+     */
+    clearTimer() {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Time out expired transactions and look up the watched transactions if the interval has elapsed
+     * @private
+     * @memberof TxWatcher
+     */
+    async tick() {
+        this.ticking = true;
+        try {
+            this.expire();
+            if (this.entries.size && Date.now() >= this.nextQuery) {
+                this.nextQuery = Date.now() + this.options.interval * 1000;
+                await this.check([...this.entries.values()]);
+                this.expire();
+            }
+        } finally {
+            this.ticking = false;
+            this.schedule();
+        }
+    }
+
+    //// Lookups /////////////////////////////////////////////////////////////////////////////////////////////////////
+    /**
+     * Call a lookup method for a list of transactions
+     * @private
+     * @param {string} method name of the Requests method (`getTransactionById`, `getTransactionFromMempool`, or `getBlockById`)
+     * @param {object[]} entries watched transactions
+     * @param {function} [params] parameters of the lookup of a transaction (by default, the id of the transaction)
+     * @return {Promise<object[]>} settled outcome of each lookup (as given by `Promise.allSettled`)
+     * @memberof TxWatcher
+     */
+    lookup(method, entries, params = entry => ({ transactionId: entry.txId })) {
+        const calls = entries.map(entry => ({ method, params: params(entry) }));
+        if (this.options.batch && calls.length > 1) return Promise.allSettled(this.requests.batch(calls));
+        return Promise.allSettled(calls.map(call => this.requests[call.method](call.params)));
+    }
+
+    /**
+     * Look up the status of a list of watched transactions
+     * @private
+     * @param {object[]} entries watched transactions
+     * @memberof TxWatcher
+     */
+    async check(entries) {
+        const confirmed = await this.lookup('getTransactionById', entries);
+        const included = [];
+        const lost = [];
+        const unconfirmed = [];
+        entries.forEach((entry, i) => {
+            if (this.entries.get(entry.txId) !== entry) return;
+            if (confirmed[i].status === 'fulfilled') {
+                const tx = confirmed[i].value.result;
+                if (entry.confirmations <= 1) return this.settle(entry, 'confirmed', tx);
+
+                // (a transaction that is included again in another block is followed in its new block)
+                if (!entry.included || entry.included.blockHash !== tx.blockHash) this.emit('included', entry.txId, tx);
+                entry.included = tx;
+                included.push(entry);
+            } else if (entry.included && confirmed[i].reason instanceof RpcError) {
+                // (the transaction may no longer be found because of a reorg, which is confirmed by looking up its block)
+                entry.lastError = confirmed[i].reason;
+                lost.push(entry);
+            } else {
+                entry.lastError = confirmed[i].reason;
+                if (!entry.included) unconfirmed.push(entry);
+            }
+        });
+        if (included.length) await this.checkDepth(included);
+        if (lost.length) await this.checkBlocks(lost);
+        if (!unconfirmed.length) return;
+
+        const mempool = await this.lookup('getTransactionFromMempool', unconfirmed);
+        unconfirmed.forEach((entry, i) => {
+            if (this.entries.get(entry.txId) !== entry) return;
+            if (mempool[i].status === 'fulfilled') {
+                entry.failedQueries = 0;
+                if (!entry.pending) {
+                    entry.pending = true;
+                    this.emit('pending', entry.txId, mempool[i].value.result);
+                }
+                return;
+            }
+
+            entry.failedQueries++;
+            if (entry.failedQueries >= entry.maxFailedQueries) {
+                this.settle(entry, 'dropped', new TxDroppedError("Unable to find the transaction in the mempool", {
+                    txId: entry.txId,
+                    failedQueries: entry.failedQueries,
+                    cause: mempool[i].reason
+                }));
+            }
+        });
+    }
+
+    /**
+     * Confirm the included transactions whose block is deep enough, once the block is checked to still include them
+     * @private
+     * @param {object[]} entries watched transactions included in a block
+     * @memberof TxWatcher
+     */
+    async checkDepth(entries) {
+        let info;
+        try { info = (await this.requests.chainInfo()).result } catch (err) {
+            entries.forEach(entry => (entry.lastError = err));
+            return;
+        }
+
+        const deep = entries.filter(entry => info.height - entry.included.blockNumber + 1 >= entry.confirmations);
+        await this.checkBlocks(deep, entry => this.settle(entry, 'confirmed', entry.included));
+    }
+
+    /**
+     * Look up the blocks recorded for included transactions. A transaction is reorged once its block is found without it,
+     * or once its block cannot be found on consecutive ticks (a single failed lookup may be a transient failure of the node)
+     * @private
+     * @param {object[]} entries watched transactions included in a block
+     * @param {function} [found] function called with each transaction whose block still includes it
+     * @memberof TxWatcher
+     */
+    async checkBlocks(entries, found) {
+        const blocks = await this.lookup('getBlockById', entries, entry => ({ blockId: entry.included.blockHash }));
+        entries.forEach((entry, i) => {
+            if (this.entries.get(entry.txId) !== entry) return;
+            if (blocks[i].status === 'fulfilled') {
+                const block = blocks[i].value.result;
+                if (!(block.txs || []).some(tx => tx.txHash === entry.txId)) return this.reorged(entry);
+                entry.missingBlock = 0;
+                if (found) found(entry);
+                return;
+            }
+            entry.lastError = blocks[i].reason;
+            if (blocks[i].reason instanceof RpcError && ++entry.missingBlock >= missingBlockChecks) this.reorged(entry, blocks[i].reason);
+        });
+    }
+
+    /**
+     * Report a transaction whose block was removed from the chain
+     * @private
+     * @param {object} entry watched transaction
+     * @param {Error} [cause] error received when looking up the transaction or its block
+     * @memberof TxWatcher
+     */
+    reorged(entry, cause) {
+        this.settle(entry, 'reorged', new TxReorgedError("The block including the transaction was removed from the chain", {
+            txId: entry.txId,
+            blockHash: entry.included.blockHash,
+            blockNumber: entry.included.blockNumber,
+            cause
+        }));
+    }
+
+    /**
+     * Time out the transactions past their deadline
+     * @private
+     * @memberof TxWatcher
+     */
+    expire() {
+        const now = Date.now();
+        this.entries.forEach(entry => {
+            if (entry.deadline > now) return;
+            const message = entry.included
+                ? "Request timed out, the block of the transaction did not reach " + entry.confirmations + " confirmations before expiration"
+                : "Request timed out, transaction was not included in a block before expiration";
+            this.settle(entry, 'timeout', new PollTimeoutError(message, {
+                txId: entry.txId,
+                timeout: entry.timeout,
+                cause: entry.lastError
+            }));
+        });
+    }
+
+    /**
+     * Stop watching a transaction that reached a final status, then notify the waiters and listeners
+     * @private
+     * @param {object} entry watched transaction
+     * @param {string} event final status (`confirmed`, `reorged`, `dropped`, or `timeout`)
+     * @param {object} value confirmed transaction or error
+     * @return {boolean} whether the transaction was still watched
+     * @memberof TxWatcher
+     */
+    settle(entry, event, value) {
+        if (this.entries.get(entry.txId) !== entry) return false;
+
+        this.entries.delete(entry.txId);
+        entry.waiters.forEach(waiter => (event === 'confirmed' ? waiter.resolve(value) : waiter.reject(value)));
+        this.emit(event, entry.txId, value);
+        return true;
+    }
+}
+
+module.exports = TxWatcher
@@ -12,24 +12,33 @@
 // Dependencies
 const fs = require('fs')
 const path = require('path')
+const util = require('util')
 const blake = require('blake2')
 const crypto = require('crypto')
 const Base58 = require('base-58')
 const keccakHash = require('keccak')
 const curve25519 = require("curve25519-js")
+const bip39 = require('bip39')
+const { BramblError, ValidationError, KeyfileError, LockedKeyError } = require('../lib/errors')
+const { keyfileVersion, parseKeyfile } = require('../lib/keyfile')
+const { getKdf, getCipher } = require('../lib/keyCrypto')
 
 // Default options for key generation as of 2020.01.25  
 const defaultOptions = {
     // Symmetric cipher for private key encryption
-    //--- anything from crypto.getCiphers() is eligible
+    //--- any cipher registered in lib/keyCrypto (i.e. "aes-256-gcm") or from crypto.getCiphers() is eligible
     cipher: "aes-256-ctr",
 
-    // Initialization vector size in bytes
+    // Initialization vector size in bytes (registered ciphers use their own size)
     ivBytes: 16,
 
     // Private key size in bytes
     keyBytes: 32,
 
+    // Key derivation function (any function registered in lib/keyCrypto, i.e. "pbkdf2-sha512").
+    // Parameters of functions other than scrypt are given as `kdfParams` (defaults of the function if not given)
+    kdf: "scrypt",
+
     // Key derivation function parameters
     scrypt: {
         dkLen: 32,
@@ -39,6 +48,18 @@ const defaultOptions = {
     }
 }
 
+// Hierarchical deterministic keys are derived following SLIP-0010 for curve25519 (hardened derivation only)
+const hdOptions = {
+    // HMAC key for generating the master node from a seed
+    masterKey: "curve25519 seed",
+
+    // Path of the child keys derived by index (7091 is the SLIP-44 coin type of Topl)
+    basePath: "m/44'/7091'/0'/0'",
+
+    // Offset of hardened child indexes
+    hardenedOffset: 0x80000000
+}
+
 //// Generic key methods //////////////////////////////////////////////////////////////////////////////////////////////
 
 // function for checking the type input as a callback
@@ -57,28 +78,16 @@ function str2buf(str, enc) {
     return enc ? Buffer.from(str, enc) : Buffer.from(Base58.decode(str))
 }
 
-/**
- * Check if the selected cipher is available.
- * @param {string} algo Encryption algorithm.
- * @return {boolean} If available true, otherwise false.
- */
-function isCipherAvailable(cipher) {
-    return crypto.getCiphers().some(function (name) { return name === cipher; });
-}
-
 /**
  * Symmetric private key encryption using secret (derived) key.
  * @param {Buffer|string} plaintext Data to be encrypted.
  * @param {Buffer|string} key Secret key.
  * @param {Buffer|string} iv Initialization vector.
  * @param {string=} algo Encryption algorithm (default: constants.cipher).
- * @return {Buffer} Encrypted data.
+ * @return {Object} Encrypted data as `{ ciphertext, tag }` (the tag is only given by authenticated ciphers).
  */
 function encrypt(plaintext, key, iv, algo) {
-    if (!isCipherAvailable(algo)) throw new Error(algo + " is not available");
-    const cipher = crypto.createCipheriv(algo, str2buf(key), str2buf(iv));
-    const ciphertext = cipher.update(str2buf(plaintext));
-    return Buffer.concat([ciphertext, cipher.final()]);
+    return getCipher(algo).encrypt(str2buf(plaintext), str2buf(key), str2buf(iv));
 }
 
 /**
@@ -87,13 +96,11 @@ function encrypt(plaintext, key, iv, algo) {
  * @param {Buffer|string} key Secret key.
  * @param {Buffer|string} iv Initialization vector.
  * @param {string=} algo Encryption algorithm (default: constants.cipher).
+ * @param {Buffer|string} [tag] Authentication tag (for authenticated ciphers).
  * @return {Buffer} Decrypted data.
  */
-function decrypt(ciphertext, key, iv, algo) {
-    if (!isCipherAvailable(algo)) throw new Error(algo + " is not available");
-    const decipher = crypto.createDecipheriv(algo, str2buf(key), str2buf(iv));
-    const plaintext = decipher.update(str2buf(ciphertext));
-    return Buffer.concat([plaintext, decipher.final()]);
+function decrypt(ciphertext, key, iv, algo, tag) {
+    return getCipher(algo).decrypt(str2buf(ciphertext), str2buf(key), str2buf(iv), str2buf(tag));
 }
 
 /**
@@ -120,13 +127,14 @@ function getMAC(derivedKey, ciphertext) {
  * and salt (for key derivation).
  * @param {Object} params Encryption options.
  * @param {string} params.keyBytes Private key size in bytes.
- * @param {string} params.ivBytes Initialization vector size in bytes.
+ * @param {string} params.ivBytes Initialization vector size in bytes (unless given by the cipher).
+ * @param {string} params.cipher Encryption algorithm.
  * @param {function=} cb Callback function (optional).
  * @return {Object} Keys, IV and salt.
  */
 function create(params, cb) {
     const keyBytes = params.keyBytes
-    const ivBytes = params.ivBytes
+    const ivBytes = getCipher(params.cipher).ivBytes || params.ivBytes
 
     function bifrostBlake2b(Buffer) {
         return blake.createHash("blake2b", { digestLength: 32 }).update(Buffer).digest();
@@ -155,35 +163,30 @@ function create(params, cb) {
 
 /**
  * Derive secret key from password with key derivation function.
+ * If a callback is given, the key is derived on the libuv thread pool without blocking the event loop.
  * @param {String|Buffer} password User-supplied password.
  * @param {String|Buffer} salt Randomly generated salt.
+ * @param {string} kdf Name of the key derivation function (see lib/keyCrypto).
  * @param {Object} [kdfParams] key-derivation parameters
- * @param {function} [cb] Callback function (optional).
+ * @param {function} [cb] Callback function called with `(err, derivedKey)` (optional).
  * @return {Buffer} Secret key derived from password.
  */
-function deriveKey(password, salt, kdfParams, cb) {
+function deriveKey(password, salt, kdf, kdfParams, cb) {
     if (typeof password === "undefined" || password === null || !salt) {
-        throw new Error("Must provide password and salt to derive a key");
+        throw new ValidationError("Must provide password and salt to derive a key", { field: "password" });
     }
 
     // convert strings to Buffers
     password = str2buf(password, "utf8");
     salt = str2buf(salt);
 
-    // get scrypt parameters
-    const dkLen = kdfParams.dkLen
-    const N = kdfParams.n
-    const r = kdfParams.r
-    const p = kdfParams.p
-    const maxmem = 2 * 128 * N * r
-
-    // use scrypt as key derivation function
+    // synchronous key generation if callback not provided
     if (!isFunction(cb)) {
-        return crypto.scryptSync(password, salt, dkLen, { N, r, p, maxmem })
+        return getKdf(kdf).derive(password, salt, kdfParams)
     }
 
     // asynchronous key generation
-    cb(crypto.scryptSync(password, salt, dkLen, { N, r, p, maxmem }));
+    getKdf(kdf).derive(password, salt, kdfParams, cb);
 }
 
 /**
@@ -193,13 +196,16 @@ function deriveKey(password, salt, kdfParams, cb) {
  * @param {Buffer} salt Randomly generated salt.
  * @param {Buffer} iv Initialization vector.
  * @param {Buffer} algo encryption algorithm to be used
+ * @param {string} kdf name of the key derivation function (stored in the keyfile)
+ * @param {Object} kdfParams key-derivation parameters (stored in the keyfile)
  * @return {Object} key data object in secret-storage format
  */
-function marshal(derivedKey, keyObject, salt, iv, algo) {
+function marshal(derivedKey, keyObject, salt, iv, algo, kdf, kdfParams) {
     // encrypt using last 16 bytes of derived key (this matches Bifrost)
-    const ciphertext = encrypt(keyObject.privateKey, derivedKey, iv, algo);
+    const { ciphertext, tag } = encrypt(keyObject.privateKey, derivedKey, iv, algo);
 
     const keyStorage = {
+        version: keyfileVersion,
         publicKeyId: Base58.encode(keyObject.publicKey),
         crypto: {
             cipher: algo,
@@ -209,8 +215,12 @@ function marshal(derivedKey, keyObject, salt, iv, algo) {
         },
     };
 
-    keyStorage.crypto.kdf = "scrypt";
+    // the authentication tag of an AEAD cipher is stored with the IV
+    if (tag) keyStorage.crypto.cipherParams.tag = Base58.encode(tag)
+
+    keyStorage.crypto.kdf = kdf;
     keyStorage.crypto.kdfSalt = Base58.encode(salt)
+    keyStorage.crypto.kdfParams = Object.fromEntries(Object.keys(getKdf(kdf).params).map(name => [name, kdfParams[name]]))
 
     return keyStorage;
 }
@@ -219,12 +229,13 @@ function marshal(derivedKey, keyObject, salt, iv, algo) {
  * Export private key to keystore secret-storage format.
  * @param {string|Buffer} password User-supplied password.
  * @param {Object} keyObject Object containing the raw public / private keypair 
- * @param {Buffer} algo encryption algorithm to be used
- * @param {function=} cb Callback function (optional).
+ * @param {Object} options Encryption options (`cipher`, `kdf`, and `kdfParams` or `scrypt`)
+ * @param {function=} cb Callback function called with `(err, keyStorage)` (optional).
  * @return {Object} keyStorage for use with exportToFile
  */
 function dump(password, keyObject, options, cb) {
-    const kdfParams = options.kdfParams || options.scrypt
+    const kdf = options.kdf || "scrypt"
+    const kdfParams = options.kdfParams || (kdf === "scrypt" && options.scrypt) || getKdf(kdf).defaults
     const iv = str2buf(keyObject.iv);
     const salt = str2buf(keyObject.salt);
     const privateKey = str2buf(keyObject.privateKey);
@@ -232,30 +243,31 @@ function dump(password, keyObject, options, cb) {
 
     // synchronous if no callback provided
     if (!isFunction(cb)) {
-        return marshal(deriveKey(password, salt, kdfParams), { privateKey, publicKey }, salt, iv, options.cipher);
+        return marshal(deriveKey(password, salt, kdf, kdfParams), { privateKey, publicKey }, salt, iv, options.cipher, kdf, kdfParams);
     }
 
     // asynchronous if callback provided
-    deriveKey(password, salt, function (derivedKey) {
-        cb(marshal(derivedKey, privateKey, salt, iv, options.cipher));
-    }.bind(this));
+    deriveKey(password, salt, kdf, kdfParams, (err, derivedKey) => {
+        if (err) return cb(err);
+        try { cb(null, marshal(derivedKey, { privateKey, publicKey }, salt, iv, options.cipher, kdf, kdfParams)) } catch (err) { cb(err) }
+    });
 }
 
 /**
  * Recover plaintext private key from secret-storage key object.
  * @param {string|Buffer} password User-supplied password.
  * @param {Object} keyStorage Keystore object.
- * @param {Object} [kdfParams] key-derivation parameters
- * @param {function=} cb Callback function (optional).
+ * @param {Object} [kdfParams] scrypt parameters (used if the keyfile does not store its own parameters)
+ * @param {function=} cb Callback function called with `(err, privateKey)` (optional).
  * @return {Buffer} Plaintext private key.
  */
 function recover(password, keyStorage, kdfParams, cb) {
     // verify that message authentication codes match, then decrypt
     function verifyAndDecrypt(derivedKey, iv, ciphertext, mac, algo) {
         if (!getMAC(derivedKey, ciphertext).equals(mac)) {
-            throw new Error("message authentication code mismatch");
+            throw new KeyfileError("message authentication code mismatch");
         }
-        return decrypt(ciphertext, derivedKey, iv, algo);
+        return decrypt(ciphertext, derivedKey, iv, algo, keyStorage.crypto.cipherParams.tag);
     }
 
     const iv = str2buf(keyStorage.crypto.cipherParams.iv);
@@ -263,14 +275,17 @@ function recover(password, keyStorage, kdfParams, cb) {
     const ciphertext = str2buf(keyStorage.crypto.cipherText);
     const mac = str2buf(keyStorage.crypto.mac);
     const algo = keyStorage.crypto.cipher;
+    const kdf = keyStorage.crypto.kdf || "scrypt";
+    const params = keyStorage.crypto.kdfParams || kdfParams;
 
     // derive secret key from password
     if (!isFunction(cb)) {
-        return verifyAndDecrypt(deriveKey(password, salt, kdfParams), iv, ciphertext, mac, algo);
+        return verifyAndDecrypt(deriveKey(password, salt, kdf, params), iv, ciphertext, mac, algo);
     }
 
-    deriveKey(password, salt, kdfParams, derivedKey => {
-        cb(verifyAndDecrypt(derivedKey, iv, ciphertext, mac, algo));
+    deriveKey(password, salt, kdf, params, (err, derivedKey) => {
+        if (err) return cb(err);
+        try { cb(null, verifyAndDecrypt(derivedKey, iv, ciphertext, mac, algo)) } catch (err) { cb(err) }
     });
 }
 
@@ -280,12 +295,160 @@ function recover(password, keyStorage, kdfParams, cb) {
  * @return {string} Keystore filename.
  */
 function generateKeystoreFilename(publicKey) {
-    if (typeof publicKey !== 'string') throw new Error('PublicKey must be given as a string for the filename')
+    if (typeof publicKey !== 'string') throw new ValidationError('PublicKey must be given as a string for the filename', { field: "publicKey" })
     let filename = new Date().toISOString() + "-" + publicKey + ".json";
 
     return filename.split(":").join("-");
 }
 
+//// Hierarchical deterministic keys ///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Parse a derivation path (i.e. "m/44'/7091'/0'/0'/5'") into child indexes.
+ * Only hardened indexes may be used with curve25519 keys.
+ * @param {string} path derivation path
+ * @return {number[]} hardened child indexes
+ */
+function parsePath(path) {
+    const segments = typeof path === 'string' ? path.split('/') : []
+    if (segments[0] !== 'm') throw new ValidationError('A derivation path must start with "m"', { field: "path" })
+
+    return segments.slice(1).map(segment => {
+        const match = /^(\d+)['h]$/.exec(segment)
+        if (!match || Number(match[1]) >= hdOptions.hardenedOffset) {
+            throw new ValidationError('Invalid path segment "' + segment + '" (only hardened indexes are supported)', { field: "path" })
+        }
+        return Number(match[1]) + hdOptions.hardenedOffset
+    })
+}
+
+/**
+ * Format child indexes as a derivation path.
+ * @param {number[]} indexes hardened child indexes
+ * @return {string} derivation path
+ */
+function formatPath(indexes) {
+    return ['m'].concat(indexes.map(index => (index - hdOptions.hardenedOffset) + "'")).join('/')
+}
+
+/**
+ * Derive the node (private key and chain code) at a path from a master seed.
+ * @param {Buffer} seed master seed
+ * @param {number[]} indexes hardened child indexes
+ * @return {Object} node with the 32 byte `key` and `chainCode`
+ */
+function deriveNode(seed, indexes) {
+    const hmac = (key, data) => {
+        const digest = crypto.createHmac('sha512', key).update(data).digest()
+        return { key: digest.slice(0, 32), chainCode: digest.slice(32) }
+    }
+
+    return indexes.reduce((parent, index) => {
+        const indexBytes = Buffer.alloc(4)
+        indexBytes.writeUInt32BE(index)
+        return hmac(parent.chainCode, Buffer.concat([Buffer.alloc(1), parent.key, indexBytes]))
+    }, hmac(hdOptions.masterKey, seed))
+}
+
+/**
+ * Generate the curve25519 key pair of a derived node.
+ * @param {Object} node node returned by `deriveNode`
+ * @return {Object} Object containing the raw public / private keypair
+ */
+function nodeKeyPair(node) {
+    const { public: pk, private: sk } = curve25519.generateKeyPair(node.key);
+    return { publicKey: Buffer.from(pk), privateKey: Buffer.from(sk) }
+}
+
+/**
+ * Check a mnemonic phrase against the English word list and its checksum.
+ * @param {string} mnemonic space separated mnemonic phrase
+ * @return {string} the normalized mnemonic phrase
+ */
+function checkMnemonic(mnemonic) {
+    if (typeof mnemonic !== 'string') throw new ValidationError('A mnemonic phrase must be given as a string', { field: "mnemonic" })
+
+    const words = mnemonic.normalize('NFKD').trim().toLowerCase().split(/\s+/)
+    if (![12, 15, 18, 21, 24].includes(words.length)) {
+        throw new ValidationError('A mnemonic phrase must have 12, 15, 18, 21, or 24 words', { field: "mnemonic" })
+    }
+
+    const position = words.findIndex(word => !bip39.wordlists.english.includes(word))
+    if (position >= 0) {
+        throw new ValidationError('Unknown word "' + words[position] + '" at position ' + (position + 1) + ' of the mnemonic phrase', { field: "mnemonic", word: words[position], position: position + 1 })
+    }
+
+    const normalized = words.join(' ')
+    if (!bip39.validateMnemonic(normalized)) throw new ValidationError('Invalid checksum of the mnemonic phrase', { field: "mnemonic" })
+    return normalized
+}
+
+/**
+ * Write a file atomically: the data is written to a temporary file in the same directory which then replaces the file.
+ * @param {string} filePath path of the file
+ * @param {string} data contents of the file
+ * @return {Promise} resolves once the file is replaced
+ */
+async function writeFileAtomic(filePath, data) {
+    const tmpPath = filePath + '.' + crypto.randomBytes(6).toString('hex') + '.tmp'
+    const handle = await fs.promises.open(tmpPath, 'w', 0o600)
+    try {
+        await handle.writeFile(data)
+        await handle.sync()
+    } finally {
+        await handle.close()
+    }
+
+    try { await fs.promises.rename(tmpPath, filePath) } catch (err) {
+        await fs.promises.unlink(tmpPath).catch(() => {})
+        throw err
+    }
+}
+
+//// Keyfile generation ////////////////////////////////////////////////////////////////////////////////////////////
+
+// Constructor parameter holding a keyfile that was decrypted by the asynchronous factories (module-private)
+const decrypted = Symbol('decrypted')
+
+// Promise versions of the asynchronous (callback) paths
+const dumpAsync = util.promisify(dump)
+const recoverAsync = util.promisify(recover)
+
+/**
+ * Get the master seed requested by the constructor parameters of a hierarchical deterministic keyfile.
+ * @param {Object} params constructor parameters (`mnemonic`, `seed`, or `hd`)
+ * @return {Buffer=} master seed (undefined for a keyfile holding a single key)
+ */
+function seedFromParams(params) {
+    if (params.mnemonic) return bip39.mnemonicToSeedSync(checkMnemonic(params.mnemonic), params.passphrase)
+    if (params.seed) return str2buf(params.seed)
+    if (params.hd) return crypto.randomBytes(64)
+}
+
+/**
+ * Generate the key object of a new keyfile.
+ * For hierarchical deterministic keyfiles the master seed is encrypted in place of the private key.
+ * @param {Object} constants encryption options
+ * @param {Buffer=} seed master seed (optional)
+ * @return {Object} Keys, IV and salt.
+ */
+function newKeyObject(constants, seed) {
+    const keyObject = create(constants)
+    if (!seed) return keyObject
+    return { ...keyObject, privateKey: seed, publicKey: nodeKeyPair(deriveNode(seed, [])).publicKey }
+}
+
+/**
+ * Record the derivation scheme in the key storage of a hierarchical deterministic keyfile.
+ * @param {Object} keyStorage Keystore object.
+ * @param {Buffer=} seed master seed (optional)
+ * @return {Object} Keystore object.
+ */
+function withDerivation(keyStorage, seed) {
+    if (seed) keyStorage.hd = { scheme: "slip10-curve25519", children: [] }
+    return keyStorage
+}
+
 //////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
 ///// Key Manager Class //////////////////////////////////////////////////////////////////////////////////////////////
 //////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
@@ -295,10 +458,15 @@ function generateKeystoreFilename(publicKey) {
  * @param {string} params.password password for encrypting (decrypting) the keyfile
  * @param {string} [params.path] path to import keyfile
  * @param {object} [params.constants] default encryption options for storing keyfiles
+ * @param {boolean} [params.hd] generate a hierarchical deterministic keyfile holding a random master seed
+ * @param {Buffer|string} [params.seed] master seed of a hierarchical deterministic keyfile (if string, must be base-58 encoded)
+ * @param {string} [params.mnemonic] mnemonic phrase to restore the master seed of a hierarchical deterministic keyfile from
+ * @param {string} [params.passphrase] optional passphrase used with the mnemonic phrase
  */
 class KeyManager {
     // Private variables
     #sk;
+    #seed;
     #isLocked;
     #password;
     #keyStorage;
@@ -306,28 +474,41 @@ class KeyManager {
     //// Instance constructor //////////////////////////////////////////////////////////////////////////////////////////////
     constructor(params) {
         // enforce that a password must be provided
-        if (!params.password && params.constructor !== String) throw new Error('A password must be provided at initialization')
+        if (!params.password && params.constructor !== String) throw new ValidationError('A password must be provided at initialization', { field: "password" })
 
-        // Initialize a key manager object with a key storage object
-        const initKeyStorage = (keyStorage, password) => {
+        // Initialize a key manager object with a key storage object (decrypting it unless the secret is given)
+        const initKeyStorage = (keyStorage, password, secret) => {
             this.pk = keyStorage.publicKeyId;
             this.#isLocked = false
             this.#password = password;
             this.#keyStorage = keyStorage;
 
-            if (this.pk) this.#sk = recover(password, keyStorage, this.constants.scrypt)
+            if (!this.pk) return
+            const plaintext = secret || recover(password, keyStorage, this.constants.scrypt)
+            if (keyStorage.hd) {
+                // hierarchical deterministic keyfiles store the master seed and sign with the master node by default
+                this.#seed = plaintext
+                this.#sk = nodeKeyPair(deriveNode(this.#seed, [])).privateKey
+
+                // the children are not covered by the MAC, so each one is derived again from the seed and checked
+                keyStorage.hd.children.forEach(child => {
+                    if (Base58.encode(nodeKeyPair(deriveNode(this.#seed, parsePath(child.path))).publicKey) !== child.publicKey)
+                        throw new KeyfileError('The derived child ' + child.path + ' does not match the master seed of the keyfile', { field: "hd.children" })
+                })
+            } else {
+                this.#sk = plaintext
+            }
         };
 
-        const generateKey = (password) => {
-            // this will create a new curve25519 key pair and dump to an encrypted format
-            initKeyStorage(dump(password, create(this.constants), this.constants), password)
+        const generateKey = (password, seed) => {
+            // this will create a new curve25519 key pair (or the master node of a seed) and dump to an encrypted format
+            const keyObject = newKeyObject(this.constants, seed)
+            initKeyStorage(withDerivation(dump(password, keyObject, this.constants), seed), password, keyObject.privateKey)
         }
     
-        // Imports key data object from keystore JSON file.
+        // Imports key data object from keystore JSON file (upgraded to the current layout and validated).
         const importFromFile = (filepath, password) => {
-            const keyStorage = JSON.parse(fs.readFileSync(filepath));
-            // todo - check that the imported object conforms to our definition of a keyfile
-            initKeyStorage(keyStorage, password)
+            initKeyStorage(parseKeyfile(fs.readFileSync(filepath)), password)
         }
 
         // initialize vatiables
@@ -335,16 +516,64 @@ class KeyManager {
         initKeyStorage({ publicKeyId: '', crypto: {} }, '')
 
         // load in keyfile if a path was given, or default to generating a new key
-        if (params.keyPath) {
-            try { importFromFile(params.keyPath, params.password) } catch (err) { throw new Error('Error importing keyfile') }
+        if (params[decrypted]) {
+            initKeyStorage(params[decrypted].keyStorage, params.password, params[decrypted].secret)
+        } else if (params.keyPath) {
+            try { importFromFile(params.keyPath, params.password) } catch (err) {
+                throw new KeyfileError('Error importing keyfile: ' + err.message, { path: params.keyPath, field: err.field, cause: err })
+            }
         } else {
             // Will check if only a string was given and assume it is the password
             if (params.constructor === String) generateKey(params)
-            else generateKey(params.password)
+            else generateKey(params.password, seedFromParams(params))
         }
     }
 
     //// Static methods //////////////////////////////////////////////////////////////////////////////////////////////
+    /**
+     * Create a new key manager without blocking the event loop (the key is derived on the libuv thread pool,
+     * so that several keys may be created in parallel). Accepts the same parameters as the constructor except `keyPath`
+     * @param {object|string} params constructor object for key manager (or the password)
+     * @return {Promise<KeyManager>} key manager holding the new key
+     * @memberof KeyManager
+     */
+    static async create(params) {
+        const options = params.constructor === String ? { password: params } : params
+        if (!options.password) throw new ValidationError('A password must be provided at initialization', { field: "password" })
+
+        const constants = options.constants || defaultOptions
+        const seed = options.mnemonic
+            ? await bip39.mnemonicToSeed(checkMnemonic(options.mnemonic), options.passphrase)
+            : seedFromParams(options)
+        const keyObject = newKeyObject(constants, seed)
+        const keyStorage = withDerivation(await dumpAsync(options.password, keyObject, constants), seed)
+
+        return new KeyManager({ password: options.password, constants, [decrypted]: { keyStorage, secret: keyObject.privateKey } })
+    }
+
+    /**
+     * Import a keyfile without blocking the event loop (the key is derived on the libuv thread pool)
+     * @param {object} params constructor object for key manager
+     * @param {string} params.password password for decrypting the keyfile
+     * @param {string} params.keyPath path to the keyfile
+     * @param {object} [params.constants] default encryption options for storing keyfiles
+     * @return {Promise<KeyManager>} key manager holding the imported key
+     * @memberof KeyManager
+     */
+    static async open(params) {
+        if (!params.password) throw new ValidationError('A password must be provided at initialization', { field: "password" })
+        if (!params.keyPath) throw new ValidationError('A path to the keyfile must be provided', { field: "keyPath" })
+
+        const constants = params.constants || defaultOptions
+        try {
+            const keyStorage = parseKeyfile(await fs.promises.readFile(params.keyPath))
+            const secret = await recoverAsync(params.password, keyStorage, constants.scrypt)
+            return new KeyManager({ password: params.password, constants, [decrypted]: { keyStorage, secret } })
+        } catch (err) {
+            throw new KeyfileError('Error importing keyfile: ' + err.message, { path: params.keyPath, field: err.field, cause: err })
+        }
+    }
+
     /**
      * Check whether a private key was used to generate the signature for a message. 
      * This method is static so that it may be used without generating a keyfile
@@ -369,14 +598,60 @@ class KeyManager {
         cb(curve25519.verify(pk, msg, sug));
     };
 
+    /**
+     * Generate a new mnemonic phrase (BIP-39 English word list)
+     * @param {number} [strength=256] entropy in bits (128 for 12 words, 256 for 24 words)
+     * @return {string} mnemonic phrase
+     * @memberof KeyManager
+     */
+    static generateMnemonic(strength = 256) {
+        return bip39.generateMnemonic(strength)
+    }
+
+    /**
+     * Check that a mnemonic phrase only contains words of the word list and has a valid checksum
+     * @param {string} mnemonic mnemonic phrase
+     * @return {string} the normalized mnemonic phrase
+     * @throws {ValidationError} for unknown words (with the `word` and its `position`) or an invalid checksum
+     * @memberof KeyManager
+     */
+    static validateMnemonic(mnemonic) {
+        return checkMnemonic(mnemonic)
+    }
+
+    /**
+     * Create a new hierarchical deterministic key manager together with the mnemonic phrase of its master seed.
+     * The mnemonic phrase is not stored in the keyfile and must be written down by the user for backup
+     * @param {object} params constructor object for key manager (see the constructor)
+     * @param {number} [params.strength=256] entropy of the mnemonic phrase in bits
+     * @return {object} `{ mnemonic, keyManager }`
+     * @memberof KeyManager
+     */
+    static withMnemonic(params) {
+        const mnemonic = KeyManager.generateMnemonic(params.strength)
+        return { mnemonic, keyManager: new KeyManager({ ...params, mnemonic }) }
+    }
+
+    /**
+     * Restore a key manager from a mnemonic phrase into a new keyfile encrypted with the given password
+     * @param {string} mnemonic mnemonic phrase
+     * @param {object} params constructor object for key manager (see the constructor)
+     * @param {string} [params.passphrase] passphrase used when the mnemonic phrase was created
+     * @return {KeyManager} key manager holding the same keys
+     * @memberof KeyManager
+     */
+    static fromMnemonic(mnemonic, params) {
+        return new KeyManager({ ...params, mnemonic })
+    }
+
     ////////////////// Public methods ////////////////////////////////////////////////////////////////////////
     /**
      * Getter function to retrieve key storage in the Bifrost compatible format
      * @memberof KeyManager
      */
     getKeyStorage() {
-        if (this.#isLocked) throw new Error('Key manager is currently locked. Please unlock and try again.')
-        if (!this.pk) throw new Error('A key must be initialized before using this key manager')
+        if (this.#isLocked) throw new LockedKeyError('Key manager is currently locked. Please unlock and try again.', { publicKey: this.pk })
+        if (!this.pk) throw new KeyfileError('A key must be initialized before using this key manager')
         return this.#keyStorage
     }
 
@@ -394,25 +669,123 @@ class KeyManager {
      * @memberof KeyManager
      */
     unlockKey(password) {
-        if (!this.#isLocked) throw new Error('The key is already unlocked')
-        if (password !== this.#password) throw new Error('Invalid password')
+        if (!this.#isLocked) throw new BramblError('The key is already unlocked')
+        if (password !== this.#password) throw new ValidationError('Invalid password', { field: "password" })
         this.#isLocked = false;
     }
 
+    /**
+     * Change the password of the keyfile. The key is decrypted with the current password and encrypted again
+     * with a fresh salt and IV, optionally using new key-derivation parameters or a different cipher
+     * @param {string} oldPassword current encryption password
+     * @param {string} newPassword new encryption password
+     * @param {object} [options]
+     * @param {string} [options.kdf] new key-derivation function (defaults to that of the keyfile)
+     * @param {object} [options.kdfParams] new key-derivation parameters, i.e. `{ dkLen, n, r, p }` for scrypt (defaults to those of the keyfile)
+     * @param {string} [options.cipher] new symmetric cipher (defaults to that of the keyfile)
+     * @param {string} [options.keyPath] keyfile to rewrite atomically with the re-encrypted key
+     * @return {Promise<object>} the new key storage
+     * @memberof KeyManager
+     */
+    async changePassword(oldPassword, newPassword, options = {}) {
+        if (this.#isLocked) throw new LockedKeyError('The key is currently locked. Please unlock and try again.', { publicKey: this.pk })
+        if (!this.pk) throw new KeyfileError('A key must be initialized before using this key manager')
+        if (!newPassword) throw new ValidationError('A new password must be provided', { field: "newPassword" })
+
+        const current = this.#keyStorage
+        let secret
+        try { secret = await recoverAsync(oldPassword, current, this.constants.scrypt) } catch (err) {
+            if (err instanceof KeyfileError) throw new ValidationError('Invalid password', { field: "oldPassword" })
+            throw err
+        }
+
+        // encrypt the same secret with a fresh salt and IV
+        // (the parameters of the keyfile are kept unless a different key-derivation function is selected)
+        const kdf = options.kdf || current.crypto.kdf || "scrypt"
+        const currentParams = kdf === (current.crypto.kdf || "scrypt") ? current.crypto.kdfParams : undefined
+        const encryption = {
+            ...this.constants,
+            cipher: options.cipher || current.crypto.cipher,
+            kdf,
+            kdfParams: options.kdfParams || currentParams || (kdf === "scrypt" ? this.constants.scrypt : getKdf(kdf).defaults)
+        }
+        const keyObject = { ...create(encryption), privateKey: secret, publicKey: str2buf(this.pk) }
+        const keyStorage = await dumpAsync(newPassword, keyObject, encryption)
+        if (current.hd) keyStorage.hd = current.hd
+
+        if (options.keyPath) {
+            try { await writeFileAtomic(options.keyPath, JSON.stringify(keyStorage)) } catch (err) {
+                throw new KeyfileError('Error writing keyfile: ' + err.message, { path: options.keyPath, cause: err })
+            }
+        }
+
+        this.#password = newPassword
+        this.#keyStorage = keyStorage
+        return keyStorage
+    }
+
     /**
      * Generate the signature of a message using the provided private key
      * @param {string} message Message to sign (utf-8 encoded)
+     * @param {string} [publicKey] derived child key to sign with (defaults to the key of the keyfile)
      * @return {Buffer=} signature 
      * @memberof KeyManager
      */
-    sign(message) {
-        if (this.#isLocked) throw new Error('The key is currently locked. Please unlock and try again.')
+    sign(message, publicKey) {
+        if (this.#isLocked) throw new LockedKeyError('The key is currently locked. Please unlock and try again.', { publicKey: this.pk })
 
         function curve25519sign(privateKey, message) {
             return curve25519.sign(str2buf(privateKey), str2buf(message, 'utf8'), crypto.randomBytes(64))
         }
 
-        return curve25519sign(this.#sk, message);
+        if (!publicKey || publicKey === this.pk) return curve25519sign(this.#sk, message);
+
+        const child = this.listChildren().find(key => key.pk === publicKey)
+        if (!child) throw new ValidationError('No derived key found for ' + publicKey, { field: "publicKey" })
+        return curve25519sign(nodeKeyPair(deriveNode(this.#seed, parsePath(child.path))).privateKey, message);
+    }
+
+    /**
+     * Derive a child key from the master seed of a hierarchical deterministic keyfile.
+     * The child is recorded in the keyfile so that it may be listed and used for signing
+     * @param {number|string} path index of the child below the default path (m/44'/7091'/0'/0') or a full derivation path
+     * @return {object} the derived child as `{ path, pk }`
+     * @memberof KeyManager
+     */
+    deriveChild(path) {
+        if (this.#isLocked) throw new LockedKeyError('The key is currently locked. Please unlock and try again.', { publicKey: this.pk })
+        if (!this.#seed) throw new KeyfileError('Child keys may only be derived from a hierarchical deterministic keyfile')
+
+        const indexes = parsePath(typeof path === 'number' ? hdOptions.basePath + '/' + path + "'" : path)
+        const child = { path: formatPath(indexes), publicKey: Base58.encode(nodeKeyPair(deriveNode(this.#seed, indexes)).publicKey) }
+
+        const children = this.#keyStorage.hd.children
+        if (!children.some(key => key.path === child.path)) children.push(child)
+        return { path: child.path, pk: child.publicKey }
+    }
+
+    /**
+     * List the child keys derived from the master seed
+     * @return {object[]} the derived children as `{ path, pk }`
+     * @memberof KeyManager
+     */
+    listChildren() {
+        if (!this.#keyStorage.hd) return []
+        return this.#keyStorage.hd.children.map(key => ({ path: key.path, pk: key.publicKey }))
+    }
+
+    /**
+     * Create a signer for one of the keys held by the key manager (i.e. for use with `Brambl.addSigToTx`)
+     * @param {string} [publicKey] derived child key (defaults to the key of the keyfile)
+     * @return {object} signer with the properties `pk` and `sign(message)`
+     * @memberof KeyManager
+     */
+    signer(publicKey) {
+        const pk = publicKey || this.pk
+        if (pk !== this.pk && !this.listChildren().some(key => key.pk === pk)) {
+            throw new ValidationError('No derived key found for ' + pk, { field: "publicKey" })
+        }
+        return { pk, sign: message => this.sign(message, pk) }
     }
 
     /**
@@ -425,9 +798,9 @@ class KeyManager {
     exportToFile(_keyPath) {
         const keyPath = _keyPath || "keyfiles";
 
-        outfile = generateKeystoreFilename(this.pk);
-        json = JSON.stringify(this.getKeyStorage());
-        outpath = path.join(keyPath, outfile);
+        const outfile = generateKeystoreFilename(this.pk);
+        const json = JSON.stringify(this.getKeyStorage());
+        const outpath = path.join(keyPath, outfile);
 
         fs.writeFileSync(outpath, json);
         return outpath;
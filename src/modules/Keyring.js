@@ -0,0 +1,257 @@
+/**
+ * Manage a directory of keyfiles (as written by `KeyManager.exportToFile`).
+ * Keys are indexed by their public key and are locked (encrypted) until unlocked with their password
+ */
+
+("use strict");
+
+// Dependencies
+const fs = require('fs')
+const path = require('path')
+
+// Primary sub-modules
+const KeyManager = require('./KeyManager')
+
+// Utilities
+const { ValidationError, KeyfileError, LockedKeyError } = require('../lib/errors')
+const { parseKeyfile } = require('../lib/keyfile')
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+///// Keyring Class //////////////////////////////////////////////////////////////////////////////////////////////////
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+/**
+ * @class Create a new keyring for the keyfiles of a directory
+ * @param {object} [params={}] constructor object for the keyring
+ * @param {string} [params.keyPath="keyfiles"] directory holding the keyfiles
+ * @param {object} [params.constants] encryption options used for the keyfiles (see KeyManager)
+ */
+class Keyring {
+    constructor(params = {}) {
+        this.keyPath = params.keyPath || "keyfiles";
+        this.constants = params.constants;
+
+        // keyfiles indexed by the public key of the keyfile, given as { path, keyStorage, keyManager }
+        this.entries = new Map();
+
+        // errors of the keyfiles that could not be read by the last `load`
+        this.errors = [];
+    }
+
+    //// Keyfile management //////////////////////////////////////////////////////////////////////////////////////////
+    /**
+     * Read every keyfile (*.json) of the directory. Keyfiles that were already loaded are kept as they are, and keyfiles
+     * that cannot be read are skipped (their errors are listed in `errors`, given as a `KeyfileError` with the `path` of the file)
+     * @return {string[]} public keys of the keyfiles read from the directory
+     * @memberof Keyring
+     */
+    load() {
+        this.errors = [];
+        if (!fs.existsSync(this.keyPath)) return [];
+
+        return fs.readdirSync(this.keyPath).filter(file => file.endsWith('.json')).reduce((loaded, file) => {
+            const filePath = path.join(this.keyPath, file);
+            let keyStorage;
+            try { keyStorage = parseKeyfile(fs.readFileSync(filePath)) } catch (err) {
+                this.errors.push(new KeyfileError('Error reading keyfile: ' + err.message, { path: filePath, field: err.field, cause: err }));
+                return loaded;
+            }
+
+            if (!this.entries.has(keyStorage.publicKeyId)) {
+                this.entries.set(keyStorage.publicKeyId, { path: filePath, keyStorage, keyManager: null });
+            }
+            return [...loaded, keyStorage.publicKeyId];
+        }, []);
+    }
+
+    /**
+     * Add an (unlocked) key manager to the keyring
+     * @param {KeyManager} keyManager key manager instance
+     * @param {boolean} [save=false] export the keyfile to the directory of the keyring
+     * @return {string} public key of the key manager
+     * @memberof Keyring
+     */
+    add(keyManager, save = false) {
+        const keyStorage = keyManager.getKeyStorage();
+        let filePath = null;
+        if (save) {
+            fs.mkdirSync(this.keyPath, { recursive: true });
+            filePath = keyManager.exportToFile(this.keyPath);
+        }
+        this.entries.set(keyManager.pk, { path: filePath, keyStorage, keyManager });
+        return keyManager.pk;
+    }
+
+    /**
+     * Generate a new keyfile, save it to the directory, and add it (unlocked) to the keyring
+     * @param {string} password encryption password of the keyfile
+     * @param {object} [params] additional constructor parameters of the key manager (i.e. `hd`)
+     * @return {string} public key of the new keyfile
+     * @memberof Keyring
+     */
+    generate(password, params = {}) {
+        const keyManager = new KeyManager({ constants: this.constants, ...params, password });
+        return this.add(keyManager, true);
+    }
+
+    /**
+     * Decrypt a keyfile so that its keys may be used for signing
+     * @param {string} publicKey public key of the keyfile
+     * @param {string} password encryption password of the keyfile
+     * @memberof Keyring
+     */
+    unlock(publicKey, password) {
+        const entry = this.entry(publicKey);
+        if (entry.keyManager) throw new ValidationError('The key is already unlocked', { field: "publicKey" })
+
+        if (!entry.path) throw new KeyfileError('The keyfile was not saved and cannot be unlocked again')
+        entry.keyManager = new KeyManager({ password, keyPath: entry.path, constants: this.constants });
+    }
+
+    /**
+     * Decrypt a keyfile without blocking the event loop (see `KeyManager.open`)
+     * @param {string} publicKey public key of the keyfile
+     * @param {string} password encryption password of the keyfile
+     * @return {Promise} resolves once the keyfile is unlocked
+     * @memberof Keyring
+     */
+    async open(publicKey, password) {
+        const entry = this.entry(publicKey);
+        if (entry.keyManager) throw new ValidationError('The key is already unlocked', { field: "publicKey" })
+
+        if (!entry.path) throw new KeyfileError('The keyfile was not saved and cannot be unlocked again')
+        entry.keyManager = await KeyManager.open({ password, keyPath: entry.path, constants: this.constants });
+    }
+
+    /**
+     * Change the password of an unlocked keyfile and rewrite it in the directory (see `KeyManager.changePassword`)
+     * @param {string} publicKey public key of the keyfile
+     * @param {string} oldPassword current encryption password
+     * @param {string} newPassword new encryption password
+     * @param {object} [options] new `kdfParams` or `cipher` of the keyfile
+     * @return {Promise<object>} the new key storage
+     * @memberof Keyring
+     */
+    async changePassword(publicKey, oldPassword, newPassword, options = {}) {
+        const entry = this.entry(publicKey);
+        const keyStorage = await this.keyManager(publicKey).changePassword(oldPassword, newPassword, { ...options, keyPath: entry.path });
+        entry.keyStorage = keyStorage;
+        return keyStorage;
+    }
+
+    /**
+     * Lock a keyfile, discarding its decrypted private key
+     * @param {string} publicKey public key of the keyfile
+     * @memberof Keyring
+     */
+    lock(publicKey) {
+        const entry = this.entry(publicKey);
+        if (entry.keyManager) entry.keyStorage = entry.keyManager.getKeyStorage();
+        entry.keyManager = null;
+    }
+
+    /**
+     * Write a keyfile back to the directory (i.e. to keep the children derived since it was loaded)
+     * @param {string} publicKey public key of the keyfile
+     * @return {string} path of the keyfile
+     * @memberof Keyring
+     */
+    save(publicKey) {
+        const entry = this.entry(publicKey);
+        if (entry.keyManager) entry.keyStorage = entry.keyManager.getKeyStorage();
+        if (!entry.path) {
+            fs.mkdirSync(this.keyPath, { recursive: true });
+            entry.path = this.keyManager(publicKey).exportToFile(this.keyPath);
+        } else {
+            fs.writeFileSync(entry.path, JSON.stringify(entry.keyStorage));
+        }
+        return entry.path;
+    }
+
+    /**
+     * Get the unlocked key manager of a keyfile (i.e. to derive child keys)
+     * @param {string} publicKey public key of the keyfile
+     * @return {KeyManager} key manager instance
+     * @memberof Keyring
+     */
+    keyManager(publicKey) {
+        const entry = this.entry(publicKey);
+        if (!entry.keyManager) throw new LockedKeyError('The key is currently locked. Please unlock and try again.', { publicKey })
+        return entry.keyManager;
+    }
+
+    //// Key lookup //////////////////////////////////////////////////////////////////////////////////////////////////
+    /**
+     * Find the keyfile holding a public key (either the key of the keyfile or a derived child key)
+     * @param {string} publicKey Base58 encoded public key
+     * @return {object} keyfile entry
+     * @memberof Keyring
+     */
+    entry(publicKey) {
+        if (this.entries.has(publicKey)) return this.entries.get(publicKey);
+
+        for (const entry of this.entries.values()) {
+            if (this.childKeys(entry).includes(publicKey)) return entry;
+        }
+        throw new ValidationError('No keyfile found for ' + publicKey, { field: "publicKey" })
+    }
+
+    /**
+     * Public keys of the children derived in a keyfile
+     * @param {object} entry keyfile entry
+     * @return {string[]} Base58 encoded public keys
+     * @memberof Keyring
+     */
+    childKeys(entry) {
+        if (entry.keyManager) return entry.keyManager.listChildren().map(child => child.pk);
+        return entry.keyStorage.hd ? entry.keyStorage.hd.children.map(child => child.publicKey) : [];
+    }
+
+    /**
+     * Check whether the keyring holds a public key
+     * @param {string} publicKey Base58 encoded public key
+     * @return {boolean}
+     * @memberof Keyring
+     */
+    has(publicKey) {
+        try { return !!this.entry(publicKey) } catch (err) { return false }
+    }
+
+    /**
+     * List the keys of the keyring (including derived child keys)
+     * @return {object[]} keys given as `{ pk, path, unlocked, parent }` (`parent` is only set for child keys)
+     * @memberof Keyring
+     */
+    list() {
+        return [].concat(...[...this.entries].map(([pk, entry]) => {
+            const unlocked = !!entry.keyManager;
+            const children = this.childKeys(entry).map(child => ({ pk: child, path: entry.path, unlocked, parent: pk }));
+            return [{ pk, path: entry.path, unlocked }].concat(children);
+        }));
+    }
+
+    /**
+     * Create a signer for a key of the keyring (see `KeyManager.signer`)
+     * @param {string} publicKey Base58 encoded public key
+     * @return {object} signer with the properties `pk` and `sign(message)`
+     * @memberof Keyring
+     */
+    signer(publicKey) {
+        return this.keyManager(publicKey).signer(publicKey);
+    }
+
+    /**
+     * Create signers for a list of public keys
+     * @param {string[]} publicKeys Base58 encoded public keys
+     * @return {object[]} signers with the properties `pk` and `sign(message)`
+     * @memberof Keyring
+     */
+    signers(publicKeys) {
+        return publicKeys.map(pk => this.signer(pk));
+    }
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+module.exports = Keyring;
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
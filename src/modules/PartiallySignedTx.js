@@ -0,0 +1,263 @@
+/**
+ * Portable partially signed transactions, used to collect the signatures of a transaction from keys held in different
+ * processes or on offline (air-gapped) machines. A partially signed transaction is exported as a JSON file holding the
+ * formatted transaction, the message to sign, the public keys that must sign it, and the signatures collected so far.
+ * Files signed by different parties are merged, and the complete transaction is finalized for `broadcastTx`
+ */
+
+("use strict");
+
+// Dependencies
+const fs = require('fs')
+const Base58 = require('base-58')
+
+// Primary sub-modules
+const KeyManager = require('./KeyManager')
+const Keyring = require('./Keyring')
+const TransactionBuilder = require('./TransactionBuilder')
+
+// Utilities
+const { ValidationError } = require('../lib/errors')
+
+// Identifier and version of the file format
+const format = "brambl-partial-tx"
+const formatVersion = 1
+
+/**
+ * Check that the message to sign matches the contents of the transaction, so that an offline signer does not sign
+ * a message other than the transaction it was given (transaction types that cannot be rebuilt locally are not checked)
+ * @param {object} formattedTx formatted transaction
+ * @param {string} messageToSign Base58 encoded message to sign
+ */
+function checkMessage(formattedTx, messageToSign) {
+    let rebuilt
+    try { rebuilt = TransactionBuilder.rebuild(formattedTx) } catch (err) {
+        if (err instanceof ValidationError && err.field === "txType") return
+        throw err
+    }
+    if (rebuilt.messageToSign !== messageToSign) {
+        throw new ValidationError('The message to sign does not match the contents of the transaction', { field: "messageToSign" })
+    }
+}
+
+/**
+ * Create the signers of the given keys that must sign a transaction
+ * @param {KeyManager|Keyring|object|object[]} keys key managers, keyrings, or signers `{ pk, sign(message) }`
+ * @param {string[]} required public keys that must sign the transaction
+ * @return {object[]} signers with the properties `pk` and `sign(message)`
+ */
+function signersOf(keys, required) {
+    return [].concat(...[].concat(keys).map(key => {
+        if (key instanceof Keyring) return required.filter(pk => key.has(pk)).map(pk => key.signer(pk))
+        if (key instanceof KeyManager) {
+            const held = [key.pk].concat(key.listChildren().map(child => child.pk))
+            return required.filter(pk => held.includes(pk)).map(pk => key.signer(pk))
+        }
+        if (!key || typeof key.sign !== "function") throw new ValidationError('Invalid key given for signing', { field: "keys" })
+        return required.includes(key.pk) ? [key] : []
+    }))
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+///// PartiallySignedTx Class ////////////////////////////////////////////////////////////////////////////////////////
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+/**
+ * @class Create a partially signed transaction
+ * @param {object} params
+ * @param {object} params.formattedTx formatted transaction (without signatures)
+ * @param {string} params.messageToSign Base58 encoded message to sign
+ * @param {string[]} params.signers public keys that must sign the transaction
+ * @param {object} [params.signatures={}] Base58 encoded signatures collected so far, indexed by public key
+ */
+class PartiallySignedTx {
+    constructor(params) {
+        if (!params || !params.formattedTx || typeof params.formattedTx !== "object") {
+            throw new ValidationError('A formatted transaction must be provided', { field: "formattedTx" })
+        }
+        if (typeof params.messageToSign !== "string") throw new ValidationError('The message to sign must be provided', { field: "messageToSign" })
+        if (!Array.isArray(params.signers) || !params.signers.length) {
+            throw new ValidationError('The signers of the transaction must be provided', { field: "signers" })
+        }
+
+        const { signatures, ...formattedTx } = params.formattedTx;
+        checkMessage(formattedTx, params.messageToSign);
+
+        this.formattedTx = formattedTx;
+        this.messageToSign = params.messageToSign;
+        this.signers = [...params.signers];
+        this.signatures = {};
+        Object.entries(params.signatures || {}).forEach(([pk, signature]) => this.addSignature(pk, signature));
+    }
+
+    /**
+     * Create a partially signed transaction from a prototype transaction
+     * @param {object} prototypeTx prototype transaction of the form `{ formattedTx, messageToSign }`
+     * @param {string|string[]} [sender] public keys that must sign (defaults to the keys required by the transaction)
+     * @return {PartiallySignedTx}
+     * @memberof PartiallySignedTx
+     */
+    static fromPrototype(prototypeTx, sender) {
+        const { formattedTx, messageToSign } = prototypeTx || {};
+        const signers = sender ? [].concat(sender) : TransactionBuilder.requiredSigners(formattedTx || {});
+        return new PartiallySignedTx({ formattedTx, messageToSign, signers, signatures: formattedTx && formattedTx.signatures });
+    }
+
+    /**
+     * Parse an exported partially signed transaction
+     * @param {string|object} json contents of an exported file (or the parsed object)
+     * @return {PartiallySignedTx}
+     * @memberof PartiallySignedTx
+     */
+    static fromJSON(json) {
+        let parsed = json;
+        if (typeof json === "string" || Buffer.isBuffer(json)) {
+            try { parsed = JSON.parse(json) } catch (err) {
+                throw new ValidationError('Invalid partially signed transaction: ' + err.message, { field: "", cause: err })
+            }
+        }
+        if (!parsed || parsed.format !== format) throw new ValidationError('Not a partially signed transaction', { field: "format" })
+        if (parsed.version !== formatVersion) {
+            throw new ValidationError('Unsupported partially signed transaction version ' + parsed.version, { field: "version" })
+        }
+        return new PartiallySignedTx(parsed);
+    }
+
+    /**
+     * Read a partially signed transaction from a file
+     * @param {string} filePath path of the file
+     * @return {PartiallySignedTx}
+     * @memberof PartiallySignedTx
+     */
+    static read(filePath) {
+        return PartiallySignedTx.fromJSON(fs.readFileSync(filePath));
+    }
+
+    /**
+     * Merge the signatures of several copies of the same transaction
+     * @param {...PartiallySignedTx} partialTxs copies of the transaction (signed by different parties)
+     * @return {PartiallySignedTx} a new partially signed transaction holding every signature
+     * @memberof PartiallySignedTx
+     */
+    static merge(...partialTxs) {
+        if (!partialTxs.length) throw new ValidationError('At least one partially signed transaction must be provided', { field: "partialTxs" })
+        return partialTxs.reduce((merged, partialTx) => merged.merge(partialTx), new PartiallySignedTx(partialTxs[0]));
+    }
+
+    //// Signing /////////////////////////////////////////////////////////////////////////////////////////////////////
+    /**
+     * Add a signature (checked against the public key and the message to sign). A signer that already signed keeps its signature
+     * @param {string} publicKey Base58 encoded public key of a signer
+     * @param {string} signature Base58 encoded signature
+     * @return {PartiallySignedTx} this transaction
+     * @memberof PartiallySignedTx
+     */
+    addSignature(publicKey, signature) {
+        const field = 'signatures.' + publicKey;
+        if (!this.signers.includes(publicKey)) throw new ValidationError(publicKey + ' is not a signer of the transaction', { field })
+
+        let valid;
+        try { valid = KeyManager.verify(publicKey, Buffer.from(Base58.decode(this.messageToSign)), signature) } catch (err) { valid = false }
+        if (!valid) throw new ValidationError('Invalid signature of ' + publicKey, { field })
+
+        // signatures are randomized, so copies signed by the same key carry different valid signatures (the first one is kept)
+        if (!this.signatures[publicKey]) this.signatures[publicKey] = signature;
+        return this;
+    }
+
+    /**
+     * Sign the transaction with every given key that is a signer of the transaction
+     * @param {KeyManager|Keyring|object|object[]} keys unlocked key managers, keyrings, or signers `{ pk, sign(message) }`
+     * @return {PartiallySignedTx} this transaction
+     * @memberof PartiallySignedTx
+     */
+    sign(keys) {
+        const signers = signersOf(keys, this.signers);
+        if (!signers.length) throw new ValidationError('None of the given keys is a signer of the transaction', { field: "keys" })
+
+        const message = Buffer.from(Base58.decode(this.messageToSign));
+        signers.forEach(signer => {
+            if (!this.signatures[signer.pk]) this.addSignature(signer.pk, Base58.encode(signer.sign(message)));
+        });
+        return this;
+    }
+
+    /**
+     * Add the signatures of another copy of the same transaction
+     * @param {PartiallySignedTx|object} other copy of the transaction
+     * @return {PartiallySignedTx} this transaction
+     * @memberof PartiallySignedTx
+     */
+    merge(other) {
+        if (other.messageToSign !== this.messageToSign) {
+            throw new ValidationError('Cannot merge signatures of a different transaction', { field: "messageToSign" })
+        }
+        Object.entries(other.signatures || {}).forEach(([pk, signature]) => this.addSignature(pk, signature));
+        return this;
+    }
+
+    //// Completion //////////////////////////////////////////////////////////////////////////////////////////////////
+    /**
+     * Public keys of the signers that have not signed yet
+     * @return {string[]} Base58 encoded public keys
+     * @memberof PartiallySignedTx
+     */
+    missingSigners() {
+        return this.signers.filter(pk => !this.signatures[pk]);
+    }
+
+    /**
+     * Check whether every signer has signed the transaction
+     * @return {boolean}
+     * @memberof PartiallySignedTx
+     */
+    isComplete() {
+        return this.missingSigners().length === 0;
+    }
+
+    /**
+     * Finalize a completely signed transaction
+     * @return {object} parameters of the `broadcastTx` request given as `{ tx }`
+     * @memberof PartiallySignedTx
+     */
+    finalize() {
+        const missing = this.missingSigners();
+        if (missing.length) {
+            throw new ValidationError('The transaction is missing signatures of: ' + missing.join(', '), { field: "signatures", missing })
+        }
+        return { tx: { ...this.formattedTx, signatures: { ...this.signatures } } };
+    }
+
+    //// Export //////////////////////////////////////////////////////////////////////////////////////////////////////
+    /**
+     * Portable representation of the partially signed transaction
+     * @return {object}
+     * @memberof PartiallySignedTx
+     */
+    toJSON() {
+        return {
+            format,
+            version: formatVersion,
+            formattedTx: this.formattedTx,
+            messageToSign: this.messageToSign,
+            signers: this.signers,
+            signatures: this.signatures
+        };
+    }
+
+    /**
+     * Write the partially signed transaction to a file (i.e. to carry it to an offline machine)
+     * @param {string} filePath path of the file
+     * @return {string} path of the file
+     * @memberof PartiallySignedTx
+     */
+    save(filePath) {
+        fs.writeFileSync(filePath, JSON.stringify(this));
+        return filePath;
+    }
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+module.exports = PartiallySignedTx;
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
@@ -11,7 +11,121 @@
 ("use strict");
 
 // Dependencies
-const fetch = require('node-fetch')
+const { HttpTransport } = require('../lib/transports')
+const { defaultPolicy, withRetry } = require('../lib/retry')
+const RateLimiter = require('../lib/rateLimiter')
+const ProviderPool = require('../lib/providerPool')
+const Hash = require('../utils/Hash')
+const { RpcError, RateLimitError, DivergenceError, ValidationError } = require('../lib/errors')
+
+// counter used to assign unique identifiers to the entries of a batch request
+let batchCounter = 0;
+
+// methods of the Requests class that do not send a json-rpc request
+const nonRpcMethods = ["constructor", "setUrl", "setApiKey", "setTransport", "stop", "batch"];
+
+// json-rpc methods that change the state of the node and must not be repeated blindly
+const nonIdempotentMethods = [
+  "broadcastTx",
+  "generateKeyfile",
+  "transferPolys",
+  "transferArbits",
+  "createAssets",
+  "transferAssets",
+  "transferTargetAssets"
+];
+
+// read-only json-rpc methods answered by a quorum of providers (getBalancesByKey, getTransactionById, getBlockById, chainInfo)
+const quorumMethods = ["balances", "transactionById", "blockById", "info"];
+
+// JSON-RPC error code used by chain providers to refuse requests over the rate limit
+const rateLimitCode = -32005;
+
+// JSON-RPC error codes of a node that does not support batch requests (invalid request, method not found)
+const batchUnsupportedCodes = [-32600, -32601];
+
+/**
+ * Create the error of a JSON-RPC error response (rate-limit errors are reported as a `RateLimitError`)
+ *
+ * @param {object} response - JSON-RPC response containing an `error` field
+ * @param {string} [method] - json-rpc method of the failed request
+ * @returns {RpcError|RateLimitError} the error
+ */
+function responseError(response, method) {
+  const error = response.error || {};
+  if (error.code === rateLimitCode || /rate limit|too many requests/i.test(error.message || "")) {
+    const retryAfter = error.data && typeof error.data.retryAfter === "number" ? error.data.retryAfter : undefined;
+    return new RateLimitError(error.message || "Chain provider rate limit exceeded", { code: error.code, retryAfter, method, response });
+  }
+  return RpcError.fromResponse(response, method);
+}
+
+/**
+ * Send a read-only request to several chain providers and settle with the answer given by at least `quorum` of them.
+ * Answers are compared by the hash of their canonicalized result (or error), so that the order of object keys does not matter
+ *
+ * @param {object} self - internal reference for accessing constructor data
+ * @param {object} request - request given to the transport
+ * @param {object} ctx - information about the call
+ * @param {object} policy - request policy holding the `quorum` and the number of providers queried (`quorumSize`)
+ * @returns {object} JSON-RPC response given by the quorum
+ */
+async function quorumRead(self, request, ctx, policy) {
+  const answers = await self.providers.query(request, ctx, self.transport, policy.quorumSize);
+  const groups = new Map();
+  answers.filter(answer => answer.response).forEach(answer => {
+    const { result, error } = answer.response;
+    const digest = Hash.any(error ? { error: { code: error.code, message: error.message } } : { result }, "base58");
+    groups.set(digest, (groups.get(digest) || []).concat(answer));
+  });
+
+  const agreed = [...groups.values()].find(group => group.length >= policy.quorum);
+  if (agreed) return agreed[0].response;
+  throw new DivergenceError("Fewer than " + policy.quorum + " chain providers agree on " + ctx.method, {
+    method: ctx.method,
+    quorum: policy.quorum,
+    answers: answers.map(({ provider, response, error }) =>
+      response ? (response.error ? { provider, error: response.error } : { provider, result: response.result }) : { provider, error })
+  });
+}
+
+/**
+ * Send a JSON-RPC payload (either a single request object or a batch array) to the chain provider
+ * using the transport of the Requests instance
+ *
+ * @param {string} route - the route where the request will be sent
+ * @param {object|object[]} body - JSON-RPC request object or array of request objects
+ * @param {object} self - internal reference for accessing constructor data
+ * @param {object} options - per-call options overriding the request policy of the instance (and an AbortSignal as `signal`)
+ * @returns {object|object[]} JSON response from the node
+ */
+async function sendRequest(route, body, self, options) {
+  const methods = [].concat(body).map(entry => entry.method);
+  const ctx = {
+    route,
+    method: methods.join(","),
+    idempotent: !methods.some(method => nonIdempotentMethods.includes(method))
+  };
+
+  // calls changing the state of the node (i.e. broadcastTx) are sent before lookups waiting for the rate limit
+  const policy = { priority: ctx.idempotent ? 0 : 1, ...self.options, limiter: self.limiter, ...options };
+
+  // read-only calls are compared across providers if a quorum is required
+  const quorum = policy.quorum > 1 && !Array.isArray(body) && quorumMethods.includes(body.method);
+  if (quorum && (!self.providers || policy.quorum > Math.min(self.providers.providers.length, policy.quorumSize || Infinity)))
+    throw new ValidationError("The quorum cannot exceed the number of queried chain providers", { field: "quorum" });
+
+  // (the pool of providers applies the timeout to each provider it tries)
+  return withRetry(async () => {
+    const request = { url: self.url, route, headers: self.headers, body, timeout: policy.timeout, signal: policy.signal };
+    const response = await (quorum
+      ? quorumRead(self, request, ctx, policy)
+      : self.providers ? self.providers.send(request, ctx, self.transport) : self.transport.send(request));
+    // json-rpc errors of single requests are failed attempts (batch entries are settled individually)
+    if (!Array.isArray(response) && response.error) throw responseError(response, ctx.method);
+    return response;
+  }, self.providers ? { ...policy, timeout: 0 } : policy, ctx);
+};
 
 /**
  * General builder function for formatting API request
@@ -22,9 +136,10 @@ const fetch = require('node-fetch')
  * @param {string} routeInfo.id - an identifier for tracking requests sent to the node
  * @param {object} params - method specific parameter object
  * @param {object} self - internal reference for accessing constructor data
+ * @param {object} [options] - per-call options overriding the request policy of the instance
  * @returnss {object} JSON response from the node
  */
-async function BramblRequest(routeInfo, params, self) {
+async function BramblRequest(routeInfo, params, self, options) {
   try {
     const route = routeInfo.route;
     const body = {
@@ -35,42 +150,174 @@ async function BramblRequest(routeInfo, params, self) {
         { ...params }
       ]
     };
-    const payload = {
-      url: self.url + route,
-      method: "POST",
-      headers: self.headers,
-      body: JSON.stringify(body)
-    };
-    const response = await (await fetch(self.url + route, payload)).json();
-    if (response.error) { throw response }
-    else { return response }
+
+    // collect the request instead of sending it when building a batch
+    if (self.batchQueue) {
+      body.id = "batch-" + (++batchCounter);
+      return new Promise((resolve, reject) => self.batchQueue.push({ route, body, resolve, reject }));
+    }
+
+    return await sendRequest(route, body, self, options);
 
   } catch (err) {
     throw err
   }
 };
 
+/**
+ * Send the collected entries of a batch as one JSON-RPC 2.0 batch array per route
+ * and settle each entry with the response matching its id (or with its own request if the batch is refused)
+ *
+ * @param {object[]} queue - collected batch entries
+ * @param {object} self - internal reference for accessing constructor data
+ * @param {object} [options] - per-call options overriding the request policy of the instance
+ */
+function sendBatch(queue, self, options) {
+  // group the entries by route since each route is a separate endpoint on the node
+  const routes = queue.reduce((acc, entry) => {
+    (acc[entry.route] = acc[entry.route] || []).push(entry);
+    return acc;
+  }, {});
+
+  Object.entries(routes).forEach(([route, entries]) => {
+    sendRequest(route, entries.map(entry => entry.body), self, options)
+      .then(responses => {
+        // a node that fails to process the batch responds with a single error object
+        if (!Array.isArray(responses)) throw RpcError.fromResponse(responses);
+        const byId = new Map(responses.map(res => [res.id, res]));
+        entries.forEach(entry => {
+          const response = byId.get(entry.body.id);
+          if (!response) entry.reject(new RpcError("No response received for batch entry " + entry.body.id, { method: entry.body.method }));
+          else if (response.error) entry.reject(responseError(response, entry.body.method));
+          else entry.resolve(response);
+        });
+      })
+      .catch(err => {
+        // a node without batch support answers with a single error object, so the idempotent entries are sent one by one
+        // (the others fail with the error of the batch rather than risk being applied twice)
+        const unsupported = err instanceof RpcError && batchUnsupportedCodes.includes(err.code);
+        entries.forEach(entry => {
+          if (!unsupported || nonIdempotentMethods.includes(entry.body.method)) return entry.reject(err);
+          sendRequest(route, entry.body, self, options).then(entry.resolve, entry.reject);
+        });
+      });
+  });
+}
+
 /**
  * A class for sending requests to the Brambl layer interface of the given chain provider
  * @param {string} [url="http://localhost:9085/"] Chain provider location
  * @param {string} [apiKey="topl_the_world!"] Access key for authorizing requests to the client API
+ * @param {object} [options={}] Additional options
+ * @param {object} [options.transport] Transport used to deliver requests (defaults to a new `HttpTransport`)
+ * @param {number} [options.timeout=30000] Maximum time (in milliseconds) to wait for each attempt (0 to wait indefinitely)
+ * @param {number} [options.retries=0] Number of additional attempts after a retryable failure
+ * @param {number} [options.minDelay=250] Delay (in milliseconds) before the first retry
+ * @param {number} [options.maxDelay=10000] Maximum delay (in milliseconds) between retries
+ * @param {number} [options.factor=2] Exponential growth of the delay between retries
+ * @param {number} [options.jitter=0.5] Fraction of the delay that is randomized
+ * @param {function} [options.retryOn] Function `(err, { method, idempotent, attempt }) => boolean` deciding if a failure is retried
+ * @param {number} [options.rateLimit=Infinity] Maximum number of requests sent per second (on average)
+ * @param {number} [options.burst] Number of requests that may be sent at once after an idle period (defaults to `rateLimit`)
+ * @param {number} [options.concurrency=Infinity] Maximum number of requests in flight
+ * @param {number} [options.rateLimitRetries=3] Number of additional attempts after rate-limited responses (HTTP 429 or a
+ *   JSON-RPC rate-limit error). Every call waits while the chain provider refuses requests
+ *
+ * The per-call `options` of every method accept the same fields, and an AbortSignal as `signal` to cancel the call.
+ * Aborting stops the pending attempt (and any further retries) and rejects the call with an `AbortError`.
+ * Calls waiting for the rate limit are sent by `priority` (calls changing the state of the node, i.e. `broadcastTx`,
+ * default to 1 and lookups to 0)
+ *
+ * @param {object[]} [options.providers] Chain providers serving the calls instead of `url`, given as `{ url, apiKey, transport, name }`
+ *   (or as urls). Each call is sent to the healthiest provider and fails over to the next one if the provider cannot be reached.
+ *   The pool of providers is available as `requests.providers` (see `ProviderPool` for its events and `status()`)
+ * @param {number} [options.healthCheckInterval=30] Time (in seconds) between health checks of the providers (0 to check only on demand)
+ * @param {number} [options.healthCheckTimeout=5000] Time (in milliseconds) before a health check fails
+ * @param {number} [options.maxLag=2] Number of blocks a provider may lag behind the others and still be considered fresh
+ * @param {number} [options.quorum] Number of providers that must give the same answer to the read-only calls (`getBalancesByKey`,
+ *   `getTransactionById`, `getBlockById`, and `chainInfo`, except in batches). The call is sent to every provider (or to the
+ *   `quorumSize` best ranked ones) and rejects with a `DivergenceError` holding every answer if too few of them agree
+ * @param {number} [options.quorumSize] Number of providers queried by a quorum read (defaults to every provider)
  * @class Requests
  */
 class Requests {
-  constructor(url = "http://localhost:9085/", apiKey = "topl_the_world!") {
+  constructor(url = "http://localhost:9085/", apiKey = "topl_the_world!", options = {}) {
+    const { transport, rateLimit, burst, concurrency, providers, healthCheckInterval, healthCheckTimeout, maxLag, ...policy } = options;
     this.url = url;
     this.headers = {
       "Content-Type": "application/json",
       "x-api-key": apiKey
     };
+    this.transport = transport || new HttpTransport();
+    this.options = { ...defaultPolicy, ...policy };
+    this.limiter = new RateLimiter({ rate: rateLimit, burst, concurrency });
+
+    if (providers) {
+      const list = [].concat(providers).map(provider => {
+        const { apiKey: key, ...rest } = typeof provider === "string" ? { url: provider } : provider;
+        return { ...rest, headers: key ? { ...this.headers, "x-api-key": key } : undefined };
+      });
+      const probe = provider => (provider.transport || this.transport).send({
+        url: provider.url,
+        route: "debug/",
+        headers: provider.headers || this.headers,
+        body: { jsonrpc: "2.0", id: "health", method: "info", params: [{}] },
+        timeout: healthCheckTimeout
+      }).then(response => {
+        if (response.error) throw RpcError.fromResponse(response, "info");
+        return response.result;
+      });
+      this.providers = new ProviderPool(list, probe, { healthCheckInterval, healthCheckTimeout, maxLag });
+    }
   }
   //Allows setting a different url than the default from which to create and accept RPC connections
+  //(calls are then no longer served by the pool of providers)
   setUrl(url) {
     this.url = url;
+    if (this.providers) this.providers.stop();
+    this.providers = null;
+  }
+  //Stops the periodic health checks of the chain providers (they start again with the next call)
+  stop() {
+    if (this.providers) this.providers.stop();
   }
   setApiKey(apiKey) {
     this.headers["x-api-key"] = apiKey;
   }
+  //Allows setting a different transport (i.e. WebSocket or in-process) for delivering requests
+  setTransport(transport) {
+    if (!transport || typeof transport.send !== "function")
+      throw new ValidationError("A transport must implement a send method", { field: "transport" });
+    this.transport = transport;
+  }
+  //////batch////////////////
+  /**
+   * Send several requests together as JSON-RPC 2.0 batches (one HTTP request per route).
+   * Identifiers are assigned automatically and responses are matched back to their request by id.
+   * @param {object[]} calls - list of calls to include in the batch
+   * @param {string} calls[].method - name of the Requests method to call (i.e. `getTransactionById`)
+   * @param {object} [calls[].params] - parameters for the method
+   * @param {object} [options] - per-call request options (timeout, retries, ...) applied to the batch
+   * @returns {Promise[]} a promise for each call that resolves or rejects independently
+   * @memberof Requests
+   */
+  batch(calls, options) {
+    if (!Array.isArray(calls))
+      throw new ValidationError("A list of calls must be specified", { field: "calls" });
+
+    // a view of this instance that collects requests instead of sending them
+    const queue = [];
+    const collector = Object.create(this, { batchQueue: { value: queue } });
+
+    const results = calls.map(call => {
+      if (!call || typeof Requests.prototype[call.method] !== "function" || nonRpcMethods.includes(call.method))
+        return Promise.reject(new ValidationError("Invalid batch method: " + (call && call.method), { field: "method" }));
+      return collector[call.method](call.params);
+    });
+
+    if (queue.length) sendBatch(queue, this, options);
+    return results;
+  }
   //////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
   /////Wallet Api Routes////////////////////////////////////////////////////////////////////////////////////////////////
   //////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
@@ -80,28 +327,30 @@ class Requests {
    * @param {Object} params - body parameters passed to the specified json-rpc method
    * @param {string[]} params.publicKeys - An array of public keys to query the balance for
    * @param {string} [id="1"] - identifying number for the json-rpc request
+   * @param {object} [options] - per-call request options (timeout, retries, ...) overriding those of the instance
    * @returns {object} json-rpc response from the chain
    * @memberof Requests
    */
-  async getBalancesByKey(params, id = "1") {
+  async getBalancesByKey(params, id = "1", options = {}) {
     if (!params.publicKeys || !Array.isArray(params.publicKeys))
-      throw new Error("A list of publicKeys must be specified");
+      throw new ValidationError("A list of publicKeys must be specified", { field: "publicKeys" });
     const route = "wallet/";
     const method = "balances";
-    return BramblRequest({ route, method, id }, params, this);
+    return BramblRequest({ route, method, id }, params, this, options);
   }
   //////listOpenKeyfiles////////////////
   /**
    * Get a list of all open keyfiles
    * @param {string} [id="1"] - identifying number for the json-rpc request
+   * @param {object} [options] - per-call request options (timeout, retries, ...) overriding those of the instance
    * @returns {object} json-rpc response from the chain
    * @memberof Requests
    */
-  async listOpenKeyfiles(id = "1") {
+  async listOpenKeyfiles(id = "1", options = {}) {
     const params = {};
     const route = "wallet/";
     const method = "listOpenKeyfiles";
-    return BramblRequest({ route, method, id }, params, this);
+    return BramblRequest({ route, method, id }, params, this, options);
   }
   //////generateKeyfile////////////////
   /**
@@ -109,17 +358,18 @@ class Requests {
    * @param {Object} params - body parameters passed to the specified json-rpc method
    * @param {string} params.password - Password for encrypting the new keyfile
    * @param {string} [id="1"] - identifying number for the json-rpc request
+   * @param {object} [options] - per-call request options (timeout, retries, ...) overriding those of the instance
    * @returns {object} json-rpc response from the chain
    * @memberof Requests
    */
-  async generateKeyfile(params, id = "1") {
+  async generateKeyfile(params, id = "1", options = {}) {
     if (!params)
-      throw new Error("A parameter object must be specified");
+      throw new ValidationError("A parameter object must be specified", { field: "params" });
     if (!params.password)
-      throw new Error("A password must be provided to encrypt the keyfile");
+      throw new ValidationError("A password must be provided to encrypt the keyfile", { field: "password" });
     const route = "wallet/";
     const method = "generateKeyfile";
-    return BramblRequest({ route, method, id }, params, this);
+    return BramblRequest({ route, method, id }, params, this, options);
   }
   //////lockKeyfile////////////////
   /**
@@ -128,19 +378,20 @@ class Requests {
    * @param {string} params.publicKey - Base58 encoded public key to get the balance of
    * @param {string} params.password - Password used to encrypt the keyfile
    * @param {string} [id="1"] - identifying number for the json-rpc request
+   * @param {object} [options] - per-call request options (timeout, retries, ...) overriding those of the instance
    * @returns {object} json-rpc response from the chain
    * @memberof Requests
    */
-  async lockKeyfile(params, id = "1") {
+  async lockKeyfile(params, id = "1", options = {}) {
     if (!params)
-      throw new Error("A parameter object must be specified");
+      throw new ValidationError("A parameter object must be specified", { field: "params" });
     if (!params.publicKey)
-      throw new Error("A publicKey field must be specified");
+      throw new ValidationError("A publicKey field must be specified", { field: "publicKey" });
     if (!params.password)
-      throw new Error("A password must be provided to encrypt the keyfile");
+      throw new ValidationError("A password must be provided to encrypt the keyfile", { field: "password" });
     const route = "wallet/";
     const method = "lockKeyfile";
-    return BramblRequest({ route, method, id }, params, this);
+    return BramblRequest({ route, method, id }, params, this, options);
   }
   //////unlockKeyfile////////////////
   /**
@@ -149,19 +400,20 @@ class Requests {
    * @param {string} params.publicKey - Base58 encoded public key to get the balance of
    * @param {string} params.password - Password used to encrypt the keyfile
    * @param {string} [id="1"] - identifying number for the json-rpc request
+   * @param {object} [options] - per-call request options (timeout, retries, ...) overriding those of the instance
    * @returns {object} json-rpc response from the chain
    * @memberof Requests
    */
-  async unlockKeyfile(params, id = "1") {
+  async unlockKeyfile(params, id = "1", options = {}) {
     if (!params)
-      throw new Error("A parameter object must be specified");
+      throw new ValidationError("A parameter object must be specified", { field: "params" });
     if (!params.publicKey)
-      throw new Error("A publicKey field must be specified");
+      throw new ValidationError("A publicKey field must be specified", { field: "publicKey" });
     if (!params.password)
-      throw new Error("A password must be provided to encrypt the keyfile");
+      throw new ValidationError("A password must be provided to encrypt the keyfile", { field: "password" });
     const route = "wallet/";
     const method = "unlockKeyfile";
-    return BramblRequest({ route, method, id }, params, this);
+    return BramblRequest({ route, method, id }, params, this, options);
   }
   //////signTransaction////////////////
   /**
@@ -170,19 +422,20 @@ class Requests {
    * @param {string} params.publicKey - Base58 encoded public key to get the balance of
    * @param {string} params.tx - a JSON formatted prototype transaction
    * @param {string} [id="1"] - identifying number for the json-rpc request
+   * @param {object} [options] - per-call request options (timeout, retries, ...) overriding those of the instance
    * @returns {object} json-rpc response from the chain
    * @memberof Requests
    */
-  async signTransaction(params, id = "1") {
+  async signTransaction(params, id = "1", options = {}) {
     if (!params)
-      throw new Error("A parameter object must be specified");
+      throw new ValidationError("A parameter object must be specified", { field: "params" });
     if (!params.publicKey)
-      throw new Error("A publicKey field must be specified");
+      throw new ValidationError("A publicKey field must be specified", { field: "publicKey" });
     if (!params.tx)
-      throw new Error("A tx object must be specified");
+      throw new ValidationError("A tx object must be specified", { field: "tx" });
     const route = "wallet/";
     const method = "signTx";
-    return BramblRequest({ route, method, id }, params, this);
+    return BramblRequest({ route, method, id }, params, this, options);
   }
   ///////////broadcastTx////////////////////
   /**
@@ -190,17 +443,18 @@ class Requests {
    * @param {object} params - body parameters passed to the specified json-rpc method
    * @param {string} params.tx - a JSON formatted transaction (must include signature(s))
    * @param {string} [id="1"] - identifying number for the json-rpc request
+   * @param {object} [options] - per-call request options (timeout, retries, ...) overriding those of the instance
    * @returns {object} json-rpc response from the chain
    * @memberof Requests
    */
-  async broadcastTx(params, id = "1") {
+  async broadcastTx(params, id = "1", options = {}) {
     if (!params)
-      throw new Error("A parameter object must be specified");
+      throw new ValidationError("A parameter object must be specified", { field: "params" });
     if (!params.tx)
-      throw new Error("A tx object must be specified");
+      throw new ValidationError("A tx object must be specified", { field: "tx" });
     const route = "wallet/";
     const method = "broadcastTx";
-    return BramblRequest({ route, method, id }, params, this);
+    return BramblRequest({ route, method, id }, params, this, options);
   }
   /////////////////transferPolys////////////
   /**
@@ -213,21 +467,22 @@ class Requests {
    * @param {string} [params.changeAddress] - Public key you wish to send change back to
    * @param {string} [params.data] - Data string which can be associated with this transaction (may be empty)
    * @param {string} [id="1"] - identifying number for the json-rpc request
+   * @param {object} [options] - per-call request options (timeout, retries, ...) overriding those of the instance
    * @returns {object} json-rpc response from the chain
    * @memberof Requests
    */
-  async transferPolys(params, id = "1") {
+  async transferPolys(params, id = "1", options = {}) {
     if (!params)
-      throw new Error("A parameter object must be specified");
+      throw new ValidationError("A parameter object must be specified", { field: "params" });
     if (!params.recipient)
-      throw new Error("A recipient must be specified");
+      throw new ValidationError("A recipient must be specified", { field: "recipient" });
     if (!params.amount)
-      throw new Error("An amount must be specified");
+      throw new ValidationError("An amount must be specified", { field: "amount" });
     if (!params.fee && params.fee !== 0)
-      throw new Error("A fee must be specified");
+      throw new ValidationError("A fee must be specified", { field: "fee" });
     const route = "wallet/";
     const method = "transferPolys";
-    return BramblRequest({ route, method, id }, params, this);
+    return BramblRequest({ route, method, id }, params, this, options);
   }
   /////////////////transferArbits////////////
   /**
@@ -240,21 +495,22 @@ class Requests {
    * @param {string} [params.changeAddress] - Public key you wish to send change back to
    * @param {string} [params.data] - Data string which can be associated with this transaction (may be empty)
    * @param {string} [id="1"] - identifying number for the json-rpc request
+   * @param {object} [options] - per-call request options (timeout, retries, ...) overriding those of the instance
    * @returns {object} json-rpc response from the chain
    * @memberof Requests
    */
-  async transferArbits(params, id = "1") {
+  async transferArbits(params, id = "1", options = {}) {
     if (!params)
-      throw new Error("A parameter object must be specified");
+      throw new ValidationError("A parameter object must be specified", { field: "params" });
     if (!params.recipient)
-      throw new Error("A recipient must be specified");
+      throw new ValidationError("A recipient must be specified", { field: "recipient" });
     if (!params.amount)
-      throw new Error("An amount must be specified");
+      throw new ValidationError("An amount must be specified", { field: "amount" });
     if (!params.fee && params.fee !== 0)
-      throw new Error("A fee must be specified");
+      throw new ValidationError("A fee must be specified", { field: "fee" });
     const route = "wallet/";
     const method = "transferArbits";
-    return BramblRequest({ route, method, id }, params, this);
+    return BramblRequest({ route, method, id }, params, this, options);
   }
   //////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
   /////Asset Api Routes/////////////////////////////////////////////////////////////////////////////////////////////////
@@ -270,25 +526,26 @@ class Requests {
    * @param {number} params.fee - Fee to apply to the transaction
    * @param {string} [params.data] - Data string which can be associated with this transaction (may be empty)
    * @param {string} [id="1"] - identifying number for the json-rpc request
+   * @param {object} [options] - per-call request options (timeout, retries, ...) overriding those of the instance
    * @returns {object} json-rpc response from the chain
    * @memberof Requests
    */
-  async createAssets(params, id = "1") {
+  async createAssets(params, id = "1", options = {}) {
     if (!params)
-      throw new Error("A parameter object must be specified");
+      throw new ValidationError("A parameter object must be specified", { field: "params" });
     if (!params.issuer)
-      throw new Error("An asset issuer must be specified");
+      throw new ValidationError("An asset issuer must be specified", { field: "issuer" });
     if (!params.assetCode)
-      throw new Error("An assetCode must be specified");
+      throw new ValidationError("An assetCode must be specified", { field: "assetCode" });
     if (!params.recipient)
-      throw new Error("A recipient must be specified");
+      throw new ValidationError("A recipient must be specified", { field: "recipient" });
     if (!params.amount)
-      throw new Error("An amount must be specified");
+      throw new ValidationError("An amount must be specified", { field: "amount" });
     if (!params.fee && params.fee !== 0)
-      throw new Error("A fee must be specified");
+      throw new ValidationError("A fee must be specified", { field: "fee" });
     const route = "asset/";
     const method = "createAssets";
-    return BramblRequest({ route, method, id }, params, this);
+    return BramblRequest({ route, method, id }, params, this, options);
   }
   /////////////////createAssetsPrototype////////////
   /**
@@ -301,25 +558,26 @@ class Requests {
    * @param {number} params.fee - Fee to apply to the transaction
    * @param {string} [params.data] - Data string which can be associated with this transaction (may be empty)
    * @param {string} [id="1"] - identifying number for the json-rpc request
+   * @param {object} [options] - per-call request options (timeout, retries, ...) overriding those of the instance
    * @returns {object} json-rpc response from the chain
    * @memberof Requests
    */
-  async createAssetsPrototype(params, id = "1") {
+  async createAssetsPrototype(params, id = "1", options = {}) {
     if (!params)
-      throw new Error("A parameter object must be specified");
+      throw new ValidationError("A parameter object must be specified", { field: "params" });
     if (!params.issuer)
-      throw new Error("An asset issuer must be specified");
+      throw new ValidationError("An asset issuer must be specified", { field: "issuer" });
     if (!params.assetCode)
-      throw new Error("An assetCode must be specified");
+      throw new ValidationError("An assetCode must be specified", { field: "assetCode" });
     if (!params.recipient)
-      throw new Error("A recipient must be specified");
+      throw new ValidationError("A recipient must be specified", { field: "recipient" });
     if (!params.amount)
-      throw new Error("An amount must be specified");
+      throw new ValidationError("An amount must be specified", { field: "amount" });
     if (!params.fee && params.fee !== 0)
-      throw new Error("A fee must be specified");
+      throw new ValidationError("A fee must be specified", { field: "fee" });
     const route = "asset/";
     const method = "createAssetsPrototype";
-    return BramblRequest({ route, method, id }, params, this);
+    return BramblRequest({ route, method, id }, params, this, options);
   }
   /////////////////transferAssets////////////
   /**
@@ -334,25 +592,26 @@ class Requests {
    * @param {string} [params.changeAddress] - Public key you wish to send change back to
    * @param {string} [params.data] - Data string which can be associated with this transaction (may be empty)
    * @param {string} [id="1"] - identifying number for the json-rpc request
+   * @param {object} [options] - per-call request options (timeout, retries, ...) overriding those of the instance
    * @returns {object} json-rpc response from the chain
    * @memberof Requests
    */
-  async transferAssets(params, id = "1") {
+  async transferAssets(params, id = "1", options = {}) {
     if (!params)
-      throw new Error("A parameter object must be specified");
+      throw new ValidationError("A parameter object must be specified", { field: "params" });
     if (!params.issuer)
-      throw new Error("An asset issuer must be specified");
+      throw new ValidationError("An asset issuer must be specified", { field: "issuer" });
     if (!params.assetCode)
-      throw new Error("An assetCode must be specified");
+      throw new ValidationError("An assetCode must be specified", { field: "assetCode" });
     if (!params.recipient)
-      throw new Error("A recipient must be specified");
+      throw new ValidationError("A recipient must be specified", { field: "recipient" });
     if (!params.amount)
-      throw new Error("An amount must be specified");
+      throw new ValidationError("An amount must be specified", { field: "amount" });
     if (!params.fee && params.fee !== 0)
-      throw new Error("A fee must be specified");
+      throw new ValidationError("A fee must be specified", { field: "fee" });
     const route = "asset/";
     const method = "transferAssets";
-    return BramblRequest({ route, method, id }, params, this);
+    return BramblRequest({ route, method, id }, params, this, options);
   }
   /////////////////transferAssetsPrototype////////////
   /**
@@ -367,27 +626,28 @@ class Requests {
    * @param {string} [params.changeAddress] - Public key you wish to send change back to
    * @param {string} [params.data] - Data string which can be associated with this transaction (may be empty)
    * @param {string} [id="1"] - identifying number for the json-rpc request
+   * @param {object} [options] - per-call request options (timeout, retries, ...) overriding those of the instance
    * @returns {object} json-rpc response from the chain
    * @memberof Requests
    */
-  async transferAssetsPrototype(params, id = "1") {
+  async transferAssetsPrototype(params, id = "1", options = {}) {
     if (!params)
-      throw new Error("A parameter object must be specified");
+      throw new ValidationError("A parameter object must be specified", { field: "params" });
     if (!params.issuer)
-      throw new Error("An asset issuer must be specified");
+      throw new ValidationError("An asset issuer must be specified", { field: "issuer" });
     if (!params.assetCode)
-      throw new Error("An assetCode must be specified");
+      throw new ValidationError("An assetCode must be specified", { field: "assetCode" });
     if (!params.recipient)
-      throw new Error("A recipient must be specified");
+      throw new ValidationError("A recipient must be specified", { field: "recipient" });
     if (!params.sender)
-      throw new Error("A sender must be specified");
+      throw new ValidationError("A sender must be specified", { field: "sender" });
     if (!params.amount)
-      throw new Error("An amount must be specified");
+      throw new ValidationError("An amount must be specified", { field: "amount" });
     if (!params.fee && params.fee !== 0)
-      throw new Error("A fee must be specified");
+      throw new ValidationError("A fee must be specified", { field: "fee" });
     const route = "asset/";
     const method = "transferAssetsPrototype";
-    return BramblRequest({ route, method, id }, params, this);
+    return BramblRequest({ route, method, id }, params, this, options);
   }
   /////////////////transferTargetAssets////////////
   /**
@@ -399,23 +659,24 @@ class Requests {
    * @param {number} params.fee - Fee to apply to the transaction
    * @param {string} [params.data] - Data string which can be associated with this transaction (may be empty)
    * @param {string} [id="1"] - identifying number for the json-rpc request
+   * @param {object} [options] - per-call request options (timeout, retries, ...) overriding those of the instance
    * @returns {object} json-rpc response from the chain
    * @memberof Requests
    */
-  async transferTargetAssets(params, id = "1") {
+  async transferTargetAssets(params, id = "1", options = {}) {
     if (!params)
-      throw new Error("A parameter object must be specified");
+      throw new ValidationError("A parameter object must be specified", { field: "params" });
     if (!params.recipient)
-      throw new Error("A recipient must be specified");
+      throw new ValidationError("A recipient must be specified", { field: "recipient" });
     if (!params.assetId)
-      throw new Error("An assetId is required for this request");
+      throw new ValidationError("An assetId is required for this request", { field: "assetId" });
     if (!params.amount)
-      throw new Error("An amount must be specified");
+      throw new ValidationError("An amount must be specified", { field: "amount" });
     if (!params.fee && params.fee !== 0)
-      throw new Error("A fee must be specified");
+      throw new ValidationError("A fee must be specified", { field: "fee" });
     const route = "asset/";
     const method = "transferTargetAssets";
-    return BramblRequest({ route, method, id }, params, this);
+    return BramblRequest({ route, method, id }, params, this, options);
   }
   /////////////////transferTargetAssetsPrototype////////////
   /**
@@ -428,25 +689,26 @@ class Requests {
    * @param {number} params.fee - Fee to apply to the transaction
    * @param {string} [params.data] - Data string which can be associated with this transaction (may be empty)
    * @param {string} [id="1"] - identifying number for the json-rpc request
+   * @param {object} [options] - per-call request options (timeout, retries, ...) overriding those of the instance
    * @returns {object} json-rpc response from the chain
    * @memberof Requests
    */
-  async transferTargetAssetsPrototype(params, id = "1") {
+  async transferTargetAssetsPrototype(params, id = "1", options = {}) {
     if (!params)
-      throw new Error("A parameter object must be specified");
+      throw new ValidationError("A parameter object must be specified", { field: "params" });
     if (!params.recipient)
-      throw new Error("A recipient must be specified");
+      throw new ValidationError("A recipient must be specified", { field: "recipient" });
     if (!params.sender)
-      throw new Error("A sender must be specified");
+      throw new ValidationError("A sender must be specified", { field: "sender" });
     if (!params.assetId)
-      throw new Error("An assetId is required for this request");
+      throw new ValidationError("An assetId is required for this request", { field: "assetId" });
     if (!params.amount)
-      throw new Error("An amount must be specified");
+      throw new ValidationError("An amount must be specified", { field: "amount" });
     if (!params.fee && params.fee !== 0)
-      throw new Error("A fee must be specified");
+      throw new ValidationError("A fee must be specified", { field: "fee" });
     const route = "asset/";
     const method = "transferTargetAssetsPrototype";
-    return BramblRequest({ route, method, id }, params, this);
+    return BramblRequest({ route, method, id }, params, this, options);
   }
   //////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
   /////NodeView Api Routes//////////////////////////////////////////////////////////////////////////////////////////////
@@ -457,17 +719,18 @@ class Requests {
    * @param {object} params - body parameters passed to the specified json-rpc method
    * @param {string} params.transactionId - Unique identifier of the transaction to retrieve
    * @param {string} [id="1"] - identifying number for the json-rpc request
+   * @param {object} [options] - per-call request options (timeout, retries, ...) overriding those of the instance
    * @returns {object} json-rpc response from the chain
    * @memberof Requests
    */
-  async getTransactionById(params, id = "1") {
+  async getTransactionById(params, id = "1", options = {}) {
     if (!params)
-      throw new Error("A parameter object must be specified");
+      throw new ValidationError("A parameter object must be specified", { field: "params" });
     if (!params.transactionId)
-      throw new Error("A transactionId must be specified");
+      throw new ValidationError("A transactionId must be specified", { field: "transactionId" });
     const route = "nodeView/";
     const method = "transactionById";
-    return BramblRequest({ route, method, id }, params, this);
+    return BramblRequest({ route, method, id }, params, this, options);
   }
   /////////////////getTransactionFromMempool////////////
   /**
@@ -475,30 +738,32 @@ class Requests {
    * @param {object} params - body parameters passed to the specified json-rpc method
    * @param {string} params.transactionId - Unique identifier of the transaction to retrieve
    * @param {string} [id="1"] - identifying number for the json-rpc request
+   * @param {object} [options] - per-call request options (timeout, retries, ...) overriding those of the instance
    * @returns {object} json-rpc response from the chain
    * @memberof Requests
    */
-  async getTransactionFromMempool(params, id = "1") {
+  async getTransactionFromMempool(params, id = "1", options = {}) {
     if (!params)
-      throw new Error("A parameter object must be specified");
+      throw new ValidationError("A parameter object must be specified", { field: "params" });
     if (!params.transactionId)
-      throw new Error("A transactionId must be specified");
+      throw new ValidationError("A transactionId must be specified", { field: "transactionId" });
     const route = "nodeView/";
     const method = "transactionFromMempool";
-    return BramblRequest({ route, method, id }, params, this);
+    return BramblRequest({ route, method, id }, params, this, options);
   }
   /////////////////getMempool////////////
   /**
    * Return the entire mempool of the node
    * @param {string} [id="1"] - identifying number for the json-rpc request
+   * @param {object} [options] - per-call request options (timeout, retries, ...) overriding those of the instance
    * @returns {object} json-rpc response from the chain
    * @memberof Requests
    */
-  async getMempool(id = "1") {
+  async getMempool(id = "1", options = {}) {
     const params = {};
     const route = "nodeView/";
     const method = "mempool";
-    return BramblRequest({ route, method, id }, params, this);
+    return BramblRequest({ route, method, id }, params, this, options);
   }
   /////////////////getBlockById////////////
   /**
@@ -506,17 +771,18 @@ class Requests {
    * @param {object} params - body parameters passed to the specified json-rpc method
    * @param {string} params.blockId - Unique identifier of the block to retrieve
    * @param {string} [id="1"] - identifying number for the json-rpc request
+   * @param {object} [options] - per-call request options (timeout, retries, ...) overriding those of the instance
    * @returns {object} json-rpc response from the chain
    * @memberof Requests
    */
-  async getBlockById(params, id = "1") {
+  async getBlockById(params, id = "1", options = {}) {
     if (!params)
-      throw new Error("A parameter object must be specified");
+      throw new ValidationError("A parameter object must be specified", { field: "params" });
     if (!params.blockId)
-      throw new Error("A blockId must be specified");
+      throw new ValidationError("A blockId must be specified", { field: "blockId" });
     const route = "nodeView/";
     const method = "blockById";
-    return BramblRequest({ route, method, id }, params, this);
+    return BramblRequest({ route, method, id }, params, this, options);
   }
   //////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
   /////Debug Api Routes/////////////////////////////////////////////////////////////////////////////////////////////////
@@ -525,14 +791,15 @@ class Requests {
   /**
    * Return the chain information
    * @param {string} [id="1"] - identifying number for the json-rpc request
+   * @param {object} [options] - per-call request options (timeout, retries, ...) overriding those of the instance
    * @returns {object} json-rpc response from the chain
    * @memberof Requests
    */
-  async chainInfo(id = "1") {
+  async chainInfo(id = "1", options = {}) {
     const params = {};
     const route = "debug/";
     const method = "info";
-    return BramblRequest({ route, method, id }, params, this);
+    return BramblRequest({ route, method, id }, params, this, options);
   }
   ////////////Calculate block delay////////////
   /**
@@ -541,45 +808,48 @@ class Requests {
    * @param {string} params.blockId - Unique identifier of a block
    * @param {string} params.numBlocks - Number of blocks to consider behind the specified block
    * @param {string} [id="1"] - identifying number for the json-rpc request
+   * @param {object} [options] - per-call request options (timeout, retries, ...) overriding those of the instance
    * @returns {object} json-rpc response from the chain
    * @memberof Requests
    */
-  async calcDelay(id = "1") {
+  async calcDelay(id = "1", options = {}) {
     if (!params)
-      throw new Error("A parameter object must be specified");
+      throw new ValidationError("A parameter object must be specified", { field: "params" });
     if (!params.blockId)
-      throw new Error("A blockId must be specified");
+      throw new ValidationError("A blockId must be specified", { field: "blockId" });
     if (!params.numBlocks)
-      throw new Error("A number of blocks must be specified");
+      throw new ValidationError("A number of blocks must be specified", { field: "numBlocks" });
     const route = "debug/";
     const method = "delay";
-    return BramblRequest({ route, method, id }, params, this);
+    return BramblRequest({ route, method, id }, params, this, options);
   }
   //////////Blocks generated by node's keys////////////
   /**
    * Return the number of blocks forged by keys held by this node
    * @param {string} [id="1"] - identifying number for the json-rpc request
+   * @param {object} [options] - per-call request options (timeout, retries, ...) overriding those of the instance
    * @returns {object} json-rpc response from the chain
    * @memberof Requests
    */
-  async myBlocks(id = "1") {
+  async myBlocks(id = "1", options = {}) {
     const params = {};
     const route = "debug/";
     const method = "myBlocks";
-    return BramblRequest({ route, method, id }, params, this);
+    return BramblRequest({ route, method, id }, params, this, options);
   }
   /////////Map block geneators to blocks////////////
   /**
    * Return the blockIds that each accessible key has forged
    * @param {string} [id="1"] - identifying number for the json-rpc request
+   * @param {object} [options] - per-call request options (timeout, retries, ...) overriding those of the instance
    * @returns {object} json-rpc response from the chain
    * @memberof Requests
    */
-  async blockGenerators(id = "1") {
+  async blockGenerators(id = "1", options = {}) {
     const params = {};
     const route = "debug/";
     const method = "generators";
-    return BramblRequest({ route, method, id }, params, this);
+    return BramblRequest({ route, method, id }, params, this, options);
   }
 }
 
@@ -0,0 +1,398 @@
+/**
+ * Build Bifrost compatible transfer transactions locally.
+ * The byte layout of `messageToSign` mirrors the serialization used by Bifrost for
+ * PolyTransfer, ArbitTransfer, and AssetTransfer transactions so that the output of
+ * this module may be signed with `addSigToTx` and sent directly to `broadcastTx`
+ */
+
+("use strict");
+
+// Dependencies
+const blake = require('blake2')
+const Base58 = require('base-58')
+const { ValidationError } = require('../lib/errors')
+
+//// Serialization helpers /////////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * standard FastCryptographicHash in Bifrost
+ * @param {Buffer} bytes input bytes
+ * @return {Buffer} Blake2b-256 hash digest
+ */
+function bifrostBlake2b(bytes) {
+    return blake.createHash("blake2b", { digestLength: 32 }).update(bytes).digest();
+}
+
+/**
+ * Equivalent of Guava `Longs.toByteArray` (8 byte, big-endian, signed)
+ * @param {number|string|bigint} value integer value to serialize
+ * @return {Buffer} serialized value
+ */
+function longBytes(value) {
+    const buf = Buffer.alloc(8)
+    buf.writeBigInt64BE(BigInt(value))
+    return buf
+}
+
+/**
+ * Equivalent of Guava `Ints.toByteArray` (4 byte, big-endian, signed)
+ * @param {number} value integer value to serialize
+ * @return {Buffer} serialized value
+ */
+function intBytes(value) {
+    const buf = Buffer.alloc(4)
+    buf.writeInt32BE(value)
+    return buf
+}
+
+/**
+ * Decode a Base58 encoded public key into the raw proposition bytes
+ * @param {string} publicKey Base58 encoded public key
+ * @return {Buffer} public key bytes
+ */
+function propBytes(publicKey) {
+    const bytes = Buffer.from(Base58.decode(publicKey))
+    if (bytes.length !== 32) throw new ValidationError('Invalid public key: ' + publicKey, { field: "proposition" })
+    return bytes
+}
+
+/**
+ * Bifrost `nonceFromDigest` - the first 8 bytes of a digest interpreted as a signed long
+ * @param {Buffer} digest hash digest
+ * @return {string} nonce (as a string since it may exceed the safe integer range)
+ */
+function nonceFromDigest(digest) {
+    return digest.readBigInt64BE(0).toString()
+}
+
+/**
+ * Identifier of a public key nonced box (`PublicKeyNoncedBox.idFromBox` in Bifrost)
+ * @param {string} publicKey Base58 encoded public key of the box owner
+ * @param {number|string} nonce box nonce
+ * @return {Buffer} box id
+ */
+function boxId(publicKey, nonce) {
+    return bifrostBlake2b(Buffer.concat([propBytes(publicKey), longBytes(nonce)]))
+}
+
+/**
+ * Serialize a nonced box the same way as the Bifrost box serializers
+ * @param {object} box box to serialize
+ * @return {Buffer} serialized box
+ */
+function boxBytes(box) {
+    const typeBytes = Buffer.from(box.type)
+    const common = [
+        intBytes(typeBytes.length),
+        typeBytes,
+        propBytes(box.proposition),
+        longBytes(box.nonce),
+        longBytes(box.value)
+    ]
+    if (box.type !== 'AssetBox') return Buffer.concat(common)
+
+    const assetCodeBytes = Buffer.from(box.assetCode)
+    const dataBytes = Buffer.from(box.data)
+    return Buffer.concat([
+        ...common,
+        intBytes(assetCodeBytes.length),
+        assetCodeBytes,
+        propBytes(box.issuer),
+        intBytes(dataBytes.length),
+        dataBytes
+    ])
+}
+
+//// Transaction assembly //////////////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Check the common parameters of a transfer transaction
+ * @param {object} params transfer parameters
+ */
+function checkParams(params) {
+    if (!params)
+        throw new ValidationError("A parameter object must be specified", { field: "params" });
+    if (!Array.isArray(params.from) || !params.from.length)
+        throw new ValidationError("A list of boxes to spend (from) must be specified", { field: "from" });
+    if (!Array.isArray(params.to) || !params.to.length)
+        throw new ValidationError("A list of recipients (to) must be specified", { field: "to" });
+    if (!params.fee && params.fee !== 0)
+        throw new ValidationError("A fee must be specified", { field: "fee" });
+}
+
+/**
+ * Assemble the formatted transaction and message to sign for a transfer transaction
+ * @param {string} txType Bifrost transaction type
+ * @param {string} boxType type of the boxes created by the transaction
+ * @param {object} params transfer parameters
+ * @param {object} [extra] type specific additions to the transaction
+ * @param {Buffer} [extra.nonceSalt] additional bytes mixed into the nonce of new boxes
+ * @param {Buffer} [extra.suffix] additional bytes appended to the message to sign
+ * @param {object} [extra.boxFields] additional fields of the new boxes
+ * @param {object} [extra.txFields] additional fields of the formatted transaction
+ * @return {object} transaction of the form `{ formattedTx, messageToSign, newBoxes }`
+ */
+function buildTransfer(txType, boxType, params, extra = {}) {
+    checkParams(params)
+
+    const nonceSalt = extra.nonceSalt || Buffer.alloc(0)
+    const suffix = extra.suffix || Buffer.alloc(0)
+
+    const from = params.from.map(s => ({ proposition: s.proposition, nonce: BigInt(s.nonce).toString() }))
+    const to = params.to.map(r => ({ proposition: r.proposition, value: BigInt(r.value).toString() }))
+    const fee = params.fee
+    const timestamp = params.timestamp || Date.now()
+    const data = params.data || ""
+
+    const boxIdsToOpen = from.map(s => boxId(s.proposition, s.nonce))
+
+    // hash of the transaction without the nonces of the new boxes
+    const hashNoNonces = bifrostBlake2b(Buffer.concat([
+        ...to.map(r => propBytes(r.proposition)),
+        ...boxIdsToOpen,
+        longBytes(timestamp),
+        longBytes(fee)
+    ]))
+
+    const newBoxes = to.map((r, idx) => {
+        const nonce = nonceFromDigest(bifrostBlake2b(Buffer.concat([
+            Buffer.from(txType),
+            propBytes(r.proposition),
+            nonceSalt,
+            hashNoNonces,
+            intBytes(idx)
+        ])))
+        return { ...extra.boxFields, type: boxType, proposition: r.proposition, nonce, value: r.value }
+    })
+
+    const messageToSign = Buffer.concat([
+        Buffer.from(txType),
+        ...newBoxes.map(boxBytes),
+        ...boxIdsToOpen,
+        longBytes(timestamp),
+        longBytes(fee),
+        suffix,
+        Buffer.from(data)
+    ])
+
+    const formattedTx = {
+        txHash: Base58.encode(bifrostBlake2b(messageToSign)),
+        txType,
+        newBoxes: newBoxes.map(b => Base58.encode(boxId(b.proposition, b.nonce))),
+        boxesToRemove: boxIdsToOpen.map(id => Base58.encode(id)),
+        from,
+        to,
+        signatures: {},
+        fee,
+        timestamp,
+        data,
+        ...extra.txFields
+    }
+
+    return { formattedTx, messageToSign: Base58.encode(messageToSign), newBoxes: withIds(newBoxes) }
+}
+
+/**
+ * Assemble the formatted transaction and message to sign for an asset creation transaction.
+ * Asset creation does not spend any boxes and is signed by the asset issuer
+ * @param {object} params asset creation parameters
+ * @return {object} transaction of the form `{ formattedTx, messageToSign, newBoxes }`
+ */
+function buildAssetCreation(params) {
+    if (!params)
+        throw new ValidationError("A parameter object must be specified", { field: "params" });
+    if (!Array.isArray(params.to) || !params.to.length)
+        throw new ValidationError("A list of recipients (to) must be specified", { field: "to" });
+    if (!params.issuer)
+        throw new ValidationError("An asset issuer must be specified", { field: "issuer" });
+    if (!params.assetCode)
+        throw new ValidationError("An assetCode must be specified", { field: "assetCode" });
+    if (!params.fee && params.fee !== 0)
+        throw new ValidationError("A fee must be specified", { field: "fee" });
+
+    const txType = "AssetCreation"
+    const to = params.to.map(r => ({ proposition: r.proposition, value: BigInt(r.value).toString() }))
+    const { issuer, assetCode, fee } = params
+    const timestamp = params.timestamp || Date.now()
+    const data = params.data || ""
+    const assetInfo = Buffer.concat([propBytes(issuer), Buffer.from(assetCode)])
+
+    // hash of the transaction without the nonces of the new boxes
+    const hashNoNonces = bifrostBlake2b(Buffer.concat([
+        ...to.map(r => propBytes(r.proposition)),
+        longBytes(timestamp),
+        longBytes(fee)
+    ]))
+
+    const newBoxes = to.map((r, idx) => {
+        const nonce = nonceFromDigest(bifrostBlake2b(Buffer.concat([
+            Buffer.from(txType),
+            propBytes(r.proposition),
+            assetInfo,
+            hashNoNonces,
+            intBytes(idx)
+        ])))
+        return { type: "AssetBox", proposition: r.proposition, nonce, value: r.value, issuer, assetCode, data }
+    })
+
+    const messageToSign = Buffer.concat([
+        Buffer.from(txType),
+        ...to.map(r => Buffer.concat([propBytes(r.proposition), longBytes(r.value)])),
+        ...newBoxes.map(boxBytes),
+        assetInfo,
+        longBytes(timestamp),
+        longBytes(fee),
+        Buffer.from(data)
+    ])
+
+    const formattedTx = {
+        txHash: Base58.encode(bifrostBlake2b(messageToSign)),
+        txType,
+        newBoxes: newBoxes.map(b => Base58.encode(boxId(b.proposition, b.nonce))),
+        to,
+        issuer,
+        assetCode,
+        signatures: {},
+        fee,
+        timestamp,
+        data
+    }
+
+    return { formattedTx, messageToSign: Base58.encode(messageToSign), newBoxes: withIds(newBoxes) }
+}
+
+/**
+ * Add the Base58 encoded box id to each box
+ * @param {object[]} boxes boxes created by a transaction
+ * @return {object[]} boxes including their id
+ */
+function withIds(boxes) {
+    return boxes.map(b => ({ id: Base58.encode(boxId(b.proposition, b.nonce)), ...b }))
+}
+
+// builder for each supported Bifrost transaction type
+const builders = {
+    PolyTransfer: params => buildTransfer("PolyTransfer", "PolyBox", params),
+    ArbitTransfer: params => buildTransfer("ArbitTransfer", "ArbitBox", params),
+    AssetTransfer: params => {
+        if (!params || !params.issuer) throw new ValidationError("An asset issuer must be specified", { field: "issuer" });
+        if (!params.assetCode) throw new ValidationError("An assetCode must be specified", { field: "assetCode" });
+
+        const { issuer, assetCode } = params
+        const data = params.data || ""
+        const assetInfo = Buffer.concat([propBytes(issuer), Buffer.from(assetCode)])
+        return buildTransfer("AssetTransfer", "AssetBox", params, {
+            nonceSalt: assetInfo,
+            suffix: assetInfo,
+            boxFields: { issuer, assetCode, data },
+            txFields: { issuer, assetCode }
+        })
+    },
+    AssetCreation: buildAssetCreation
+}
+
+/**
+ * Reduce a built transaction to the prototype format returned by the chain provider
+ * @param {object} built transaction of the form `{ formattedTx, messageToSign, newBoxes }`
+ * @return {object} prototype transaction of the form `{ formattedTx, messageToSign }`
+ */
+function toPrototype(built) {
+    return { formattedTx: built.formattedTx, messageToSign: built.messageToSign }
+}
+
+/**
+ * @class Static only class to build unsigned transfer transactions without requesting a prototype from a chain provider.
+ * Each builder returns an object of the form `{ formattedTx, messageToSign }` which matches the result of the
+ * prototype methods available in `Requests` and may be passed directly to `Brambl.addSigToTx`
+ */
+class TransactionBuilder {
+    /**
+     * Build an unsigned PolyTransfer transaction
+     *
+     * @param {object} params transfer parameters
+     * @param {object[]} params.from Boxes to spend, given as `{ proposition, nonce }` where proposition is the Base58 encoded owner
+     * @param {object[]} params.to Outputs of the transfer, given as `{ proposition, value }`
+     * @param {number} params.fee Fee to apply to the transaction
+     * @param {number} [params.timestamp=Date.now()] Timestamp of the transaction
+     * @param {string} [params.data=""] Data string which can be associated with this transaction
+     * @returns {object} prototype transaction of the form `{ formattedTx, messageToSign }`
+     */
+    static polyTransfer(params) {
+        return toPrototype(builders.PolyTransfer(params))
+    }
+
+    /**
+     * Build an unsigned ArbitTransfer transaction
+     *
+     * @param {object} params transfer parameters
+     * @param {object[]} params.from Boxes to spend, given as `{ proposition, nonce }` where proposition is the Base58 encoded owner
+     * @param {object[]} params.to Outputs of the transfer, given as `{ proposition, value }`
+     * @param {number} params.fee Fee to apply to the transaction
+     * @param {number} [params.timestamp=Date.now()] Timestamp of the transaction
+     * @param {string} [params.data=""] Data string which can be associated with this transaction
+     * @returns {object} prototype transaction of the form `{ formattedTx, messageToSign }`
+     */
+    static arbitTransfer(params) {
+        return toPrototype(builders.ArbitTransfer(params))
+    }
+
+    /**
+     * Build an unsigned AssetTransfer transaction
+     *
+     * @param {object} params transfer parameters
+     * @param {object[]} params.from Boxes to spend, given as `{ proposition, nonce }` where proposition is the Base58 encoded owner
+     * @param {object[]} params.to Outputs of the transfer, given as `{ proposition, value }`
+     * @param {string} params.issuer Public key of the asset issuer
+     * @param {string} params.assetCode Identifier of the asset
+     * @param {number} params.fee Fee to apply to the transaction
+     * @param {number} [params.timestamp=Date.now()] Timestamp of the transaction
+     * @param {string} [params.data=""] Data string which can be associated with this transaction
+     * @returns {object} prototype transaction of the form `{ formattedTx, messageToSign }`
+     */
+    static assetTransfer(params) {
+        return toPrototype(builders.AssetTransfer(params))
+    }
+
+    /**
+     * Rebuild a formatted (and possibly signed) transaction from its contents. This recovers the message that
+     * was signed and the boxes created by the transaction, and checks that the `txHash` matches the contents
+     *
+     * @param {object} formattedTx A formatted transaction as returned by a builder or the chain provider
+     * @returns {object} transaction of the form `{ formattedTx, messageToSign, newBoxes }` (signatures are retained)
+     */
+    static rebuild(formattedTx) {
+        const build = formattedTx && builders[formattedTx.txType]
+        if (!build) throw new ValidationError("Unsupported transaction type: " + (formattedTx && formattedTx.txType), { field: "txType" })
+
+        const built = build(formattedTx)
+        if (formattedTx.txHash && formattedTx.txHash !== built.formattedTx.txHash)
+            throw new ValidationError("The transaction hash does not match the contents of the transaction", { field: "txHash" })
+
+        return { ...built, formattedTx: { ...built.formattedTx, signatures: formattedTx.signatures || {} } }
+    }
+
+    /**
+     * List the public keys that must sign a formatted transaction (the owners of the spent boxes, or the issuer
+     * of an asset creation)
+     *
+     * @param {object} formattedTx A formatted transaction
+     * @returns {string[]} Base58 encoded public keys of the required signers
+     */
+    static requiredSigners(formattedTx) {
+        if (formattedTx.txType === "AssetCreation") return [formattedTx.issuer]
+        return [...new Set((formattedTx.from || []).map(input => input.proposition))]
+    }
+
+    /**
+     * Calculate the Bifrost box id of a box owned by a public key
+     *
+     * @param {string} publicKey Base58 encoded public key of the box owner
+     * @param {number|string} nonce nonce of the box
+     * @returns {string} Base58 encoded box id
+     */
+    static boxId(publicKey, nonce) {
+        return Base58.encode(boxId(publicKey, nonce))
+    }
+}
+
+module.exports = TransactionBuilder
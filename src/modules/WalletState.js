@@ -0,0 +1,278 @@
+/**
+ * Local cache of the unspent boxes owned by a set of public keys, loaded from the chain provider with `getBalancesByKey`.
+ * Boxes are reserved while a transaction spending them is in flight, so that concurrent transactions from the same
+ * keys never select the same box, and are chosen for a requested value with a coin-selection strategy
+ */
+
+("use strict");
+
+// Utilities
+const { ValidationError } = require('../lib/errors')
+
+// Box types returned by the `balances` wallet route
+const boxTypes = ["PolyBox", "ArbitBox", "AssetBox"]
+
+// Default time (in seconds) before a reservation that was neither released nor spent expires
+const defaultReservationTimeout = 600
+
+// Compare the values of two boxes (values are integer strings and may exceed the safe integer range)
+const byValue = (a, b) => (BigInt(a.value) < BigInt(b.value) ? -1 : BigInt(a.value) > BigInt(b.value) ? 1 : 0)
+
+/**
+ * Sum the values of a list of boxes
+ * @param {object[]} boxes boxes to sum
+ * @return {bigint} total value
+ */
+function total(boxes) {
+    return boxes.reduce((sum, box) => sum + BigInt(box.value), BigInt(0))
+}
+
+/**
+ * Coin-selection strategies. Each strategy is given the available boxes and the requested amount
+ * and returns the boxes to spend (or `null` if the amount cannot be reached)
+ */
+const strategies = {
+    // spend the largest boxes first (fewest inputs)
+    "largest-first": (boxes, amount) => {
+        const selected = [];
+        for (const box of [...boxes].sort(byValue).reverse()) {
+            if (total(selected) >= amount) break;
+            selected.push(box);
+        }
+        return total(selected) >= amount ? selected : null;
+    },
+
+    // spend a single box holding exactly the amount (no change), otherwise select with minimal change
+    "exact-match": (boxes, amount) => {
+        const exact = boxes.find(box => BigInt(box.value) === amount);
+        return exact ? [exact] : strategies["minimal-change"](boxes, amount);
+    },
+
+    // spend the smallest single box covering the amount, otherwise the largest boxes without those that are not needed
+    "minimal-change": (boxes, amount) => {
+        const single = [...boxes].sort(byValue).find(box => BigInt(box.value) >= amount);
+        if (single) return [single];
+
+        const selected = strategies["largest-first"](boxes, amount);
+        if (!selected) return null;
+        return [...selected].sort(byValue).reduce((kept, box) => {
+            const without = kept.filter(other => other !== box);
+            return total(without) >= amount ? without : kept;
+        }, selected);
+    }
+}
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+///// WalletState Class //////////////////////////////////////////////////////////////////////////////////////////////
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+/**
+ * @class Create a cache of the boxes owned by a set of public keys
+ * @param {Requests} requests Requests instance of the chain provider
+ * @param {object} [params={}] constructor object for the wallet state
+ * @param {string[]} [params.publicKeys=[]] public keys whose boxes are loaded
+ * @param {string|function} [params.strategy="largest-first"] default coin-selection strategy (a name of `WalletState.strategies` or a function)
+ * @param {number} [params.reservationTimeout=600] time (in seconds) before a reservation that was neither released nor spent expires,
+ * and before a spent box that the chain provider still returns (i.e. its transaction was dropped) may be selected again
+ */
+class WalletState {
+    constructor(requests, params = {}) {
+        if (!requests) throw new ValidationError('A Requests instance must be provided', { field: "requests" })
+        this.requests = requests;
+        this.publicKeys = [...(params.publicKeys || [])];
+        this.strategy = params.strategy || "largest-first";
+        this.reservationTimeout = params.reservationTimeout || defaultReservationTimeout;
+
+        // cached boxes indexed by box id
+        this.cache = new Map();
+
+        // reservations indexed by box id, given as { reservation, expires }
+        this.reserved = new Map();
+        this.reservations = 0;
+
+        // boxes spent by accepted transactions that the chain provider may still return, indexed by box id (given as { proposition, expires })
+        this.spent = new Map();
+    }
+
+    //// Loading /////////////////////////////////////////////////////////////////////////////////////////////////////
+    /**
+     * Load the boxes of the public keys from the chain provider, replacing the cached boxes of those keys.
+     * Boxes spent by an accepted transaction are skipped until the chain provider stops returning them, and
+     * reservations of boxes that are no longer returned (i.e. spent by a confirmed transaction) are removed
+     * @param {string[]} [publicKeys] public keys to load (by default, every public key of the wallet state)
+     * @param {object} [options] request options (timeout, retries, signal, ...) of the `getBalancesByKey` call
+     * @return {Promise<object[]>} the loaded boxes
+     * @memberof WalletState
+     */
+    async load(publicKeys = this.publicKeys, options) {
+        publicKeys.filter(pk => !this.publicKeys.includes(pk)).forEach(pk => this.publicKeys.push(pk));
+        if (!publicKeys.length) return [];
+
+        const { result } = await this.requests.getBalancesByKey({ publicKeys }, undefined, options);
+        const loaded = [].concat(...publicKeys.map(pk => {
+            const owned = (result[pk] && result[pk].Boxes) || {};
+            return [].concat(...boxTypes.map(type => (owned[type] || []).map(box => ({ type, ...box, proposition: box.proposition || pk }))));
+        }));
+        const returned = new Set(loaded.map(box => box.id));
+        [...this.spent].filter(([id, entry]) => publicKeys.includes(entry.proposition) && !returned.has(id)).forEach(([id]) => this.spent.delete(id));
+
+        this.expire();
+        [...this.cache.values()].filter(box => publicKeys.includes(box.proposition)).forEach(box => this.cache.delete(box.id));
+        loaded.filter(box => !this.spent.has(box.id)).forEach(box => this.cache.set(box.id, box));
+        [...this.reserved.keys()].filter(id => !this.cache.has(id)).forEach(id => this.reserved.delete(id));
+        return loaded;
+    }
+
+    //// Box lookup //////////////////////////////////////////////////////////////////////////////////////////////////
+    /**
+     * List the cached boxes matching the given criteria
+     * @param {object} [criteria={}]
+     * @param {string} [criteria.type] box type (`PolyBox`, `ArbitBox`, or `AssetBox`; `AssetBox` if an asset is given)
+     * @param {string} [criteria.issuer] issuer of the asset
+     * @param {string} [criteria.assetCode] code of the asset
+     * @param {string|string[]} [criteria.sender] public keys owning the boxes (by default, every loaded key)
+     * @param {boolean} [criteria.includeReserved=false] include the boxes reserved by pending transactions
+     * @return {object[]} boxes
+     * @memberof WalletState
+     */
+    boxes(criteria = {}) {
+        this.expire();
+        const type = criteria.type || (criteria.assetCode || criteria.issuer ? "AssetBox" : undefined);
+        const senders = criteria.sender ? [].concat(criteria.sender) : null;
+        return [...this.cache.values()].filter(box =>
+            (!type || box.type === type) &&
+            (!criteria.issuer || box.issuer === criteria.issuer) &&
+            (!criteria.assetCode || box.assetCode === criteria.assetCode) &&
+            (!senders || senders.includes(box.proposition)) &&
+            (criteria.includeReserved || !this.reserved.has(box.id))
+        );
+    }
+
+    /**
+     * Total value of the cached boxes matching the given criteria (see `boxes`)
+     * @param {object} [criteria={}] box criteria
+     * @return {string} total value
+     * @memberof WalletState
+     */
+    balance(criteria = {}) {
+        return total(this.boxes(criteria)).toString();
+    }
+
+    //// Coin selection //////////////////////////////////////////////////////////////////////////////////////////////
+    /**
+     * Choose unreserved boxes covering an amount (the boxes are not reserved)
+     * @param {object} criteria box criteria (see `boxes`)
+     * @param {number|string} criteria.amount value to cover
+     * @param {boolean} [criteria.single=false] cover the amount with a single box (i.e. for a targeted asset transfer)
+     * @param {string|function} [criteria.strategy] coin-selection strategy (defaults to the strategy of the wallet state)
+     * @return {object} selection given as `{ boxes, total, change }`
+     * @memberof WalletState
+     */
+    select(criteria) {
+        let amount;
+        try { amount = BigInt(criteria.amount) } catch (err) { amount = BigInt(-1) }
+        if (amount <= 0) throw new ValidationError('A positive amount must be specified', { field: "amount" })
+
+        const strategyName = criteria.strategy || this.strategy;
+        const strategy = typeof strategyName === "function" ? strategyName : strategies[strategyName];
+        if (!strategy) throw new ValidationError('Unknown coin-selection strategy: ' + strategyName, { field: "strategy" })
+
+        const candidates = this.boxes({ ...criteria, includeReserved: false });
+        const selected = strategy(criteria.single ? candidates.filter(box => BigInt(box.value) >= amount) : candidates, amount);
+        if (!selected || !selected.length || total(selected) < amount || (criteria.single && selected.length > 1)) {
+            throw new ValidationError('Insufficient unreserved funds to cover ' + amount + (criteria.single ? ' with a single box' : ''), {
+                field: "amount",
+                available: total(candidates).toString()
+            })
+        }
+        return { boxes: selected, total: total(selected).toString(), change: (total(selected) - amount).toString() };
+    }
+
+    /**
+     * Choose boxes covering an amount and reserve them in one step, so that concurrent transactions never select the same box
+     * @param {object} criteria selection criteria (see `select`)
+     * @return {object} reservation given as `{ id, boxes, total, change, release(), spend() }`
+     * @memberof WalletState
+     */
+    take(criteria) {
+        const selection = this.select(criteria);
+        return { ...selection, ...this.reserve(selection.boxes.map(box => box.id)) };
+    }
+
+    //// Reservations ////////////////////////////////////////////////////////////////////////////////////////////////
+    /**
+     * Reserve boxes for a pending transaction
+     * @param {string[]} boxIds ids of the boxes to reserve
+     * @return {object} reservation given as `{ id, release(), spend() }`
+     * @memberof WalletState
+     */
+    reserve(boxIds) {
+        this.expire();
+        const taken = boxIds.filter(id => this.reserved.has(id));
+        if (taken.length) throw new ValidationError('Boxes already reserved by a pending transaction: ' + taken.join(', '), { field: "boxIds" })
+
+        const reservation = ++this.reservations;
+        const expires = Date.now() + this.reservationTimeout * 1000;
+        boxIds.forEach(id => this.reserved.set(id, { reservation, expires }));
+        return {
+            id: reservation,
+            release: () => this.release(reservation),
+            spend: () => this.spend(reservation)
+        };
+    }
+
+    /**
+     * Release the boxes of a reservation (i.e. after the transaction failed)
+     * @param {number} reservation id of the reservation
+     * @memberof WalletState
+     */
+    release(reservation) {
+        this.reservedBoxes(reservation).forEach(id => this.reserved.delete(id));
+    }
+
+    /**
+     * Remove the boxes of a reservation from the cache (i.e. after the transaction was accepted). The boxes are kept
+     * out of the cache until `load` no longer returns them, since they stay unspent on chain until the transaction is included.
+     * If the transaction is dropped, the boxes are loaded again once `reservationTimeout` has elapsed
+     * @param {number} reservation id of the reservation
+     * @memberof WalletState
+     */
+    spend(reservation) {
+        const expires = Date.now() + this.reservationTimeout * 1000;
+        this.reservedBoxes(reservation).forEach(id => {
+            const box = this.cache.get(id);
+            if (box) this.spent.set(id, { proposition: box.proposition, expires });
+            this.reserved.delete(id);
+            this.cache.delete(id);
+        });
+    }
+
+    /**
+     * Ids of the boxes held by a reservation
+     * @param {number} reservation id of the reservation
+     * @return {string[]} box ids
+     * @memberof WalletState
+     */
+    reservedBoxes(reservation) {
+        return [...this.reserved].filter(([, entry]) => entry.reservation === reservation).map(([id]) => id);
+    }
+
+    /**
+     * Release the reservations that expired, and forget the spent boxes that expired so that `load` returns them again
+     * @private
+     * @memberof WalletState
+     */
+    expire() {
+        const now = Date.now();
+        [...this.reserved].filter(([, entry]) => entry.expires <= now).forEach(([id]) => this.reserved.delete(id));
+        [...this.spent].filter(([, entry]) => entry.expires <= now).forEach(([id]) => this.spent.delete(id));
+    }
+}
+
+// Coin-selection strategies available by name
+WalletState.strategies = strategies;
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
+
+module.exports = WalletState;
+
+//////////////////////////////////////////////////////////////////////////////////////////////////////////////////////
@@ -0,0 +1,90 @@
+const assert = require("assert");
+const BramblJS = require("./../../src/Brambl");
+const Requests = require("./../../src/modules/Requests");
+const { AbortError, NetworkError } = require("./../../src/lib/errors");
+
+const constants = { cipher: "aes-256-ctr", ivBytes: 16, keyBytes: 32, scrypt: { dkLen: 32, n: Math.pow(2, 10), r: 8, p: 1 } };
+
+// minimal AbortController (a global AbortController is not available before Node 15)
+class TestAbortController {
+  constructor() {
+    const listeners = new Set();
+    this.signal = {
+      aborted: false,
+      addEventListener: (type, listener) => listeners.add(listener),
+      removeEventListener: (type, listener) => listeners.delete(listener)
+    };
+    this.abort = () => {
+      this.signal.aborted = true;
+      listeners.forEach(listener => listener());
+    };
+  }
+}
+
+describe("Abort", () => {
+  it("should abort a pending request and the delay before a retry", async () => {
+    // node that is unreachable on the debug/ route and never responds on other routes
+    let calls = 0;
+    const requests = new Requests(undefined, undefined, {
+      retries: 5,
+      minDelay: 10000,
+      transport: {
+        send: request => {
+          if (request.route !== "debug/") return new Promise(() => {});
+          calls++;
+          return Promise.reject(new NetworkError("connection refused"));
+        }
+      }
+    });
+
+    const pending = new TestAbortController();
+    const mempool = requests.getMempool(undefined, { signal: pending.signal });
+    setTimeout(pending.abort, 10);
+    await assert.rejects(mempool, err => err instanceof AbortError);
+
+    const retrying = new TestAbortController();
+    const info = requests.chainInfo(undefined, { signal: retrying.signal });
+    setTimeout(retrying.abort, 10);
+    await assert.rejects(info, err => err instanceof AbortError);
+    assert.equal(calls, 1);
+
+    await assert.rejects(requests.chainInfo(undefined, { signal: retrying.signal }), err => err instanceof AbortError);
+    assert.equal(calls, 1);
+  });
+
+  describe("transactions", () => {
+    let mock, brambl, sent;
+
+    before(() => {
+      mock = new BramblJS.MockBifrost();
+      sent = [];
+      const transport = { send: request => { sent.push(request); return mock.transport.send(request) } };
+      brambl = new BramblJS({
+        KeyManager: { password: "test", instance: BramblJS.KeyManager({ password: "test", constants }) },
+        Requests: { options: { transport } }
+      });
+    });
+
+    it("should not sign or broadcast an aborted transaction", async () => {
+      const [box] = mock.fund(brambl.keyManager.pk, { polys: 10 });
+      const controller = new TestAbortController();
+      controller.abort();
+
+      const params = { from: [{ proposition: box.proposition, nonce: box.nonce }], to: [{ proposition: box.proposition, value: 10 }], fee: 0 };
+      await assert.rejects(brambl.transaction("polyTransfer", params, { signal: controller.signal }), err => err instanceof AbortError);
+      assert.equal(mock.mempool.size, 0);
+    });
+
+    it("should stop polling once aborted", async () => {
+      const controller = new TestAbortController();
+      const polled = brambl.pollTx("unknown", { timeout: 10, interval: 0.01, maxFailedQueries: 1000, signal: controller.signal });
+      await new Promise(resolve => setTimeout(resolve, 30));
+      controller.abort();
+      await assert.rejects(polled, err => err instanceof AbortError);
+
+      sent.length = 0;
+      await new Promise(resolve => setTimeout(resolve, 30));
+      assert.equal(sent.length, 0);
+    });
+  });
+});
@@ -1,27 +1,31 @@
 const assert = require("assert");
-const BramblJS = require("./../../src/Requests");
+const Requests = require("./../../src/modules/Requests");
+const MockBifrost = require("./../../src/lib/mockBifrost");
+
+const recipient = "A9vRt6hw7w4c7b4qEkQHYptpqBGpKM5MGoXyrkGCbrfb";
 
 describe("Arbit", () => {
-  before(() => {
-    brambljs = new BramblJS();
+  let mock, requests, sender;
+
+  before(async () => {
+    mock = new MockBifrost();
+    requests = new Requests(undefined, undefined, { transport: mock.transport });
+    sender = (await requests.generateKeyfile({ password: "genesis" })).result.publicKey;
+    mock.fund(sender, { polys: 100, arbits: 100 });
+  });
+
+  it("should transfer arbits", async () => {
+    const response = await requests.transferArbits({ recipient, sender: [sender], amount: 1, fee: 1 });
+    assert.equal(response.result.txType, "ArbitTransfer");
+    assert.equal(typeof response.result.signatures[sender], "string");
+
+    mock.forge();
+    const balances = (await requests.getBalancesByKey({ publicKeys: [sender, recipient] })).result;
+    assert.equal(balances[recipient].Balances.Arbits, "1");
+    assert.equal(balances[sender].Balances.Arbits, "98");
   });
 
-  it("should transfer arbits", done => {
-    brambljs
-      .transferArbits(
-        "A9vRt6hw7w4c7b4qEkQHYptpqBGpKM5MGoXyrkGCbrfb",
-        ["6sYyiTguyQ455w2dGEaNbrwkAWAEYV1Zk6FtZMknWDKQ"],
-        1,
-        0,
-        ""
-      )
-      .then(response => {
-        console.log(response);
-        assert.equal(typeof response.result, "object");
-        done();
-      })
-      .catch(error => {
-        console.log(error);
-      });
+  it("should reject a transfer exceeding the balance", async () => {
+    await assert.rejects(requests.transferArbits({ recipient, sender: [sender], amount: 1000, fee: 0 }), /Insufficient funds/);
   });
 });
@@ -1,41 +1,42 @@
 const assert = require("assert");
-const BramblJS = require("./../../src/Requests");
+const Requests = require("./../../src/modules/Requests");
+const MockBifrost = require("./../../src/lib/mockBifrost");
+
+const recipient = "A9vRt6hw7w4c7b4qEkQHYptpqBGpKM5MGoXyrkGCbrfb";
 
 describe("Asset", () => {
-  before(() => {
-    brambljs = new BramblJS();
+  let mock, requests, issuer;
+
+  before(async () => {
+    mock = new MockBifrost();
+    requests = new Requests(undefined, undefined, { transport: mock.transport });
+    issuer = (await requests.generateKeyfile({ password: "genesis" })).result.publicKey;
   });
 
-  it("should create assets", done => {
-    brambljs
-      .createAssets(
-        "6sYyiTguyQ455w2dGEaNbrwkAWAEYV1Zk6FtZMknWDKQ",
-        "6sYyiTguyQ455w2dGEaNbrwkAWAEYV1Zk6FtZMknWDKQ",
-        10,
-        "testAssets",
-        0,
-        ""
-      )
-      .then(response => {
-        console.log(response);
-        assert.equal(typeof response.result, "object");
-        done();
-      })
-      .catch(error => {
-        console.log(error);
-      });
+  it("should create assets", async () => {
+    const params = { issuer, recipient: issuer, amount: 10, assetCode: "testAssets", fee: 0 };
+    const response = await requests.createAssets(params);
+    assert.equal(response.result.txType, "AssetCreation");
+
+    mock.forge();
+    const boxes = (await requests.getBalancesByKey({ publicKeys: [issuer] })).result[issuer].Boxes.AssetBox;
+    assert.deepEqual(boxes.map(box => [box.assetCode, box.value]), [["testAssets", "10"]]);
   });
 
-  /*it('should transfer assets', (done) => {
-        brambljs.transferAssets('6sYyiTguyQ455w2dGEaNbrwkAWAEYV1Zk6FtZMknWDKQ', 'A9vRt6hw7w4c7b4qEkQHYptpqBGpKM5MGoXyrkGCbrfb', 1, 'testAssets', 0, '')
-            .then((response) => {
-                console.log(response)
-                assert.equal(typeof response.result, 'object')
-                done()
-            })
-            .catch((error) => {
-                console.log(error)
-            })
-    })
-    */
+  it("should transfer assets", async () => {
+    const params = { issuer, recipient, amount: 4, assetCode: "testAssets", fee: 0 };
+    await requests.transferAssets(params);
+    mock.forge();
+
+    const balances = (await requests.getBalancesByKey({ publicKeys: [issuer, recipient] })).result;
+    assert.equal(balances[recipient].Boxes.AssetBox[0].value, "4");
+    assert.equal(balances[issuer].Boxes.AssetBox[0].value, "6");
+  });
+
+  it("should transfer a targeted asset box", async () => {
+    const [box] = mock.balances(issuer).Boxes.AssetBox;
+    const response = await requests.transferTargetAssetsPrototype({ recipient, sender: [issuer], assetId: box.id, amount: 6, fee: 0 });
+    assert.deepEqual(response.result.formattedTx.boxesToRemove, [box.id]);
+    assert.equal(typeof response.result.messageToSign, "string");
+  });
 });
@@ -0,0 +1,42 @@
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const KeyManager = require("./../../src/modules/KeyManager");
+const { KeyfileError } = require("./../../src/lib/errors");
+
+const constants = { cipher: "aes-256-ctr", ivBytes: 16, keyBytes: 32, scrypt: { dkLen: 32, n: Math.pow(2, 14), r: 8, p: 1 } };
+
+describe("Async KeyManager factories", () => {
+  let keyPath;
+
+  after(() => fs.existsSync(keyPath) && fs.unlinkSync(keyPath));
+
+  it("should create a key without blocking the event loop", async () => {
+    let ticks = 0;
+    const timer = setInterval(() => ticks++, 0);
+    const keyManagers = await Promise.all([1, 2, 3].map(() => KeyManager.create({ password: "test", constants })));
+    clearInterval(timer);
+
+    assert(ticks > 0);
+    assert.equal(new Set(keyManagers.map(km => km.pk)).size, 3);
+    assert(KeyManager.verify(keyManagers[0].pk, "message", keyManagers[0].sign("message")));
+  });
+
+  it("should open a keyfile created by the constructor", async () => {
+    const keyManager = new KeyManager({ password: "test", hd: true, constants });
+    const child = keyManager.deriveChild(1);
+    keyPath = path.join(os.tmpdir(), "async-" + Date.now() + ".json");
+    fs.writeFileSync(keyPath, JSON.stringify(keyManager.getKeyStorage()));
+
+    const opened = await KeyManager.open({ password: "test", keyPath, constants });
+    assert.equal(opened.pk, keyManager.pk);
+    assert(KeyManager.verify(child.pk, "message", opened.sign("message", child.pk)));
+  });
+
+  it("should reject a wrong password", async () => {
+    await assert.rejects(KeyManager.open({ password: "wrong", keyPath, constants }), err => {
+      return err instanceof KeyfileError && err.path === keyPath && /authentication code/.test(err.message);
+    });
+  });
+});
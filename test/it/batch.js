@@ -0,0 +1,102 @@
+const assert = require("assert");
+const http = require("http");
+const Requests = require("./../../src/modules/Requests");
+
+describe("Batch", () => {
+  let server, requests;
+  // error answered to every batch request (e.g. by a node without batch support)
+  let batchError = null;
+  const received = [];
+
+  before(done => {
+    // minimal json-rpc node that answers every transactionById lookup except for the id "missing"
+    server = http.createServer((req, res) => {
+      let data = "";
+      req.on("data", chunk => (data += chunk));
+      req.on("end", () => {
+        const body = JSON.parse(data);
+        received.push({ url: req.url, body });
+        const answer = entry => entry.params[0].transactionId === "missing"
+          ? { jsonrpc: "2.0", id: entry.id, error: { code: 500, message: "Unable to find transaction" } }
+          : { jsonrpc: "2.0", id: entry.id, result: { txHash: entry.params[0].transactionId || entry.method } };
+        if (Array.isArray(body) && batchError) return res.end(JSON.stringify({ jsonrpc: "2.0", id: null, error: batchError }));
+        res.end(JSON.stringify(Array.isArray(body) ? body.map(answer).reverse() : answer(body)));
+      });
+    });
+    server.listen(0, () => {
+      requests = new Requests("http://localhost:" + server.address().port + "/");
+      done();
+    });
+  });
+
+  after(done => server.close(done));
+
+  it("should group calls to the same route into one request", async () => {
+    received.length = 0;
+    const results = await Promise.allSettled(requests.batch([
+      { method: "getTransactionById", params: { transactionId: "a" } },
+      { method: "getTransactionById", params: { transactionId: "missing" } },
+      { method: "getTransactionFromMempool", params: { transactionId: "b" } },
+      { method: "chainInfo" }
+    ]));
+
+    assert.equal(received.length, 2);
+    assert.equal(received[0].body.length, 3);
+    assert.equal(new Set(received[0].body.map(entry => entry.id)).size, 3);
+
+    assert.equal(results[0].value.result.txHash, "a");
+    assert.equal(results[1].status, "rejected");
+    assert.equal(results[2].value.result.txHash, "b");
+    assert.equal(results[3].value.result.txHash, "info");
+  });
+
+  it("should reject invalid entries without affecting the others", async () => {
+    const results = await Promise.allSettled(requests.batch([
+      { method: "getTransactionById", params: {} },
+      { method: "setUrl", params: "http://example.com" },
+      { method: "getTransactionById", params: { transactionId: "c" } }
+    ]));
+
+    assert.equal(results[0].status, "rejected");
+    assert.equal(results[1].status, "rejected");
+    assert.equal(results[2].value.result.txHash, "c");
+  });
+
+  it("should send the calls one by one to a node without batch support", async () => {
+    batchError = { code: -32600, message: "Invalid Request" };
+    received.length = 0;
+    const results = await Promise.allSettled(requests.batch([
+      { method: "getTransactionById", params: { transactionId: "a" } },
+      { method: "getTransactionById", params: { transactionId: "missing" } }
+    ]));
+    batchError = null;
+
+    assert.deepEqual(received.map(req => Array.isArray(req.body)), [true, false, false]);
+    assert.equal(results[0].value.result.txHash, "a");
+    assert.equal(results[1].reason.message, "Unable to find transaction");
+  });
+
+  it("should not send a call changing the state of the node again after a failed batch", async () => {
+    batchError = { code: -32601, message: "Method not found" };
+    received.length = 0;
+    const results = await Promise.allSettled(requests.batch([
+      { method: "getBalancesByKey", params: { publicKeys: ["a"] } },
+      { method: "broadcastTx", params: { tx: {} } }
+    ]));
+    assert.deepEqual(received.map(req => Array.isArray(req.body)), [true, false]);
+    assert.equal(results[0].value.result.txHash, "balances");
+    assert.equal(results[1].reason.message, "Method not found");
+
+    // an error that does not come from a lack of batch support fails every entry
+    batchError = { code: -32603, message: "Internal error" };
+    received.length = 0;
+    const failed = await Promise.allSettled(requests.batch([
+      { method: "getTransactionById", params: { transactionId: "a" } },
+      { method: "getTransactionById", params: { transactionId: "b" } }
+    ]));
+    batchError = null;
+
+    assert.equal(received.length, 1);
+    assert.deepEqual(failed.map(res => res.reason.message), ["Internal error", "Internal error"]);
+  });
+});
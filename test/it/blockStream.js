@@ -0,0 +1,102 @@
+const assert = require("assert");
+const BramblJS = require("./../../src/Brambl");
+const { NetworkError, RpcError, ValidationError } = require("./../../src/lib/errors");
+
+describe("Block stream", () => {
+  let mock, brambl, offline, unsupported, sent;
+
+  before(() => {
+    mock = new BramblJS.MockBifrost();
+    offline = false;
+    unsupported = false;
+    sent = [];
+    const transport = {
+      send: request => {
+        if (offline) return Promise.reject(new NetworkError("connection refused"));
+        sent.push(request.body);
+        if (unsupported && request.body.method === "blockById") {
+          return Promise.resolve({ jsonrpc: "2.0", id: request.body.id, error: { code: -32601, message: "Method not found" } });
+        }
+        return mock.transport.send(request);
+      }
+    };
+    brambl = new BramblJS({ KeyManager: { password: "test" }, Requests: { options: { transport } } });
+  });
+
+  it("should yield existing and new blocks in order", async () => {
+    mock.forge();
+    const stream = brambl.blocks({ fromHeight: 1, interval: 0.01 });
+    assert.deepEqual([(await stream.next()).value.height, (await stream.next()).value.height], [1, 2]);
+
+    const next = stream.next();
+    mock.forge();
+    const block = (await next).value;
+    assert.equal(block.height, 3);
+    assert.equal(block.id, mock.bestBlock.id);
+    await stream.return();
+  });
+
+  it("should fill in the blocks forged while disconnected", async () => {
+    const stream = brambl.blocks({ interval: 0.01 });
+    const height = mock.blocks.length;
+
+    const next = stream.next();
+    await new Promise(resolve => setTimeout(resolve, 30));
+    offline = true;
+    [1, 2, 3].forEach(() => mock.forge());
+    await new Promise(resolve => setTimeout(resolve, 30));
+    offline = false;
+
+    const blocks = [(await next).value, (await stream.next()).value, (await stream.next()).value];
+    assert.deepEqual(blocks.map(block => block.height), [height + 1, height + 2, height + 3]);
+    assert.deepEqual(blocks.map(block => block.id), mock.blocks.slice(height).map(block => block.id));
+    await stream.return();
+  });
+
+  it("should yield the blocks replacing a reorganized block", async () => {
+    const stream = brambl.blocks({ fromHeight: mock.blocks.length, interval: 0.01 });
+    const replaced = (await stream.next()).value;
+
+    mock.blocks.pop();
+    mock.blocks.push(mock.createBlock(mock.bestBlock.id, [{ txHash: "fork" }]));
+    mock.forge();
+
+    const blocks = [(await stream.next()).value, (await stream.next()).value];
+    assert.deepEqual(blocks.map(block => block.height), [replaced.height, replaced.height + 1]);
+    assert.notEqual(blocks[0].id, replaced.id);
+    await stream.return();
+  });
+
+  it("should catch up by walking the parent ids back and resume the walk after a failure", async () => {
+    while (mock.blocks.length < 12) mock.forge();
+    const stream = brambl.blocks({ fromHeight: 1, interval: 0.01, maxReorgDepth: 2 });
+    sent.length = 0;
+
+    const heights = [];
+    for (let i = 0; i < 5; i++) heights.push((await stream.next()).value.height);
+
+    // the chain provider cannot be reached for a while during the catch-up
+    offline = true;
+    const next = stream.next();
+    await new Promise(resolve => setTimeout(resolve, 30));
+    offline = false;
+    heights.push((await next).value.height);
+    while (heights.length < mock.blocks.length) heights.push((await stream.next()).value.height);
+    await stream.return();
+
+    assert.deepEqual(heights, mock.blocks.map((block, i) => i + 1));
+    assert.deepEqual([...new Set(sent.map(body => body.method))].sort(), ["blockById", "info"]);
+    assert.equal(sent.filter(body => body.method === "info").length, 1);
+  });
+
+  it("should not retry a request that the chain provider does not support", async () => {
+    unsupported = true;
+    const stream = brambl.blocks({ fromHeight: 1, interval: 0.01 });
+    await assert.rejects(stream.next(), err => err instanceof RpcError && err.code === -32601);
+    unsupported = false;
+  });
+
+  it("should reject an invalid starting height", async () => {
+    await assert.rejects(brambl.blocks({ fromHeight: 0 }).next(), err => err instanceof ValidationError && err.field === "fromHeight");
+  });
+});
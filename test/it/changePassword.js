@@ -0,0 +1,58 @@
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const KeyManager = require("./../../src/modules/KeyManager");
+const { ValidationError } = require("./../../src/lib/errors");
+
+const constants = { cipher: "aes-256-ctr", ivBytes: 16, keyBytes: 32, scrypt: { dkLen: 32, n: Math.pow(2, 10), r: 8, p: 1 } };
+
+describe("Change password", () => {
+  let keyDir, keyPath;
+
+  before(() => {
+    keyDir = fs.mkdtempSync(path.join(os.tmpdir(), "password-"));
+    keyPath = path.join(keyDir, "key.json");
+  });
+
+  after(() => {
+    fs.readdirSync(keyDir).forEach(file => fs.unlinkSync(path.join(keyDir, file)));
+    fs.rmdirSync(keyDir);
+  });
+
+  it("should store the kdf parameters in the keyfile", () => {
+    const keyManager = new KeyManager({ password: "old", constants });
+    assert.deepEqual(keyManager.getKeyStorage().crypto.kdfParams, constants.scrypt);
+
+    // opened without the non-default constants
+    fs.writeFileSync(keyPath, JSON.stringify(keyManager.getKeyStorage()));
+    assert.equal(new KeyManager({ password: "old", keyPath }).pk, keyManager.pk);
+  });
+
+  it("should re-encrypt the key and rewrite the keyfile", async () => {
+    const keyManager = new KeyManager({ password: "old", keyPath });
+    const before = keyManager.getKeyStorage();
+    const kdfParams = { dkLen: 32, n: Math.pow(2, 11), r: 8, p: 1 };
+    const keyStorage = await keyManager.changePassword("old", "new", { kdfParams, keyPath });
+
+    assert.equal(keyStorage.publicKeyId, before.publicKeyId);
+    assert.notEqual(keyStorage.crypto.kdfSalt, before.crypto.kdfSalt);
+    assert.notEqual(keyStorage.crypto.cipherParams.iv, before.crypto.cipherParams.iv);
+    assert.deepEqual(keyStorage.crypto.kdfParams, kdfParams);
+    assert.deepEqual(fs.readdirSync(keyDir), ["key.json"]);
+
+    const reopened = new KeyManager({ password: "new", keyPath });
+    assert(KeyManager.verify(reopened.pk, "message", reopened.sign("message")));
+    assert.throws(() => new KeyManager({ password: "old", keyPath }), /authentication code/);
+  });
+
+  it("should keep derived children and reject a wrong password", async () => {
+    const keyManager = new KeyManager({ password: "old", hd: true, constants });
+    const child = keyManager.deriveChild(2);
+
+    await assert.rejects(keyManager.changePassword("wrong", "new"), err => err instanceof ValidationError && err.field === "oldPassword");
+    const keyStorage = await keyManager.changePassword("old", "new");
+    assert.deepEqual(keyStorage.hd.children, [{ path: child.path, publicKey: child.pk }]);
+    assert(KeyManager.verify(child.pk, "message", keyManager.sign("message", child.pk)));
+  });
+});
@@ -0,0 +1,51 @@
+const assert = require("assert");
+const Requests = require("./../../src/modules/Requests");
+const KeyManager = require("./../../src/modules/KeyManager");
+const pollTx = require("./../../src/lib/polling");
+const { InProcessTransport } = require("./../../src/lib/transports");
+const errors = require("./../../src/lib/errors");
+
+// in-process node that never confirms a transaction and only keeps "pending" in the mempool
+const requests = new Requests(undefined, undefined, {
+  transport: new InProcessTransport({
+    "nodeView/": {
+      transactionById: () => { throw { code: 500, message: "Unable to find transaction" } },
+      transactionFromMempool: params => {
+        if (params.transactionId !== "pending") throw { code: 500, message: "Unable to find transaction" };
+        return {};
+      }
+    }
+  })
+});
+
+describe("Errors", () => {
+  it("should throw a ValidationError for missing parameters", async () => {
+    await assert.rejects(requests.getTransactionById({}), err => {
+      return err instanceof errors.ValidationError && err instanceof errors.BramblError && err.field === "transactionId";
+    });
+  });
+
+  it("should throw an RpcError with the code and response", async () => {
+    await assert.rejects(requests.getTransactionById({ transactionId: "a" }), err => {
+      return err instanceof errors.RpcError && err.code === 500 && err.method === "transactionById" && !!err.response.error;
+    });
+  });
+
+  it("should reject polling with a PollTimeoutError", async () => {
+    await assert.rejects(pollTx(requests, "pending", { timeout: 0.05, interval: 0.01, maxFailedQueries: 10 }), err => {
+      return err instanceof errors.PollTimeoutError && err.txId === "pending" && err.cause instanceof errors.RpcError;
+    });
+  });
+
+  it("should reject polling with a TxDroppedError", async () => {
+    await assert.rejects(pollTx(requests, "dropped", { timeout: 1, interval: 0.01, maxFailedQueries: 2 }), err => {
+      return err instanceof errors.TxDroppedError && err.failedQueries === 2;
+    });
+  });
+
+  it("should keep the cause of a failed keyfile import", () => {
+    assert.throws(() => new KeyManager({ password: "test", keyPath: "./does-not-exist.json" }), err => {
+      return err instanceof errors.KeyfileError && err.path === "./does-not-exist.json" && err.cause.code === "ENOENT";
+    });
+  });
+});
@@ -0,0 +1,100 @@
+const assert = require("assert");
+const BramblJS = require("./../../src/Brambl");
+const { NetworkError, RpcError } = require("./../../src/lib/errors");
+
+describe("Provider failover", () => {
+  let local, remote, calls;
+
+  // a transport to a mock node that may be taken offline or slowed down
+  const provider = (name, mock) => {
+    const state = { offline: false, delay: 0 };
+    const transport = {
+      send: async req => {
+        calls.push(name);
+        if (state.delay) await new Promise(resolve => setTimeout(resolve, state.delay));
+        if (state.offline) throw new NetworkError("connection refused");
+        return mock.transport.send(req);
+      }
+    };
+    return { name, transport, state };
+  };
+
+  const create = (...providers) => BramblJS.Requests(undefined, undefined, {
+    providers: providers.map(({ name, transport }) => ({ name, url: "http://" + name + "/", transport })),
+    healthCheckInterval: 0
+  });
+
+  beforeEach(() => {
+    local = new BramblJS.MockBifrost();
+    remote = new BramblJS.MockBifrost();
+    calls = [];
+  });
+
+  it("should fail over to the next provider and report which provider served the call", async () => {
+    const a = provider("local", local);
+    const b = provider("remote", remote);
+    const requests = create(a, b);
+    const events = [];
+    requests.providers.on("failover", event => events.push(["failover", event.provider]));
+    requests.providers.on("served", event => events.push(["served", event.provider, event.method]));
+
+    a.state.offline = true;
+    const { result } = await requests.chainInfo();
+    assert.equal(result.bestBlockId, remote.bestBlock.id);
+    assert.deepEqual(events, [["failover", "local"], ["served", "remote", "info"]]);
+
+    // the failed provider is tried last until it succeeds again
+    await requests.chainInfo();
+    assert.deepEqual(calls, ["local", "remote", "remote"]);
+    assert.deepEqual(requests.providers.status().map(p => [p.name, p.healthy]), [["remote", true], ["local", false]]);
+  });
+
+  it("should rank providers by the freshness of their best block, then by latency", async () => {
+    const a = provider("local", local);
+    const b = provider("remote", remote);
+    const c = provider("mirror", remote);
+    const requests = create(a, b, c);
+
+    for (let i = 0; i < 5; i++) remote.forge();
+    b.state.delay = 30;
+    const status = await requests.providers.check();
+    assert.deepEqual(status.map(p => [p.name, p.height]), [["mirror", 6], ["remote", 6], ["local", 1]]);
+
+    calls = [];
+    await requests.chainInfo();
+    assert.deepEqual(calls, ["mirror"]);
+  });
+
+  it("should not fail over JSON-RPC errors or timeouts of calls changing the node", async () => {
+    const a = provider("local", local);
+    const b = provider("remote", remote);
+    const requests = create(a, b);
+
+    await assert.rejects(requests.getTransactionById({ transactionId: "missing" }), RpcError);
+    assert.deepEqual(calls, ["local"]);
+
+    a.state.delay = 100;
+    await assert.rejects(requests.broadcastTx({ tx: { txHash: "a" } }, "1", { timeout: 20 }), err => err instanceof NetworkError && err.timeout === 20);
+    assert.deepEqual(calls, ["local", "local"]);
+  });
+
+  it("should apply the timeout to each provider", async () => {
+    const a = provider("local", local);
+    const b = provider("remote", remote);
+    const requests = create(a, b);
+
+    a.state.delay = 100;
+    b.state.delay = 40;
+    const { result } = await requests.chainInfo("1", { timeout: 60 });
+    assert.equal(result.bestBlockId, remote.bestBlock.id);
+    assert.deepEqual(calls, ["local", "remote"]);
+  });
+
+  it("should stop the periodic health checks", async () => {
+    const requests = BramblJS.Requests(undefined, undefined, { providers: [{ name: "local", transport: local.transport }] });
+    await requests.chainInfo();
+    assert(requests.providers.timer);
+    requests.stop();
+    assert.equal(requests.providers.timer, null);
+  });
+});
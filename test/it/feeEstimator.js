@@ -0,0 +1,97 @@
+const assert = require("assert");
+const BramblJS = require("./../../src/Brambl");
+const { AbortError, ValidationError } = require("./../../src/lib/errors");
+
+const constants = { cipher: "aes-256-ctr", ivBytes: 16, keyBytes: 32, scrypt: { dkLen: 32, n: Math.pow(2, 10), r: 8, p: 1 } };
+
+describe("Fee estimation", () => {
+  let mock, brambl, pk;
+
+  // send a poly transfer paying the given fee from a new box
+  const send = fee => {
+    const [box] = mock.fund(pk, { polys: 1000 });
+    return brambl.transaction("polyTransfer", {
+      from: [{ proposition: box.proposition, nonce: box.nonce }],
+      to: [{ proposition: pk, value: 1000 - fee }],
+      fee
+    });
+  };
+
+  beforeEach(() => {
+    mock = new BramblJS.MockBifrost();
+    brambl = new BramblJS({
+      KeyManager: { password: "test", instance: BramblJS.KeyManager({ password: "test", constants }) },
+      Requests: { options: { transport: mock.transport } },
+      FeeEstimator: { maxAge: 0 }
+    });
+    pk = brambl.keyManager.pk;
+  });
+
+  it("should suggest the minimum fee when there is nothing to sample", async () => {
+    assert.deepEqual(await brambl.feeEstimator.suggest(), { slow: 0, normal: 0, fast: 0 });
+    assert.deepEqual(await new BramblJS.FeeEstimator(brambl.requests, { minFee: 2 }).suggest(), { slow: 2, normal: 2, fast: 2 });
+  });
+
+  it("should suggest fees from recent blocks and the mempool", async () => {
+    for (const fee of [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]) await send(fee);
+    mock.forge();
+    assert.deepEqual(await brambl.feeEstimator.suggest(), { slow: 3, normal: 5, fast: 9 });
+
+    // a congested mempool paying higher fees raises the normal and fast fees
+    for (const fee of [20, 20, 30, 30, 30, 40, 40, 40, 40, 40, 50, 50]) await send(fee);
+    assert.deepEqual(await brambl.feeEstimator.suggest(), { slow: 3, normal: 40, fast: 50 });
+    assert.equal(await brambl.estimateFee("slow"), 3);
+    await assert.rejects(brambl.estimateFee("instant"), err => err instanceof ValidationError && err.field === "speed");
+  });
+
+  it("should reuse a recent sample", async () => {
+    const sent = [];
+    const counting = { send: req => { sent.push(req); return mock.transport.send(req) } };
+    const estimator = new BramblJS.FeeEstimator(BramblJS.Requests(undefined, undefined, { transport: counting }), { maxAge: 60 });
+    await estimator.suggest();
+    const count = sent.length;
+    await estimator.estimate("fast");
+    assert.equal(sent.length, count);
+    await estimator.suggest({ refresh: true });
+    assert(sent.length > count);
+  });
+
+  it("should share the sample collected for concurrent estimates", async () => {
+    const sent = [];
+    const counting = { send: req => { sent.push(req.body.method); return mock.transport.send(req) } };
+    const estimator = new BramblJS.FeeEstimator(BramblJS.Requests(undefined, undefined, { transport: counting }), { maxAge: 0 });
+    const fees = await Promise.all([estimator.estimate("slow"), estimator.estimate("fast"), estimator.suggest()]);
+    assert.equal(fees[2].fast, fees[1]);
+    assert.deepEqual(sent.filter(method => method === "mempool"), ["mempool"]);
+  });
+
+  it("should stop waiting for the shared sample only for the caller that aborts", async () => {
+    const slow = { send: async req => { await new Promise(resolve => setTimeout(resolve, 20)); return mock.transport.send(req) } };
+    const estimator = new BramblJS.FeeEstimator(BramblJS.Requests(undefined, undefined, { transport: slow }));
+    const listeners = [];
+    const signal = { aborted: false, addEventListener: (type, listener) => listeners.push(listener), removeEventListener: () => {} };
+
+    const aborted = estimator.estimate("fast", { signal });
+    const waiting = estimator.estimate("fast");
+    signal.aborted = true;
+    listeners.forEach(listener => listener());
+
+    await assert.rejects(aborted, AbortError);
+    assert.equal(await waiting, 0);
+  });
+
+  it("should estimate the fee of a transaction with fee 'auto'", async () => {
+    for (const fee of [4, 4, 4]) await send(fee);
+    mock.forge();
+
+    const [box] = mock.fund(pk, { polys: 1000 });
+    const { result } = await brambl.transaction("polyTransfer", {
+      from: [{ proposition: box.proposition, nonce: box.nonce }],
+      to: [{ proposition: pk, value: 990 }],
+      fee: "auto",
+      feeSpeed: "fast"
+    });
+    assert.equal(result.fee, 4);
+    assert.equal(result.feeSpeed, undefined);
+  });
+});
@@ -0,0 +1,69 @@
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const KeyManager = require("./../../src/modules/KeyManager");
+const { KeyfileError, ValidationError } = require("./../../src/lib/errors");
+
+const constants = { cipher: "aes-256-ctr", ivBytes: 16, keyBytes: 32, scrypt: { dkLen: 32, n: Math.pow(2, 10), r: 8, p: 1 } };
+const seed = Buffer.alloc(64, 7);
+
+describe("HD keys", () => {
+  it("should derive the same children from the same seed", () => {
+    const a = new KeyManager({ password: "test", seed, constants });
+    const b = new KeyManager({ password: "other", seed, constants });
+
+    assert.equal(a.pk, b.pk);
+    assert.deepEqual(a.deriveChild(0), b.deriveChild("m/44'/7091'/0'/0'/0'"));
+    assert.equal(a.deriveChild(0).path, "m/44'/7091'/0'/0'/0'");
+    assert.notEqual(a.deriveChild(1).pk, a.deriveChild(0).pk);
+    assert.deepEqual(a.listChildren().map(child => child.path), ["m/44'/7091'/0'/0'/0'", "m/44'/7091'/0'/0'/1'"]);
+  });
+
+  it("should sign with a derived child", () => {
+    const keyManager = new KeyManager({ password: "test", hd: true, constants });
+    const child = keyManager.deriveChild(5);
+    const signature = keyManager.signer(child.pk).sign("message");
+
+    assert(KeyManager.verify(child.pk, "message", signature));
+    assert(!KeyManager.verify(keyManager.pk, "message", signature));
+    assert.throws(() => keyManager.sign("message", "unknown"), ValidationError);
+  });
+
+  it("should keep the children in the exported keyfile", () => {
+    const keyManager = new KeyManager({ password: "test", seed, constants });
+    const child = keyManager.deriveChild(3);
+    const keyPath = path.join(os.tmpdir(), "hd-" + Date.now() + ".json");
+    fs.writeFileSync(keyPath, JSON.stringify(keyManager.getKeyStorage()));
+
+    try {
+      const imported = new KeyManager({ password: "test", keyPath, constants });
+      assert.deepEqual(imported.listChildren(), [child]);
+      assert(KeyManager.verify(child.pk, "message", imported.sign("message", child.pk)));
+    } finally {
+      fs.unlinkSync(keyPath);
+    }
+  });
+
+  it("should refuse a keyfile whose children do not match its seed", () => {
+    const keyManager = new KeyManager({ password: "test", seed, constants });
+    keyManager.deriveChild(3);
+    const keyStorage = JSON.parse(JSON.stringify(keyManager.getKeyStorage()));
+    keyStorage.hd.children[0].publicKey = new KeyManager({ password: "test", constants }).pk;
+    const keyPath = path.join(os.tmpdir(), "hd-" + Date.now() + ".json");
+    fs.writeFileSync(keyPath, JSON.stringify(keyStorage));
+
+    try {
+      assert.throws(() => new KeyManager({ password: "test", keyPath, constants }), err => err instanceof KeyfileError && err.field === "hd.children");
+    } finally {
+      fs.unlinkSync(keyPath);
+    }
+  });
+
+  it("should reject invalid paths and non-hd keyfiles", () => {
+    const keyManager = new KeyManager({ password: "test", seed, constants });
+    assert.throws(() => keyManager.deriveChild("m/0"), err => err instanceof ValidationError && err.field === "path");
+    assert.throws(() => keyManager.deriveChild("0'"), ValidationError);
+    assert.throws(() => new KeyManager({ password: "test", constants }).deriveChild(0), KeyfileError);
+  });
+});
@@ -0,0 +1,79 @@
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const Base58 = require("base-58");
+const KeyManager = require("./../../src/modules/KeyManager");
+const { getKdf, getCipher } = require("./../../src/lib/keyCrypto");
+const { KeyfileError, ValidationError } = require("./../../src/lib/errors");
+
+const constants = { cipher: "aes-256-ctr", ivBytes: 16, keyBytes: 32, scrypt: { dkLen: 32, n: Math.pow(2, 10), r: 8, p: 1 } };
+const pbkdf2 = { ...constants, cipher: "aes-256-gcm", kdf: "pbkdf2-sha512", kdfParams: { dkLen: 32, c: 1000 } };
+
+describe("Keyfile ciphers and key derivation", () => {
+  let keyDir, keyPath;
+
+  before(() => {
+    keyDir = fs.mkdtempSync(path.join(os.tmpdir(), "keycrypto-"));
+    keyPath = path.join(keyDir, "key.json");
+  });
+
+  after(() => {
+    fs.readdirSync(keyDir).forEach(file => fs.unlinkSync(path.join(keyDir, file)));
+    fs.rmdirSync(keyDir);
+  });
+
+  it("should write Bifrost compatible keyfiles by default", () => {
+    const keyStorage = new KeyManager({ password: "test", constants }).getKeyStorage();
+    assert.equal(keyStorage.crypto.cipher, "aes-256-ctr");
+    assert.equal(keyStorage.crypto.kdf, "scrypt");
+    assert.deepEqual(Object.keys(keyStorage.crypto.cipherParams), ["iv"]);
+  });
+
+  it("should record the cipher and kdf and dispatch on import", () => {
+    const keyManager = new KeyManager({ password: "test", constants: pbkdf2 });
+    const keyStorage = keyManager.getKeyStorage();
+    assert.equal(keyStorage.crypto.cipher, "aes-256-gcm");
+    assert.equal(keyStorage.crypto.kdf, "pbkdf2-sha512");
+    assert.deepEqual(keyStorage.crypto.kdfParams, pbkdf2.kdfParams);
+    assert.equal(Base58.decode(keyStorage.crypto.cipherParams.iv).length, getCipher("aes-256-gcm").ivBytes);
+    assert.equal(Base58.decode(keyStorage.crypto.cipherParams.tag).length, 16);
+
+    // imported with the default constants
+    fs.writeFileSync(keyPath, JSON.stringify(keyStorage));
+    const imported = new KeyManager({ password: "test", keyPath });
+    assert.equal(imported.pk, keyManager.pk);
+    assert(KeyManager.verify(imported.pk, "message", imported.sign("message")));
+  });
+
+  it("should reject a tampered authentication tag", () => {
+    const keyStorage = new KeyManager({ password: "test", constants: pbkdf2 }).getKeyStorage();
+    const tag = Buffer.from(Base58.decode(keyStorage.crypto.cipherParams.tag));
+    tag[0] ^= 1;
+    keyStorage.crypto.cipherParams.tag = Base58.encode(tag);
+    fs.writeFileSync(keyPath, JSON.stringify(keyStorage));
+
+    assert.throws(() => new KeyManager({ password: "test", keyPath }), err => {
+      return err instanceof KeyfileError && err.cause instanceof KeyfileError && err.cause.field === "cipherParams.tag";
+    });
+  });
+
+  it("should name the invalid field of an unsupported keyfile", () => {
+    const keyStorage = new KeyManager({ password: "test", constants: pbkdf2 }).getKeyStorage();
+    fs.writeFileSync(keyPath, JSON.stringify({ ...keyStorage, crypto: { ...keyStorage.crypto, kdf: "argon2" } }));
+    assert.throws(() => new KeyManager({ password: "test", keyPath }), err => err.field === "crypto.kdf");
+
+    const { tag, ...cipherParams } = keyStorage.crypto.cipherParams;
+    fs.writeFileSync(keyPath, JSON.stringify({ ...keyStorage, crypto: { ...keyStorage.crypto, cipherParams } }));
+    assert.throws(() => new KeyManager({ password: "test", keyPath }), err => err.field === "crypto.cipherParams.tag");
+
+    assert.throws(() => getKdf("argon2"), err => err instanceof ValidationError && err.field === "kdf");
+  });
+
+  it("should change the kdf and cipher of a keyfile", async () => {
+    const keyManager = new KeyManager({ password: "old", constants });
+    const keyStorage = await keyManager.changePassword("old", "new", { kdf: "pbkdf2-sha512", kdfParams: { dkLen: 32, c: 1000 }, cipher: "aes-256-gcm", keyPath });
+    assert.equal(keyStorage.crypto.kdf, "pbkdf2-sha512");
+    assert.equal(new KeyManager({ password: "new", keyPath }).pk, keyManager.pk);
+  });
+});
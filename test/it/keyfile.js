@@ -1,59 +1,37 @@
 const assert = require("assert");
-const BramblJS = require("./../../src/Requests");
+const Requests = require("./../../src/modules/Requests");
+const MockBifrost = require("./../../src/lib/mockBifrost");
 
 describe("Keyfile", () => {
+  let requests, publicKey;
+
   before(() => {
-    brambljs = new BramblJS();
+    requests = new Requests(undefined, undefined, { transport: new MockBifrost().transport });
+  });
+
+  it("should return a newly generated keyfile", async () => {
+    const response = await requests.generateKeyfile({ password: "genesis" });
+    publicKey = response.result.publicKey;
+    assert.equal(typeof publicKey, "string");
   });
 
-  it("should return a list of open keyfiles", done => {
-    brambljs
-      .getOpenKeyfiles()
-      .then(response => {
-        console.log(response);
-        assert.equal(typeof response.result, "object");
-        done();
-      })
-      .catch(error => {
-        console.log(error);
-      });
+  it("should return a list of open keyfiles", async () => {
+    const response = await requests.listOpenKeyfiles();
+    assert.deepEqual(response.result, [publicKey]);
   });
 
-  it("should return a newly generated keyfile", done => {
-    brambljs
-      .generateKeyfile("password")
-      .then(response => {
-        console.log(response);
-        assert.equal(typeof response.result, "object");
-        done();
-      })
-      .catch(error => {
-        console.log(error);
-      });
+  it("should return a successfully locked keyfile", async () => {
+    const response = await requests.lockKeyfile({ publicKey, password: "genesis" });
+    assert.equal(response.result[publicKey], "locked");
+    assert.deepEqual((await requests.listOpenKeyfiles()).result, []);
   });
 
-  it("should return a successfully locked keyfile", done => {
-    brambljs
-      .lockKeyfile("6sYyiTguyQ455w2dGEaNbrwkAWAEYV1Zk6FtZMknWDKQ", "genesis")
-      .then(response => {
-        console.log(response);
-        assert.equal(typeof response.result, "object");
-        done();
-      })
-      .catch(error => {
-        console.log(error);
-      });
+  it("should return a successfully unlocked keyfile", async () => {
+    const response = await requests.unlockKeyfile({ publicKey, password: "genesis" });
+    assert.equal(response.result[publicKey], "unlocked");
   });
 
-  it("should return a successfully unlocked keyfile", done => {
-    brambljs
-      .unlockKeyfile("6sYyiTguyQ455w2dGEaNbrwkAWAEYV1Zk6FtZMknWDKQ", "genesis")
-      .then(response => {
-        assert.equal(typeof response.result, "object");
-        done();
-      })
-      .catch(error => {
-        console.log(error);
-      });
+  it("should reject an invalid password", async () => {
+    await assert.rejects(requests.unlockKeyfile({ publicKey, password: "wrong" }), /Invalid password/);
   });
 });
@@ -0,0 +1,60 @@
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const KeyManager = require("./../../src/modules/KeyManager");
+const { keyfileVersion, migrateKeyfile, validateKeyfile } = require("./../../src/lib/keyfile");
+const { KeyfileError } = require("./../../src/lib/errors");
+
+const constants = { cipher: "aes-256-ctr", ivBytes: 16, keyBytes: 32, scrypt: { dkLen: 32, n: Math.pow(2, 10), r: 8, p: 1 } };
+
+describe("Keyfile schema", () => {
+  const keyManager = new KeyManager({ password: "test", constants });
+  const keyStorage = keyManager.getKeyStorage();
+  const keyPath = path.join(os.tmpdir(), "schema-" + Date.now() + ".json");
+
+  // import a keyfile with the given contents
+  const importKeyfile = contents => {
+    fs.writeFileSync(keyPath, typeof contents === "string" ? contents : JSON.stringify(contents));
+    return new KeyManager({ password: "test", keyPath, constants });
+  };
+
+  after(() => fs.existsSync(keyPath) && fs.unlinkSync(keyPath));
+
+  it("should write the current version", () => {
+    assert.equal(keyStorage.version, keyfileVersion);
+    assert.equal(validateKeyfile(keyStorage), keyStorage);
+  });
+
+  it("should migrate unversioned keyfiles", () => {
+    const { version, ...unversioned } = keyStorage;
+    assert.equal(importKeyfile(unversioned).getKeyStorage().version, keyfileVersion);
+
+    const { cipherText, cipherParams, kdfSalt, kdf, ...crypto } = keyStorage.crypto;
+    const lowerCase = { ...unversioned, crypto: { ...crypto, ciphertext: cipherText, cipherparams: cipherParams, kdfparams: { salt: kdfSalt } } };
+    const migrated = migrateKeyfile(lowerCase);
+    assert.deepEqual(migrated, keyStorage);
+    assert.deepEqual(lowerCase.crypto.kdfparams, { salt: kdfSalt });
+    assert.equal(importKeyfile(lowerCase).pk, keyManager.pk);
+  });
+
+  it("should report the missing or malformed field", () => {
+    const withoutIv = { ...keyStorage, crypto: { ...keyStorage.crypto, cipherParams: {} } };
+    assert.throws(() => importKeyfile(withoutIv), err => {
+      return err instanceof KeyfileError && err.path === keyPath && err.field === "crypto.cipherParams.iv" && /is missing/.test(err.message);
+    });
+
+    const badMac = { ...keyStorage, crypto: { ...keyStorage.crypto, mac: "0xabc" } };
+    assert.throws(() => validateKeyfile(badMac), err => err.field === "crypto.mac" && err.problems.length === 1);
+
+    const { publicKeyId, ...withoutKey } = keyStorage;
+    assert.throws(() => validateKeyfile({ ...withoutKey, crypto: { ...keyStorage.crypto, kdfSalt: 1 } }), err => {
+      return err.field === "publicKeyId" && err.problems.map(problem => problem.field).includes("crypto.kdfSalt");
+    });
+  });
+
+  it("should reject invalid json and newer versions", () => {
+    assert.throws(() => importKeyfile("{ not json"), err => err instanceof KeyfileError && /Invalid keyfile/.test(err.message));
+    assert.throws(() => importKeyfile({ ...keyStorage, version: keyfileVersion + 1 }), err => err.field === "version");
+  });
+});
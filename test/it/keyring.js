@@ -0,0 +1,86 @@
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const BramblJS = require("./../../src/Brambl");
+const KeyManager = require("./../../src/modules/KeyManager");
+const { KeyfileError, LockedKeyError, ValidationError } = require("./../../src/lib/errors");
+
+const constants = { cipher: "aes-256-ctr", ivBytes: 16, keyBytes: 32, scrypt: { dkLen: 32, n: Math.pow(2, 10), r: 8, p: 1 } };
+const recipient = "A9vRt6hw7w4c7b4qEkQHYptpqBGpKM5MGoXyrkGCbrfb";
+
+describe("Keyring", () => {
+  let keyPath, alice, bob, child;
+
+  before(() => {
+    keyPath = fs.mkdtempSync(path.join(os.tmpdir(), "keyring-"));
+    const keyring = new BramblJS.Keyring({ keyPath, constants });
+    alice = keyring.generate("alice");
+    bob = keyring.generate("bob", { hd: true });
+    child = keyring.keyManager(bob).deriveChild(0).pk;
+    keyring.save(bob);
+  });
+
+  after(() => {
+    fs.readdirSync(keyPath).forEach(file => fs.unlinkSync(path.join(keyPath, file)));
+    fs.rmdirSync(keyPath);
+  });
+
+  it("should load every keyfile of a directory locked", () => {
+    const keyring = new BramblJS.Keyring({ keyPath, constants });
+    assert.deepEqual(keyring.load().sort(), [alice, bob].sort());
+    assert(keyring.list().every(key => !key.unlocked));
+    assert.equal(keyring.list().find(key => key.pk === child).parent, bob);
+    assert.throws(() => keyring.signer(alice), LockedKeyError);
+    assert.throws(() => keyring.signer(recipient), ValidationError);
+  });
+
+  it("should skip the keyfiles that cannot be read and report them", () => {
+    const corrupt = path.join(keyPath, "corrupt.json");
+    fs.writeFileSync(corrupt, "{ not json");
+    try {
+      const keyring = new BramblJS.Keyring({ keyPath, constants });
+      assert.deepEqual(keyring.load().sort(), [alice, bob].sort());
+      assert.equal(keyring.errors.length, 1);
+      assert(keyring.errors[0] instanceof KeyfileError);
+      assert.equal(keyring.errors[0].path, corrupt);
+    } finally {
+      fs.unlinkSync(corrupt);
+    }
+  });
+
+  it("should lock and unlock each key separately", () => {
+    const keyring = new BramblJS.Keyring({ keyPath, constants });
+    keyring.load();
+    keyring.unlock(bob, "bob");
+    assert.throws(() => keyring.unlock(alice, "bob"), /message authentication code mismatch/);
+
+    const signature = keyring.signer(child).sign("message");
+    assert(KeyManager.verify(child, "message", signature));
+    assert.throws(() => keyring.signer(alice), LockedKeyError);
+
+    keyring.lock(bob);
+    assert.throws(() => keyring.signer(child), LockedKeyError);
+  });
+
+  it("should choose the signers of a transaction from the keyring", async () => {
+    const mock = new BramblJS.MockBifrost();
+    const keyring = new BramblJS.Keyring({ keyPath, constants });
+    keyring.load();
+    keyring.unlock(alice, "alice");
+    keyring.unlock(bob, "bob");
+    const brambl = new BramblJS({ Keyring: { instance: keyring }, Requests: { options: { transport: mock.transport } } });
+
+    const [a] = mock.fund(alice, { polys: 5 });
+    const [c] = mock.fund(child, { polys: 5 });
+    const params = {
+      from: [{ proposition: alice, nonce: a.nonce }, { proposition: child, nonce: c.nonce }],
+      to: [{ proposition: recipient, value: 10 }],
+      fee: 0
+    };
+
+    await assert.rejects(brambl.transaction("polyTransfer", { ...params, sender: [alice] }), err => err.field === "sender");
+    const { result } = await brambl.transaction("polyTransfer", params);
+    assert.deepEqual(Object.keys(result.signatures).sort(), [alice, child].sort());
+  });
+});
@@ -0,0 +1,39 @@
+const assert = require("assert");
+const KeyManager = require("./../../src/modules/KeyManager");
+const { ValidationError } = require("./../../src/lib/errors");
+
+const constants = { cipher: "aes-256-ctr", ivBytes: 16, keyBytes: 32, scrypt: { dkLen: 32, n: Math.pow(2, 10), r: 8, p: 1 } };
+const mnemonic = "abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about";
+
+describe("Mnemonic", () => {
+  it("should restore the same keys from a new mnemonic", () => {
+    const created = KeyManager.withMnemonic({ password: "test", constants });
+    const child = created.keyManager.deriveChild(0);
+    const restored = KeyManager.fromMnemonic(created.mnemonic, { password: "other", constants });
+
+    assert.equal(created.mnemonic.split(" ").length, 24);
+    assert.equal(restored.pk, created.keyManager.pk);
+    assert.deepEqual(restored.deriveChild(0), child);
+    assert(!JSON.stringify(created.keyManager.getKeyStorage()).includes(created.mnemonic));
+  });
+
+  it("should use the passphrase", () => {
+    const a = KeyManager.fromMnemonic(mnemonic, { password: "test", constants });
+    const b = KeyManager.fromMnemonic(mnemonic, { password: "test", passphrase: "TREZOR", constants });
+    const c = KeyManager.fromMnemonic("  Abandon " + mnemonic.slice(8), { password: "test", constants });
+
+    assert.notEqual(a.pk, b.pk);
+    assert.equal(a.pk, c.pk);
+  });
+
+  it("should catch mistyped words", () => {
+    assert.throws(() => KeyManager.validateMnemonic(mnemonic.replace("about", "abuot")), err => {
+      return err instanceof ValidationError && err.word === "abuot" && err.position === 12;
+    });
+    assert.throws(() => KeyManager.validateMnemonic("abandon about"), /12, 15, 18, 21, or 24 words/);
+  });
+
+  it("should catch an invalid checksum", () => {
+    assert.throws(() => KeyManager.fromMnemonic(mnemonic.replace("about", "abandon"), { password: "test", constants }), /checksum/);
+  });
+});
@@ -0,0 +1,64 @@
+const assert = require("assert");
+const base58 = require("base-58");
+const BramblJS = require("./../../src/Brambl");
+const { RpcError } = require("./../../src/lib/errors");
+
+const constants = { cipher: "aes-256-ctr", ivBytes: 16, keyBytes: 32, scrypt: { dkLen: 32, n: Math.pow(2, 10), r: 8, p: 1 } };
+const recipient = "A9vRt6hw7w4c7b4qEkQHYptpqBGpKM5MGoXyrkGCbrfb";
+
+describe("MockBifrost", () => {
+  let mock, brambl;
+
+  before(() => {
+    mock = new BramblJS.MockBifrost();
+    brambl = new BramblJS({
+      KeyManager: { password: "test", instance: BramblJS.KeyManager({ password: "test", constants }) },
+      Requests: { options: { transport: mock.transport } }
+    });
+  });
+
+  it("should confirm a locally built and signed transaction", async () => {
+    const [box] = mock.fund(brambl.keyManager.pk, { polys: 100 });
+    const params = {
+      from: [{ proposition: box.proposition, nonce: box.nonce }],
+      to: [{ proposition: recipient, value: 10 }, { proposition: box.proposition, value: 89 }],
+      fee: 1
+    };
+
+    const { result } = await brambl.transaction("polyTransfer", params);
+    const pending = brambl.pollTx(result.txHash, { timeout: 1, interval: 0.01, maxFailedQueries: 5 });
+    mock.forge();
+
+    const confirmed = await pending;
+    assert.equal(confirmed.txHash, result.txHash);
+    assert.equal(confirmed.blockNumber, 2);
+    assert.equal(mock.balances(recipient).Balances.Polys, "10");
+  });
+
+  it("should reject double spends and invalid signatures", async () => {
+    const [box] = mock.fund(brambl.keyManager.pk, { polys: 10 });
+    const params = { from: [{ proposition: box.proposition, nonce: box.nonce }], to: [{ proposition: recipient, value: 10 }], fee: 0 };
+    const prototype = brambl.utils.TransactionBuilder.polyTransfer(params);
+    const signed = await brambl.addSigToTx(prototype, brambl.keyManager);
+
+    const otherSignature = base58.encode(brambl.keyManager.sign(Buffer.from("another message")));
+    const forged = { ...signed, signatures: { [box.proposition]: otherSignature } };
+    await assert.rejects(brambl.requests.broadcastTx({ tx: forged }), err => err instanceof RpcError && /Invalid signature/.test(err.message));
+
+    await brambl.requests.broadcastTx({ tx: signed });
+    const again = await brambl.addSigToTx(brambl.utils.TransactionBuilder.polyTransfer({ ...params, timestamp: 1 }), brambl.keyManager);
+    await assert.rejects(brambl.requests.broadcastTx({ tx: again }), /already spent/);
+  });
+
+  it("should serve requests over http", async () => {
+    const httpMock = new BramblJS.MockBifrost({ apiKey: "secret" });
+    const url = await httpMock.listen();
+    try {
+      const info = await BramblJS.Requests(url, "secret").chainInfo();
+      assert.equal(info.result.height, 1);
+      await assert.rejects(BramblJS.Requests(url, "wrong").chainInfo(), err => err instanceof RpcError && err.code === 401);
+    } finally {
+      await httpMock.close();
+    }
+  });
+});
@@ -0,0 +1,74 @@
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const BramblJS = require("./../../src/Brambl");
+const { ValidationError } = require("./../../src/lib/errors");
+
+const { PartiallySignedTx } = BramblJS;
+const constants = { cipher: "aes-256-ctr", ivBytes: 16, keyBytes: 32, scrypt: { dkLen: 32, n: Math.pow(2, 10), r: 8, p: 1 } };
+
+describe("Partially signed transactions", () => {
+  let mock, brambl, cold, fileDir, prototypeTx;
+
+  before(() => {
+    fileDir = fs.mkdtempSync(path.join(os.tmpdir(), "partial-"));
+    mock = new BramblJS.MockBifrost();
+    cold = BramblJS.KeyManager({ password: "cold", constants });
+    brambl = new BramblJS({
+      KeyManager: { password: "hot", instance: BramblJS.KeyManager({ password: "hot", constants }) },
+      Requests: { options: { transport: mock.transport } }
+    });
+
+    const [hotBox] = mock.fund(brambl.keyManager.pk, { polys: 10 });
+    const [coldBox] = mock.fund(cold.pk, { polys: 10 });
+    prototypeTx = brambl.utils.TransactionBuilder.polyTransfer({
+      from: [hotBox, coldBox].map(box => ({ proposition: box.proposition, nonce: box.nonce })),
+      to: [{ proposition: brambl.keyManager.pk, value: 20 }],
+      fee: 0
+    });
+  });
+
+  after(() => {
+    fs.readdirSync(fileDir).forEach(file => fs.unlinkSync(path.join(fileDir, file)));
+    fs.rmdirSync(fileDir);
+  });
+
+  it("should collect signatures from exported files and broadcast once complete", async () => {
+    const exported = PartiallySignedTx.fromPrototype(prototypeTx).save(path.join(fileDir, "tx.json"));
+    assert.deepEqual(PartiallySignedTx.read(exported).missingSigners(), [brambl.keyManager.pk, cold.pk]);
+
+    // each party signs its own copy of the file
+    const coldFile = PartiallySignedTx.read(exported).sign(cold).save(path.join(fileDir, "cold.json"));
+    const hotCopy = PartiallySignedTx.read(exported).sign(brambl.keyManager);
+    assert.throws(() => hotCopy.finalize(), err => err instanceof ValidationError && err.missing[0] === cold.pk);
+
+    const merged = PartiallySignedTx.merge(hotCopy, PartiallySignedTx.read(coldFile));
+    assert(merged.isComplete());
+    assert.equal(BramblJS.verifyTx(merged.finalize().tx, prototypeTx.messageToSign).valid, true);
+
+    // copies signed twice by the same key are merged
+    const signature = merged.signatures[cold.pk];
+    merged.merge(PartiallySignedTx.read(exported).sign(cold));
+    assert.equal(merged.signatures[cold.pk], signature);
+
+    const { result } = await brambl.broadcastPartialTx(JSON.stringify(merged));
+    assert.equal(result.txHash, prototypeTx.formattedTx.txHash);
+  });
+
+  it("should reject keys and signatures that do not belong to the transaction", () => {
+    const partialTx = PartiallySignedTx.fromPrototype(prototypeTx);
+    const stranger = BramblJS.KeyManager({ password: "stranger", constants });
+    assert.throws(() => partialTx.sign(stranger), err => err instanceof ValidationError && err.field === "keys");
+
+    const signature = PartiallySignedTx.fromPrototype(prototypeTx).sign(cold).signatures[cold.pk];
+    assert.throws(() => partialTx.addSignature(stranger.pk, signature), err => err.field === "signatures." + stranger.pk);
+    assert.throws(() => partialTx.addSignature(brambl.keyManager.pk, signature), /Invalid signature/);
+  });
+
+  it("should reject a message that does not match the transaction", () => {
+    const json = { ...PartiallySignedTx.fromPrototype(prototypeTx).toJSON(), messageToSign: "3mJr7AoUXx2Wqd" };
+    assert.throws(() => PartiallySignedTx.fromJSON(json), err => err instanceof ValidationError && err.field === "messageToSign");
+    assert.throws(() => PartiallySignedTx.fromJSON("{}"), err => err.field === "format");
+  });
+});
@@ -0,0 +1,71 @@
+const assert = require("assert");
+const BramblJS = require("./../../src/Brambl");
+const { DivergenceError, NetworkError, RpcError, ValidationError } = require("./../../src/lib/errors");
+
+const constants = { cipher: "aes-256-ctr", ivBytes: 16, keyBytes: 32, scrypt: { dkLen: 32, n: Math.pow(2, 10), r: 8, p: 1 } };
+
+describe("Quorum reads", () => {
+  let honest, forked, offline;
+
+  // reverse the order of the keys of every object (canonicalization makes the order irrelevant)
+  const reorder = value => Array.isArray(value)
+    ? value.map(reorder)
+    : value && typeof value === "object"
+      ? Object.fromEntries(Object.keys(value).reverse().map(key => [key, reorder(value[key])]))
+      : value;
+
+  const create = options => BramblJS.Requests(undefined, undefined, {
+    providers: [
+      { name: "a", transport: honest.transport },
+      { name: "b", transport: { send: async req => reorder(await honest.transport.send(req)) } },
+      { name: "c", transport: { send: req => (offline ? Promise.reject(new NetworkError("connection refused")) : forked.transport.send(req)) } }
+    ],
+    healthCheckInterval: 0,
+    ...options
+  });
+
+  beforeEach(() => {
+    honest = new BramblJS.MockBifrost();
+    forked = new BramblJS.MockBifrost();
+    offline = false;
+  });
+
+  it("should return the answer given by the quorum", async () => {
+    const pk = BramblJS.KeyManager({ password: "test", constants }).pk;
+    honest.fund(pk, { polys: 10 });
+    const requests = create({ quorum: 2 });
+
+    const { result } = await requests.getBalancesByKey({ publicKeys: [pk] });
+    assert.equal(result[pk].Balances.Polys, "10");
+    assert.equal((await requests.chainInfo()).result.bestBlockId, honest.bestBlock.id);
+
+    // providers agreeing on an error reject with that error
+    await assert.rejects(requests.getTransactionById({ transactionId: "missing" }), RpcError);
+
+    offline = true;
+    assert.equal((await requests.chainInfo()).result.bestBlockId, honest.bestBlock.id);
+  });
+
+  it("should reject with every answer when too few providers agree", async () => {
+    const requests = create({ quorum: 3 });
+    forked.forge();
+    await assert.rejects(requests.chainInfo(), err => {
+      assert(err instanceof DivergenceError);
+      assert.equal(err.method, "info");
+      assert.deepEqual(err.answers.map(answer => [answer.provider, answer.result.bestBlockId]), [
+        ["a", honest.bestBlock.id],
+        ["b", honest.bestBlock.id],
+        ["c", forked.bestBlock.id]
+      ]);
+      return true;
+    });
+
+    // calls that are not read-only are sent to a single provider
+    await assert.rejects(requests.broadcastTx({ tx: {} }), RpcError);
+  });
+
+  it("should not accept a quorum larger than the queried providers", async () => {
+    await assert.rejects(create({ quorum: 3, quorumSize: 2 }).chainInfo(), err => err instanceof ValidationError && err.field === "quorum");
+    await assert.rejects(BramblJS.Requests(undefined, undefined, { transport: honest.transport, quorum: 2 }).chainInfo(), ValidationError);
+  });
+});
@@ -0,0 +1,93 @@
+const assert = require("assert");
+const http = require("http");
+const Requests = require("./../../src/modules/Requests");
+const { RateLimitError } = require("./../../src/lib/errors");
+
+describe("Rate limiting", () => {
+  const result = req => ({ jsonrpc: "2.0", id: req.body.id, result: { method: req.body.method } });
+
+  it("should cap the requests in flight and send broadcasts first", async () => {
+    const sent = [];
+    const held = [];
+    const transport = { send: req => new Promise(resolve => { sent.push(req.body.method); held.push(() => resolve(result(req))) }) };
+    const requests = new Requests(undefined, undefined, { transport, concurrency: 1 });
+
+    const calls = [
+      requests.chainInfo(),
+      requests.getMempool(),
+      requests.getTransactionById({ transactionId: "a" }),
+      requests.broadcastTx({ tx: { txHash: "b" } })
+    ];
+    // a single request is in flight at any time
+    for (let i = 0; i < calls.length; i++) {
+      await new Promise(resolve => setImmediate(resolve));
+      assert.equal(held.length, 1);
+      held.shift()();
+    }
+    await Promise.all(calls);
+    assert.deepEqual(sent, ["info", "broadcastTx", "mempool", "transactionById"]);
+  });
+
+  it("should limit the rate of requests", async () => {
+    const transport = { send: async req => result(req) };
+    const requests = new Requests(undefined, undefined, { transport, rateLimit: 20, burst: 1 });
+    const start = Date.now();
+    await Promise.all([requests.chainInfo(), requests.chainInfo(), requests.chainInfo()]);
+    assert(Date.now() - start >= 90);
+  });
+
+  it("should back off after a JSON-RPC rate-limit error", async () => {
+    let calls = 0;
+    const transport = {
+      send: async req => ++calls === 1
+        ? { jsonrpc: "2.0", id: req.body.id, error: { code: -32005, message: "Rate limit exceeded", data: { retryAfter: 0.1 } } }
+        : result(req)
+    };
+    const requests = new Requests(undefined, undefined, { transport });
+    const start = Date.now();
+    const [first, second] = await Promise.all([requests.chainInfo(), requests.getMempool()]);
+    assert.equal(first.result.method, "info");
+    assert.equal(second.result.method, "mempool");
+    assert.equal(calls, 3);
+    assert(Date.now() - start >= 90);
+  });
+
+  describe("HTTP 429", () => {
+    let server, url;
+    let limited = 0;
+
+    before(done => {
+      server = http.createServer((req, res) => {
+        let data = "";
+        req.on("data", chunk => (data += chunk));
+        req.on("end", () => {
+          if (limited-- > 0) {
+            res.writeHead(429, { "Retry-After": "0" });
+            return res.end("Too Many Requests");
+          }
+          res.end(JSON.stringify(result({ body: JSON.parse(data) })));
+        });
+      });
+      server.listen(0, () => {
+        url = "http://localhost:" + server.address().port + "/";
+        done();
+      });
+    });
+
+    after(done => server.close(done));
+
+    it("should send the request again once the chain provider accepts requests", async () => {
+      limited = 2;
+      const { result } = await new Requests(url).broadcastTx({ tx: { txHash: "a" } });
+      assert.equal(result.method, "broadcastTx");
+    });
+
+    it("should give up after the rate-limit retries", async () => {
+      limited = 2;
+      await assert.rejects(
+        new Requests(url, undefined, { rateLimitRetries: 1 }).chainInfo(),
+        err => err instanceof RateLimitError && err.status === 429 && err.retryAfter === 0
+      );
+    });
+  });
+});
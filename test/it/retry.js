@@ -0,0 +1,85 @@
+const assert = require("assert");
+const http = require("http");
+const Requests = require("./../../src/modules/Requests");
+const { NetworkError, RpcError } = require("./../../src/lib/errors");
+
+// transport failing with the given errors before answering with a result
+const flakyTransport = failures => ({
+  calls: 0,
+  async send(request) {
+    const failure = failures[this.calls++];
+    if (failure === "hang") return new Promise(() => {});
+    if (failure && failure.error) return failure;
+    if (failure) throw failure;
+    return { jsonrpc: "2.0", id: request.body.id, result: { attempts: this.calls } };
+  }
+});
+
+const fastRetries = { retries: 3, minDelay: 1, maxDelay: 5 };
+
+describe("Retry policy", () => {
+  it("should retry network errors with backoff", async () => {
+    const transport = flakyTransport([new NetworkError("ECONNRESET"), new NetworkError("ECONNRESET")]);
+    const requests = new Requests(undefined, undefined, { transport, ...fastRetries });
+    const response = await requests.chainInfo();
+    assert.equal(response.result.attempts, 3);
+  });
+
+  it("should not retry errors that are not network failures", async () => {
+    const transport = flakyTransport([new TypeError("Unexpected")]);
+    const requests = new Requests(undefined, undefined, { transport, ...fastRetries });
+    await assert.rejects(requests.chainInfo(), TypeError);
+    assert.equal(transport.calls, 1);
+  });
+
+  it("should give up after the configured number of retries", async () => {
+    const transport = flakyTransport(Array(5).fill(new NetworkError("ECONNRESET")));
+    const requests = new Requests(undefined, undefined, { transport, ...fastRetries });
+    await assert.rejects(requests.chainInfo(), /ECONNRESET/);
+    assert.equal(transport.calls, 4);
+  });
+
+  it("should accept per-call options", async () => {
+    const transport = flakyTransport([new NetworkError("ECONNRESET")]);
+    const requests = new Requests(undefined, undefined, { transport, ...fastRetries });
+    await assert.rejects(requests.chainInfo("1", { retries: 0 }), /ECONNRESET/);
+  });
+
+  it("should not retry json-rpc errors", async () => {
+    const rpcError = { jsonrpc: "2.0", id: "1", error: { code: 500, message: "Invalid signature" } };
+    const transport = flakyTransport([rpcError]);
+    const requests = new Requests(undefined, undefined, { transport, ...fastRetries });
+    await assert.rejects(requests.broadcastTx({ tx: {} }), err => err instanceof RpcError && err.code === 500);
+    assert.equal(transport.calls, 1);
+  });
+
+  it("should time out and only retry idempotent calls", async () => {
+    const options = { transport: flakyTransport(["hang"]), timeout: 20, ...fastRetries };
+    const response = await new Requests(undefined, undefined, options).chainInfo();
+    assert.equal(response.result.attempts, 2);
+
+    const transport = flakyTransport(["hang"]);
+    await assert.rejects(
+      new Requests(undefined, undefined, { ...options, transport }).broadcastTx({ tx: {} }),
+      err => err instanceof NetworkError && err.timeout === 20
+    );
+    assert.equal(transport.calls, 1);
+  });
+
+  it("should retry 5xx responses of an http provider", async () => {
+    let calls = 0;
+    const server = http.createServer((req, res) => {
+      res.statusCode = ++calls === 1 ? 503 : 200;
+      res.end(calls === 1 ? "Service Unavailable" : JSON.stringify({ jsonrpc: "2.0", id: "1", result: {} }));
+    });
+    await new Promise(resolve => server.listen(0, resolve));
+
+    try {
+      const requests = new Requests("http://localhost:" + server.address().port + "/", undefined, fastRetries);
+      await requests.chainInfo();
+      assert.equal(calls, 2);
+    } finally {
+      server.close();
+    }
+  });
+});
@@ -0,0 +1,57 @@
+const assert = require("assert");
+const base58 = require("base-58");
+const TransactionBuilder = require("./../../src/modules/TransactionBuilder");
+
+const sender = "6sYyiTguyQ455w2dGEaNbrwkAWAEYV1Zk6FtZMknWDKQ";
+const recipient = "A9vRt6hw7w4c7b4qEkQHYptpqBGpKM5MGoXyrkGCbrfb";
+
+describe("TransactionBuilder", () => {
+  const params = {
+    from: [{ proposition: sender, nonce: "-4528351932245452289" }],
+    to: [{ proposition: recipient, value: 10 }, { proposition: sender, value: 90 }],
+    fee: 0,
+    timestamp: 1587000000000
+  };
+
+  it("should build a poly transfer prototype", () => {
+    const prototype = TransactionBuilder.polyTransfer(params);
+    const msg = Buffer.from(base58.decode(prototype.messageToSign));
+
+    assert.equal(prototype.formattedTx.txType, "PolyTransfer");
+    assert.equal(msg.slice(0, 12).toString(), "PolyTransfer");
+    assert.equal(prototype.formattedTx.newBoxes.length, 2);
+    assert.deepEqual(prototype.formattedTx.boxesToRemove, [TransactionBuilder.boxId(sender, "-4528351932245452289")]);
+  });
+
+  it("should be deterministic for a fixed timestamp", () => {
+    assert.deepEqual(TransactionBuilder.polyTransfer(params), TransactionBuilder.polyTransfer(params));
+    assert.notEqual(
+      TransactionBuilder.polyTransfer(params).messageToSign,
+      TransactionBuilder.arbitTransfer(params).messageToSign
+    );
+  });
+
+  it("should include the asset information in an asset transfer", () => {
+    const prototype = TransactionBuilder.assetTransfer({ ...params, issuer: sender, assetCode: "test" });
+    const msg = Buffer.from(base58.decode(prototype.messageToSign));
+
+    assert.equal(prototype.formattedTx.assetCode, "test");
+    assert.equal(prototype.formattedTx.issuer, sender);
+    assert.equal(msg.slice(-4).toString(), "test");
+  });
+
+  it("should rebuild a formatted transaction", () => {
+    const prototype = TransactionBuilder.assetTransfer({ ...params, issuer: sender, assetCode: "test" });
+    const rebuilt = TransactionBuilder.rebuild({ ...prototype.formattedTx, signatures: { [sender]: "sig" } });
+
+    assert.equal(rebuilt.messageToSign, prototype.messageToSign);
+    assert.deepEqual(rebuilt.formattedTx.signatures, { [sender]: "sig" });
+    assert.throws(() => TransactionBuilder.rebuild({ ...prototype.formattedTx, fee: 1 }), /hash does not match/);
+  });
+
+  it("should reject invalid parameters", () => {
+    assert.throws(() => TransactionBuilder.polyTransfer({ ...params, from: [] }));
+    assert.throws(() => TransactionBuilder.polyTransfer({ ...params, to: [{ proposition: "abc", value: 1 }] }));
+    assert.throws(() => TransactionBuilder.assetTransfer(params));
+  });
+});
@@ -0,0 +1,98 @@
+const assert = require("assert");
+const WebSocket = require("ws");
+const Requests = require("./../../src/modules/Requests");
+const { InProcessTransport, WebSocketTransport } = require("./../../src/lib/transports");
+const { NetworkError, RpcError } = require("./../../src/lib/errors");
+
+const handler = {
+  "debug/": {
+    info: () => ({ height: 10 })
+  },
+  "nodeView/": {
+    transactionById: params => {
+      if (params.transactionId === "missing") throw { code: 404, message: "Unable to find transaction" };
+      return { txHash: params.transactionId };
+    }
+  }
+};
+
+describe("Transports", () => {
+  describe("InProcessTransport", () => {
+    const requests = new Requests(undefined, undefined, { transport: new InProcessTransport(handler) });
+
+    it("should route requests to the handler", async () => {
+      const response = await requests.chainInfo();
+      assert.equal(response.result.height, 10);
+    });
+
+    it("should respond with json-rpc errors", async () => {
+      await assert.rejects(requests.getTransactionById({ transactionId: "missing" }), err => err instanceof RpcError && err.code === 404);
+      await assert.rejects(requests.getMempool(), err => err instanceof RpcError && err.code === -32601);
+    });
+
+    it("should support batches", async () => {
+      const [a, b] = await Promise.all(requests.batch([
+        { method: "getTransactionById", params: { transactionId: "a" } },
+        { method: "getTransactionById", params: { transactionId: "b" } }
+      ]));
+      assert.equal(a.result.txHash, "a");
+      assert.equal(b.result.txHash, "b");
+    });
+  });
+
+  describe("WebSocketTransport", () => {
+    let server, transport, requests;
+    let connections = 0;
+
+    before(done => {
+      server = new WebSocket.Server({ port: 0 }, () => {
+        transport = new WebSocketTransport();
+        requests = new Requests("http://localhost:" + server.address().port + "/", undefined, { transport });
+        done();
+      });
+      server.on("connection", (socket, req) => {
+        connections++;
+        const route = req.url.slice(1);
+        socket.on("message", async data => {
+          // mempool lookups are never answered
+          if (JSON.parse(data).method === "mempool") return;
+          const response = await new InProcessTransport(handler).send({ route, body: JSON.parse(data) });
+          socket.send(JSON.stringify(response));
+        });
+      });
+    });
+
+    after(done => {
+      transport.close();
+      server.close(done);
+    });
+
+    it("should reuse a persistent connection and match concurrent responses", async () => {
+      const results = await Promise.all(["a", "b", "c"].map(id => requests.getTransactionById({ transactionId: id })));
+      assert.deepEqual(results.map(res => res.result.txHash), ["a", "b", "c"]);
+      assert.deepEqual(results.map(res => res.id), ["1", "1", "1"]);
+      assert.equal(connections, 1);
+    });
+
+    it("should discard the pending response of a request that timed out", async () => {
+      const url = "http://localhost:" + server.address().port + "/";
+      const body = { jsonrpc: "2.0", id: "1", method: "mempool", params: [{}] };
+      await assert.rejects(transport.send({ url, route: "nodeView/", body, timeout: 20 }), err => err instanceof NetworkError && err.timeout === 20);
+      const { pending } = await transport.sockets.get(url.replace("http", "ws") + "nodeView/");
+      assert.equal(pending.size, 0);
+    });
+
+    it("should fail a request on a closing connection and reconnect for the next one", async () => {
+      const url = "http://localhost:" + server.address().port + "/";
+      const { socket } = await transport.sockets.get(url.replace("http", "ws") + "nodeView/");
+      socket.close();
+
+      const body = { jsonrpc: "2.0", id: "1", method: "transactionById", params: [{ transactionId: "a" }] };
+      await assert.rejects(transport.send({ url, route: "nodeView/", body, timeout: 200 }), err => err instanceof NetworkError && !err.timeout);
+      // the request failed without waiting for the connection to close
+      assert.equal(socket.readyState, WebSocket.CLOSING);
+      const response = await requests.getTransactionById({ transactionId: "b" });
+      assert.equal(response.result.txHash, "b");
+    });
+  });
+});
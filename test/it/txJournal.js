@@ -0,0 +1,138 @@
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const BramblJS = require("./../../src/Brambl");
+const { JournalError, NetworkError, ValidationError } = require("./../../src/lib/errors");
+
+const constants = { cipher: "aes-256-ctr", ivBytes: 16, keyBytes: 32, scrypt: { dkLen: 32, n: Math.pow(2, 10), r: 8, p: 1 } };
+
+describe("Transaction journal", () => {
+  let dir, journalPath, mock, keyManager, sent, failBroadcast;
+
+  // a Brambl instance whose process "restarts" by opening the journal file again
+  const open = () => new BramblJS({
+    KeyManager: { password: "test", instance: keyManager },
+    Requests: { options: { transport } },
+    Journal: { path: journalPath }
+  });
+
+  // the broadcast is lost either before or after it reaches the chain provider
+  const transport = {
+    send: async req => {
+      sent.push(req.body.method);
+      if (req.body.method === "broadcastTx" && failBroadcast === "before") throw new NetworkError("connection reset");
+      const response = await mock.transport.send(req);
+      if (req.body.method === "broadcastTx" && failBroadcast === "after") throw new NetworkError("connection reset");
+      return response;
+    }
+  };
+
+  const payment = () => {
+    const [box] = mock.fund(keyManager.pk, { polys: 100 });
+    return {
+      from: [{ proposition: box.proposition, nonce: box.nonce }],
+      to: [{ proposition: keyManager.pk, value: 99 }],
+      fee: 1
+    };
+  };
+
+  before(() => {
+    keyManager = BramblJS.KeyManager({ password: "test", constants });
+  });
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "journal-"));
+    journalPath = path.join(dir, "journal.jsonl");
+    mock = new BramblJS.MockBifrost();
+    sent = [];
+    failBroadcast = null;
+  });
+
+  afterEach(() => {
+    fs.readdirSync(dir).forEach(file => fs.unlinkSync(path.join(dir, file)));
+    fs.rmdirSync(dir);
+  });
+
+  it("should record the stages of a transaction and not send a payment twice", async () => {
+    const brambl = open();
+    const params = payment();
+    const first = await brambl.transaction("polyTransfer", params, { idempotencyKey: "pay-1" });
+    const again = await open().transaction("polyTransfer", params, { idempotencyKey: "pay-1" });
+    assert.deepEqual(again, first);
+    assert.equal(sent.filter(method => method === "broadcastTx").length, 1);
+
+    const stages = fs.readFileSync(journalPath, "utf8").trim().split("\n").map(line => JSON.parse(line).stage);
+    assert.deepEqual(stages, ["created", "prototype", "signed", "broadcast"]);
+
+    mock.forge();
+    await brambl.pollTx(first.result.txHash, { interval: 0.05 });
+    assert.equal(brambl.journal.get("pay-1").stage, "confirmed");
+    assert.deepEqual(brambl.journal.unfinished(), []);
+  });
+
+  it("should ignore a record that was not completely written", async () => {
+    await open().transaction("polyTransfer", payment(), { idempotencyKey: "pay-1" });
+    fs.appendFileSync(journalPath, '{"key":"pay-1","stage":"confi');
+    const brambl = open();
+    assert.equal(brambl.journal.get("pay-1").stage, "broadcast");
+
+    // the torn record was removed, so the next record is read back
+    brambl.journal.record("pay-1", "confirmed");
+    assert.equal(open().journal.get("pay-1").stage, "confirmed");
+  });
+
+  it("should refuse a journal with a corrupt record before its last line", async () => {
+    await open().transaction("polyTransfer", payment(), { idempotencyKey: "pay-1" });
+    const lines = fs.readFileSync(journalPath, "utf8").split("\n");
+    lines[1] = lines[1].slice(0, 10);
+    fs.writeFileSync(journalPath, lines.join("\n"));
+    assert.throws(open, err => err instanceof JournalError && err.line === 2 && err.path === journalPath);
+  });
+
+  it("should resume a transaction whose broadcast response was lost", async () => {
+    failBroadcast = "after";
+    const params = payment();
+    await assert.rejects(open().transaction("polyTransfer", params, { idempotencyKey: "pay-1" }), NetworkError);
+    await assert.rejects(
+      open().transaction("polyTransfer", params, { idempotencyKey: "pay-1" }),
+      err => err instanceof ValidationError && err.field === "idempotencyKey" && err.stage === "signed"
+    );
+
+    // the chain provider received the transaction, so it is found in the mempool and not sent again
+    failBroadcast = null;
+    sent = [];
+    const [entry] = await open().resume();
+    assert.equal(entry.stage, "broadcast");
+    assert(!sent.includes("broadcastTx"));
+
+    mock.forge();
+    const [confirmed] = await open().resume();
+    assert.equal(confirmed.stage, "confirmed");
+    assert.equal(confirmed.tx.txHash, entry.txId);
+  });
+
+  it("should broadcast again a transaction that never reached the chain provider", async () => {
+    failBroadcast = "before";
+    await assert.rejects(open().transaction("polyTransfer", payment(), { idempotencyKey: "pay-1" }), NetworkError);
+    assert.equal(mock.mempool.size, 0);
+
+    failBroadcast = null;
+    const [entry] = await open().resume();
+    assert.equal(entry.stage, "broadcast");
+    assert(mock.mempool.has(entry.txId));
+  });
+
+  it("should fail transactions that were never signed or were rejected", async () => {
+    const brambl = open();
+    brambl.journal.record("pay-1", "created", { method: "polyTransfer" });
+    const [entry] = await brambl.resume();
+    assert.equal(entry.stage, "failed");
+
+    // a rejected transaction may be sent again with the same key
+    await assert.rejects(brambl.transaction("polyTransfer", { ...payment(), fee: 1000 }, { idempotencyKey: "pay-2" }), BramblJS.errors.RpcError);
+    assert.equal(brambl.journal.get("pay-2").stage, "failed");
+    const { result } = await brambl.transaction("polyTransfer", payment(), { idempotencyKey: "pay-2" });
+    assert.equal(brambl.journal.get("pay-2").txId, result.txHash);
+  });
+});
@@ -0,0 +1,131 @@
+const assert = require("assert");
+const BramblJS = require("./../../src/Brambl");
+const { BramblError, PollTimeoutError, TxDroppedError, TxReorgedError } = require("./../../src/lib/errors");
+
+const constants = { cipher: "aes-256-ctr", ivBytes: 16, keyBytes: 32, scrypt: { dkLen: 32, n: Math.pow(2, 10), r: 8, p: 1 } };
+
+describe("TxWatcher", () => {
+  let mock, brambl, sent, failing;
+
+  // submit a transfer of a newly funded box to the mock node
+  const submit = async () => {
+    const [box] = mock.fund(brambl.keyManager.pk, { polys: 10 });
+    const { result } = await brambl.transaction("polyTransfer", {
+      from: [{ proposition: box.proposition, nonce: box.nonce }],
+      to: [{ proposition: box.proposition, value: 10 }],
+      fee: 0
+    });
+    return result.txHash;
+  };
+
+  // wait for an event of the watcher
+  const next = (watcher, event) => new Promise(resolve => watcher.once(event, (txId, value) => resolve({ txId, value })));
+
+  before(() => {
+    mock = new BramblJS.MockBifrost();
+    sent = [];
+    failing = 0;
+    const transport = {
+      send: request => {
+        sent.push(request);
+        if (failing && request.body.method === "transactionById") {
+          failing--;
+          return Promise.resolve({ jsonrpc: "2.0", id: request.body.id, error: { code: -32000, message: "Node is syncing" } });
+        }
+        return mock.transport.send(request);
+      }
+    };
+    brambl = new BramblJS({
+      KeyManager: { password: "test", instance: BramblJS.KeyManager({ password: "test", constants }) },
+      Requests: { options: { transport } }
+    });
+  });
+
+  it("should look up many transactions with one scheduler", async () => {
+    const txIds = [await submit(), await submit(), await submit()];
+    const watcher = new BramblJS.TxWatcher(brambl.requests, { interval: 0.01, timeout: 1, maxFailedQueries: 2 });
+    const events = [];
+    ["pending", "confirmed", "dropped"].forEach(event => watcher.on(event, txId => events.push([event, txId])));
+
+    sent.length = 0;
+    txIds.forEach(txId => watcher.watch(txId));
+    await next(watcher, "pending");
+    assert.deepEqual(sent.map(request => request.body.length), [3, 3]);
+
+    mock.drop(txIds[2]);
+    mock.forge();
+    const dropped = await next(watcher, "dropped");
+    assert.equal(dropped.txId, txIds[2]);
+    assert(dropped.value instanceof TxDroppedError);
+    assert.deepEqual(events.filter(([event]) => event === "confirmed").map(([, txId]) => txId), txIds.slice(0, 2));
+    assert.deepEqual(events.filter(([event]) => event === "pending").map(([, txId]) => txId), txIds);
+    assert.deepEqual(watcher.watching(), []);
+  });
+
+  it("should add and remove transactions while running", async () => {
+    const watcher = new BramblJS.TxWatcher(brambl.requests, { interval: 0.01, timeout: 0.05, maxFailedQueries: 100 });
+    const removed = watcher.wait("removed");
+    const timedOut = next(watcher, "timeout");
+    watcher.watch("unknown");
+
+    assert(watcher.unwatch("removed"));
+    await assert.rejects(removed, err => err instanceof BramblError && err.txId === "removed");
+
+    const { txId, value } = await timedOut;
+    assert.equal(txId, "unknown");
+    assert(value instanceof PollTimeoutError);
+
+    const txHash = await submit();
+    const confirmed = watcher.wait(txHash, { timeout: 1 });
+    mock.forge();
+    assert.equal((await confirmed).txHash, txHash);
+  });
+
+  it("should wait for the block of a transaction to be deep enough", async () => {
+    const txHash = await submit();
+    const watcher = new BramblJS.TxWatcher(brambl.requests, { interval: 0.01, timeout: 1 });
+    const confirmed = watcher.wait(txHash, { confirmations: 3 });
+    const polled = brambl.pollTx(txHash, { timeout: 1, interval: 0.01, confirmations: 3 });
+
+    const included = next(watcher, "included");
+    mock.forge();
+    assert.equal((await included).value.blockNumber, mock.blocks.length);
+    await new Promise(resolve => setTimeout(resolve, 30));
+    assert(watcher.has(txHash));
+
+    mock.forge();
+    mock.forge();
+    assert.equal((await confirmed).txHash, txHash);
+    assert.equal((await polled).blockHash, mock.blocks[mock.blocks.length - 3].id);
+  });
+
+  it("should report a transaction removed from the chain by a reorganization", async () => {
+    const txHash = await submit();
+    const watcher = new BramblJS.TxWatcher(brambl.requests, { interval: 0.01, timeout: 1, confirmations: 2 });
+    const reorged = watcher.wait(txHash);
+    const included = next(watcher, "included");
+    mock.forge();
+    const { value: tx } = await included;
+    mock.reorg(1);
+
+    await assert.rejects(reorged, err => err instanceof TxReorgedError && err.blockHash === tx.blockHash && err.blockNumber === tx.blockNumber);
+  });
+
+  it("should not report a reorganization when a lookup of an included transaction fails", async () => {
+    const txHash = await submit();
+    const watcher = new BramblJS.TxWatcher(brambl.requests, { interval: 0.01, timeout: 1, confirmations: 2 });
+    const confirmed = watcher.wait(txHash);
+    const included = next(watcher, "included");
+    mock.forge();
+    await included;
+
+    // the block of the transaction is still in the chain, so the failed lookups are transient
+    failing = 3;
+    await new Promise(resolve => setTimeout(resolve, 60));
+    assert.equal(failing, 0);
+    assert(watcher.has(txHash));
+
+    mock.forge();
+    assert.equal((await confirmed).txHash, txHash);
+  });
+});
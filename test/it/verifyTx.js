@@ -0,0 +1,41 @@
+const assert = require("assert");
+const BramblJS = require("./../../index");
+const KeyManager = require("./../../src/modules/KeyManager");
+const TransactionBuilder = require("./../../src/modules/TransactionBuilder");
+const { ValidationError } = require("./../../src/lib/errors");
+
+const constants = { cipher: "aes-256-ctr", ivBytes: 16, keyBytes: 32, scrypt: { dkLen: 32, n: Math.pow(2, 10), r: 8, p: 1 } };
+
+describe("Verify signed transactions", () => {
+  const alice = new KeyManager({ password: "alice", constants });
+  const bob = new KeyManager({ password: "bob", constants });
+  const brambl = new BramblJS({ KeyManager: { password: "alice", instance: alice } });
+  const prototypeTx = TransactionBuilder.polyTransfer({
+    from: [{ proposition: alice.pk, nonce: "1" }, { proposition: bob.pk, nonce: "2" }],
+    to: [{ proposition: alice.pk, value: 10 }],
+    fee: 0,
+    timestamp: 1587000000000
+  });
+
+  it("should verify every signature and report missing signers", async () => {
+    const signedTx = await brambl.addSigToTx(prototypeTx, alice);
+    assert.deepEqual(BramblJS.verifyTx(signedTx, prototypeTx.messageToSign), { valid: false, verified: [alice.pk], invalid: [], missing: [bob.pk] });
+    assert.equal(BramblJS.verifyTx(signedTx, prototypeTx.messageToSign, alice.pk).valid, true);
+
+    const fullySigned = await brambl.addSigToTx(prototypeTx, [alice, bob]);
+    assert.equal(BramblJS.verifyTx(fullySigned).valid, true);
+  });
+
+  it("should report signatures that do not match their public key", async () => {
+    const signedTx = await brambl.addSigToTx(prototypeTx, [alice, bob]);
+    const forged = { ...signedTx, signatures: { ...signedTx.signatures, [bob.pk]: signedTx.signatures[alice.pk] } };
+    assert.deepEqual(BramblJS.verifyTx(forged, prototypeTx.messageToSign), { valid: false, verified: [alice.pk], invalid: [bob.pk], missing: [bob.pk] });
+  });
+
+  it("should reject malformed Base58", async () => {
+    const signedTx = await brambl.addSigToTx(prototypeTx, alice);
+    const malformed = { ...signedTx, signatures: { [alice.pk]: "0OIl" } };
+    assert.throws(() => BramblJS.verifyTx(malformed, prototypeTx.messageToSign), err => err instanceof ValidationError && err.field === "signatures." + alice.pk);
+    assert.throws(() => BramblJS.verifyTx(signedTx, "not-base58!"), err => err instanceof ValidationError && err.field === "messageToSign");
+  });
+});
@@ -0,0 +1,118 @@
+const assert = require("assert");
+const BramblJS = require("./../../src/Brambl");
+const { ValidationError } = require("./../../src/lib/errors");
+
+const { WalletState } = BramblJS;
+const constants = { cipher: "aes-256-ctr", ivBytes: 16, keyBytes: 32, scrypt: { dkLen: 32, n: Math.pow(2, 10), r: 8, p: 1 } };
+
+describe("WalletState", () => {
+  const issuer = "6sYyiTguyQ455w2dGEaNbrwkAWAEYV1Zk6FtZMknWDKQ";
+  const asset = value => ({ issuer, assetCode: "test", value });
+  let mock, brambl, pk;
+
+  beforeEach(async () => {
+    mock = new BramblJS.MockBifrost();
+    brambl = new BramblJS({
+      KeyManager: { password: "test", instance: BramblJS.KeyManager({ password: "test", constants }) },
+      Requests: { options: { transport: mock.transport } },
+      WalletState: {}
+    });
+    pk = brambl.keyManager.pk;
+    mock.fund(pk, { polys: 100, assets: [asset(5), asset(20), asset(50)] });
+    await brambl.wallet.load();
+  });
+
+  it("should load and filter the boxes of the keys", () => {
+    assert.equal(brambl.wallet.boxes().length, 4);
+    assert.equal(brambl.wallet.boxes({ type: "PolyBox" })[0].value, "100");
+    assert.equal(brambl.wallet.balance({ issuer, assetCode: "test" }), "75");
+    assert.equal(brambl.wallet.boxes({ issuer, assetCode: "other" }).length, 0);
+  });
+
+  it("should select boxes with each strategy", () => {
+    const values = strategy => brambl.wallet.select({ issuer, assetCode: "test", amount: 20, strategy }).boxes.map(box => box.value);
+    assert.deepEqual(values("largest-first"), ["50"]);
+    assert.deepEqual(values("exact-match"), ["20"]);
+    assert.deepEqual(values("minimal-change"), ["20"]);
+
+    const selection = brambl.wallet.select({ issuer, assetCode: "test", amount: 60, strategy: "minimal-change" });
+    assert.deepEqual(selection.boxes.map(box => box.value).sort(), ["20", "50"]);
+    assert.equal(selection.change, "10");
+  });
+
+  it("should not select reserved boxes until they are released", () => {
+    const first = brambl.wallet.take({ issuer, assetCode: "test", amount: 40, single: true });
+    assert.equal(first.boxes[0].value, "50");
+    assert.throws(
+      () => brambl.wallet.take({ issuer, assetCode: "test", amount: 40, single: true }),
+      err => err instanceof ValidationError && err.field === "amount" && err.available === "25"
+    );
+
+    first.release();
+    assert.equal(brambl.wallet.take({ issuer, assetCode: "test", amount: 40, single: true }).boxes[0].id, first.boxes[0].id);
+  });
+
+  it("should choose distinct boxes for concurrent targeted transfers", async () => {
+    const transfer = amount => brambl.transaction("transferTargetAssetsPrototype", {
+      issuer, assetCode: "test", amount, recipient: issuer, sender: [pk], fee: 0
+    });
+    const results = await Promise.all([transfer(5), transfer(5)]);
+    assert.equal(new Set(results.map(res => res.result.txHash)).size, 2);
+    assert.equal(brambl.wallet.boxes({ issuer, assetCode: "test" }).length, 1);
+
+    // the box left cannot cover the transfer, so nothing is sent
+    await assert.rejects(transfer(30), err => err instanceof ValidationError && err.field === "amount");
+    assert.equal(brambl.wallet.boxes({ issuer, assetCode: "test" }).length, 1);
+  });
+
+  it("should not select a spent box again until the chain provider stops returning it", async () => {
+    const target = brambl.wallet.select({ issuer, assetCode: "test", amount: 40, single: true }).boxes[0];
+    await brambl.transaction("transferTargetAssetsPrototype", {
+      issuer, assetCode: "test", amount: 40, recipient: issuer, sender: [pk], fee: 0
+    });
+
+    // the transaction is still pending, so the chain provider returns the spent box
+    await brambl.wallet.load();
+    assert(!brambl.wallet.boxes({ includeReserved: true }).some(box => box.id === target.id));
+    assert.throws(
+      () => brambl.wallet.take({ issuer, assetCode: "test", amount: 40, single: true }),
+      err => err instanceof ValidationError && err.field === "amount"
+    );
+
+    mock.forge();
+    await brambl.wallet.load();
+    assert.equal(brambl.wallet.spent.size, 0);
+    assert(!brambl.wallet.boxes().some(box => box.id === target.id));
+  });
+
+  it("should select a spent box again once its dropped transaction expires", async () => {
+    brambl.wallet.reservationTimeout = 0.05;
+    const target = brambl.wallet.select({ issuer, assetCode: "test", amount: 40, single: true }).boxes[0];
+    const { result } = await brambl.transaction("transferTargetAssetsPrototype", {
+      issuer, assetCode: "test", amount: 40, recipient: issuer, sender: [pk], fee: 0
+    });
+    assert(mock.drop(result.txHash));
+
+    await brambl.wallet.load();
+    assert(!brambl.wallet.boxes().some(box => box.id === target.id));
+
+    await new Promise(resolve => setTimeout(resolve, 60));
+    await brambl.wallet.load();
+    assert.equal(brambl.wallet.spent.size, 0);
+    assert.equal(brambl.wallet.take({ issuer, assetCode: "test", amount: 40, single: true }).boxes[0].id, target.id);
+  });
+
+  it("should release the box of a transfer that fails", async () => {
+    const rejecting = { send: () => Promise.reject(new BramblJS.errors.RpcError("rejected", { code: -32000 })) };
+    const offline = new BramblJS({
+      KeyManager: { password: "test", instance: brambl.keyManager },
+      Requests: { options: { transport: rejecting, retries: 0 } },
+      WalletState: { instance: brambl.wallet }
+    });
+    await assert.rejects(
+      offline.transaction("transferTargetAssetsPrototype", { issuer, assetCode: "test", amount: 5, recipient: issuer, sender: [pk], fee: 0 }),
+      BramblJS.errors.RpcError
+    );
+    assert.equal(brambl.wallet.boxes({ issuer, assetCode: "test" }).length, 3);
+  });
+});